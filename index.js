@@ -1,3 +1,4 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -11,7 +12,18 @@ const userRoutes = require('./src/routes/users');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./src/config/swagger');
 const productsRoutes = require('./src/routes/products');
-require('dotenv').config();
+const cartRoutes = require('./src/routes/cart');
+const orderRoutes = require('./src/routes/orders');
+const roleRoutes = require('./src/routes/roles');
+const couponRoutes = require('./src/routes/coupons');
+const promotionRoutes = require('./src/routes/promotions');
+const categoryRoutes = require('./src/routes/categories');
+const adminRoutes = require('./src/routes/admin');
+const paymentRoutes = require('./src/routes/payments');
+const shippingRoutes = require('./src/routes/shipping');
+const taxRoutes = require('./src/routes/tax');
+const { getStorage } = require('./src/services/storageService');
+const { baseCurrency } = require('./src/config/currencies');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,7 +32,9 @@ const PORT = process.env.PORT || 3000;
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Provider webhooks arrive in bursts from a few addresses
+  skip: (req) => req.originalUrl.startsWith('/api/payments/webhook')
 });
 
 // Middleware
@@ -39,9 +53,29 @@ app.use(async (req, res, next) => {
 app.use(cors());
 app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
 app.use(limiter);
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Serve uploaded files when they are stored on local disk
+const storage = getStorage();
+if (storage.name === 'local' && storage.baseUrl.startsWith('/')) {
+  app.use(storage.baseUrl, express.static(storage.root, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
+// Fail fast on a misconfigured base currency; the payment provider is only
+// checked when the payment routes are used, so it cannot take the store down
+baseCurrency();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -56,6 +90,16 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productsRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/tax', taxRoutes);
 
 // swagger
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -0,0 +1,25 @@
+// Moves the old free-text user addresses into the address book.
+// Usage: npm run migrate:addresses -- <country>   (ISO code the old addresses are in, e.g. US)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const { connectDatabase } = require('../src/config/database');
+const { migrateLegacyAddresses } = require('../src/services/addressService');
+
+const run = async () => {
+  try {
+    const country = (process.argv[2] || process.env.DEFAULT_COUNTRY || '').toUpperCase();
+    if (!country) {
+      throw new Error('Pass the country of the existing addresses, e.g. npm run migrate:addresses -- US');
+    }
+    await connectDatabase();
+    const report = await migrateLegacyAddresses({ country });
+    logger.info(`Addresses converted: ${report.converted}, kept as legacy text: ${report.kept}`);
+    await mongoose.disconnect();
+  } catch (error) {
+    logger.error('Address migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
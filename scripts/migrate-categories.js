@@ -0,0 +1,21 @@
+// Converts legacy free-text product categories to Category slugs.
+// Usage: npm run migrate:categories
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const { connectDatabase } = require('../src/config/database');
+const { migrateLegacyCategories } = require('../src/services/categoryService');
+
+const run = async () => {
+  try {
+    await connectDatabase();
+    const report = await migrateLegacyCategories();
+    logger.info(`Categories created: ${report.created.length}, values renamed: ${report.renamed.length}`);
+    await mongoose.disconnect();
+  } catch (error) {
+    logger.error('Category migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
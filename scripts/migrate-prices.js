@@ -0,0 +1,25 @@
+// Moves product prices from floats to integer minor units of the base currency,
+// and order amounts to minor units of the currency each order was placed in.
+// Usage: npm run migrate:prices   (BASE_CURRENCY must be the currency the old prices are in)
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const { connectDatabase } = require('../src/config/database');
+const { baseCurrency } = require('../src/config/currencies');
+const { migratePrices, migrateOrderAmounts } = require('../src/services/currencyService');
+
+const run = async () => {
+  try {
+    await connectDatabase();
+    const converted = await migratePrices();
+    logger.info(`Product prices converted to ${baseCurrency()} minor units: ${converted}`);
+    const orders = await migrateOrderAmounts();
+    logger.info(`Orders converted to minor units: ${orders}`);
+    await mongoose.disconnect();
+  } catch (error) {
+    logger.error('Price migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
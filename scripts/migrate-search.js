@@ -0,0 +1,21 @@
+// Fills in the search keys of products and categories saved before suggestions used them.
+// Usage: npm run migrate:search
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+const { connectDatabase } = require('../src/config/database');
+const { rebuildSearchKeys } = require('../src/services/searchService');
+
+const run = async () => {
+  try {
+    await connectDatabase();
+    const updated = await rebuildSearchKeys();
+    logger.info(`Search keys filled in for products: ${updated.products}, categories: ${updated.categories}`);
+    await mongoose.disconnect();
+  } catch (error) {
+    logger.error('Search key migration failed:', error);
+    process.exit(1);
+  }
+};
+
+run();
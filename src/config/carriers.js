@@ -0,0 +1,34 @@
+/**
+ * Carriers with a known tracking page. "{number}" in trackingUrl is replaced
+ * by the tracking number. Shipments with any other carrier are accepted, but
+ * only link to a tracking page when one is given with the shipment.
+ */
+const CARRIERS = {
+    ups: {
+        name: 'UPS',
+        trackingUrl: 'https://www.ups.com/track?tracknum={number}'
+    },
+    fedex: {
+        name: 'FedEx',
+        trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr={number}'
+    },
+    usps: {
+        name: 'USPS',
+        trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={number}'
+    },
+    dhl: {
+        name: 'DHL',
+        trackingUrl: 'https://www.dhl.com/global-en/home/tracking.html?tracking-id={number}'
+    },
+    royal_mail: {
+        name: 'Royal Mail',
+        trackingUrl: 'https://www.royalmail.com/track-your-item#/tracking-results/{number}'
+    }
+};
+
+const trackingUrlFor = (carrier, trackingNumber) => {
+    const known = CARRIERS[carrier];
+    return known ? known.trackingUrl.replace('{number}', encodeURIComponent(trackingNumber)) : null;
+};
+
+module.exports = { CARRIERS, trackingUrlFor };
@@ -0,0 +1,99 @@
+/**
+ * Countries we ship to, keyed by ISO 3166-1 alpha-2 code, with the rules
+ * addresses in them are checked against.
+ *
+ * postalCode is a pattern (without anchors) the whole code must match, or
+ * null where the country has no postal codes; postalCodeOptional marks
+ * countries where not every address has one. phone is a pattern for the
+ * national number after the calling code and without a trunk prefix.
+ */
+const COUNTRIES = {
+    US: {
+        name: 'United States',
+        callingCode: '1',
+        postalCode: '\\d{5}(?:-\\d{4})?',
+        phone: '[2-9]\\d{2}[2-9]\\d{6}',
+        regionRequired: true
+    },
+    CA: {
+        name: 'Canada',
+        callingCode: '1',
+        postalCode: '[ABCEGHJ-NPRSTVXY]\\d[ABCEGHJ-NPRSTV-Z] ?\\d[ABCEGHJ-NPRSTV-Z]\\d',
+        phone: '[2-9]\\d{2}[2-9]\\d{6}',
+        regionRequired: true
+    },
+    GB: {
+        name: 'United Kingdom',
+        callingCode: '44',
+        postalCode: '[A-Z]{1,2}\\d[A-Z\\d]? ?\\d[A-Z]{2}',
+        phone: '[1-9]\\d{8,9}'
+    },
+    IE: {
+        name: 'Ireland',
+        callingCode: '353',
+        postalCode: '[AC-FHKNPRTV-Y]\\d{2}(?: ?[0-9AC-FHKNPRTV-Y]{4})?',
+        postalCodeOptional: true,
+        phone: '[1-9]\\d{6,9}'
+    },
+    DE: {
+        name: 'Germany',
+        callingCode: '49',
+        postalCode: '\\d{5}',
+        phone: '[1-9]\\d{5,12}'
+    },
+    FR: {
+        name: 'France',
+        callingCode: '33',
+        postalCode: '\\d{5}',
+        phone: '[1-9]\\d{8}'
+    },
+    NL: {
+        name: 'Netherlands',
+        callingCode: '31',
+        postalCode: '\\d{4} ?[A-Z]{2}',
+        phone: '[1-9]\\d{8}'
+    },
+    ES: {
+        name: 'Spain',
+        callingCode: '34',
+        postalCode: '\\d{5}',
+        phone: '[6-9]\\d{8}'
+    },
+    IT: {
+        name: 'Italy',
+        callingCode: '39',
+        postalCode: '\\d{5}',
+        phone: '\\d{6,11}',
+        // Italian landline numbers keep their leading 0 after the calling code
+        keepsTrunkPrefix: true
+    },
+    AU: {
+        name: 'Australia',
+        callingCode: '61',
+        postalCode: '\\d{4}',
+        phone: '[2-478]\\d{8}',
+        regionRequired: true
+    },
+    IN: {
+        name: 'India',
+        callingCode: '91',
+        postalCode: '\\d{6}',
+        phone: '[6-9]\\d{9}',
+        regionRequired: true
+    },
+    JP: {
+        name: 'Japan',
+        callingCode: '81',
+        postalCode: '\\d{3}-?\\d{4}',
+        phone: '[1-9]\\d{8,9}',
+        regionRequired: true
+    },
+    AE: {
+        name: 'United Arab Emirates',
+        callingCode: '971',
+        postalCode: null,
+        phone: '[1-9]\\d{7,8}'
+    }
+};
+
+module.exports = { COUNTRIES };
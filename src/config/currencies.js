@@ -0,0 +1,30 @@
+/**
+ * ISO 4217 currencies prices can be shown in. `exponent` is the number of
+ * minor-unit digits (2 for cents, 0 for yen).
+ *
+ * Catalog prices are held in the base currency (BASE_CURRENCY); other
+ * currencies use a stored exchange rate or a price set on the product itself.
+ */
+const CURRENCIES = {
+    USD: { name: 'US dollar', exponent: 2 },
+    EUR: { name: 'Euro', exponent: 2 },
+    GBP: { name: 'Pound sterling', exponent: 2 },
+    CAD: { name: 'Canadian dollar', exponent: 2 },
+    AUD: { name: 'Australian dollar', exponent: 2 },
+    CHF: { name: 'Swiss franc', exponent: 2 },
+    SEK: { name: 'Swedish krona', exponent: 2 },
+    INR: { name: 'Indian rupee', exponent: 2 },
+    AED: { name: 'UAE dirham', exponent: 2 },
+    JPY: { name: 'Japanese yen', exponent: 0 }
+};
+
+// Read on each call rather than at load, so a value from .env applies
+const baseCurrency = () => {
+    const code = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+    if (!CURRENCIES[code]) {
+        throw new Error(`Unsupported BASE_CURRENCY: ${code}`);
+    }
+    return code;
+};
+
+module.exports = { CURRENCIES, baseCurrency };
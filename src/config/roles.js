@@ -0,0 +1,49 @@
+/**
+ * Permission catalogue and built-in roles.
+ *
+ * Permissions are "<resource>:<action>" strings. A role may grant "*" (everything)
+ * or "<resource>:*" (every action on a resource). Built-in roles can have their
+ * permissions changed through the roles API, except admin which always has "*".
+ */
+const PERMISSIONS = [
+    'products:write',
+    'orders:read',
+    'orders:fulfil',
+    'users:read',
+    'users:write',
+    'users:delete',
+    'roles:manage',
+    'reviews:moderate',
+    'promotions:manage',
+    'inventory:manage',
+    'audit:read',
+    'payments:manage',
+    'shipping:manage',
+    'tax:manage',
+    'currencies:manage'
+];
+
+const DEFAULT_ROLES = {
+    admin: {
+        description: 'Full access',
+        permissions: ['*']
+    },
+    user: {
+        description: 'Customer account',
+        permissions: []
+    },
+    catalog_manager: {
+        description: 'Manages the product catalog',
+        permissions: ['products:write', 'inventory:manage']
+    },
+    fulfilment: {
+        description: 'Processes and ships orders',
+        permissions: ['orders:read', 'orders:fulfil', 'inventory:manage']
+    },
+    support: {
+        description: 'Looks up customers and their orders',
+        permissions: ['users:read', 'orders:read', 'reviews:moderate']
+    }
+};
+
+module.exports = { PERMISSIONS, DEFAULT_ROLES };
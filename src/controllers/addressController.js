@@ -0,0 +1,348 @@
+const User = require('../models/User');
+const { MAX_ADDRESSES } = require('../models/User');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const audit = require('../services/auditService');
+
+// Validation schemas; per-country postal code, region and phone rules are
+// checked by the model
+const addressFields = {
+    recipient: Joi.string().max(100),
+    line1: Joi.string().max(100),
+    line2: Joi.string().max(100).allow(''),
+    city: Joi.string().max(60),
+    region: Joi.string().max(60).allow(''),
+    postalCode: Joi.string().max(12).allow(''),
+    country: Joi.string().length(2),
+    phone: Joi.string().max(20).allow(''),
+    isDefaultShipping: Joi.boolean(),
+    isDefaultBilling: Joi.boolean()
+};
+
+const createAddressSchema = Joi.object(addressFields)
+    .fork(['recipient', 'line1', 'city', 'country'], field => field.required());
+
+const updateAddressSchema = Joi.object(addressFields).min(1);
+
+// Make `address` the only default of each kind it is being made the default for
+const claimDefaults = (user, address, value) => {
+    for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+        if (value[flag]) {
+            user.addresses.forEach(other => { other[flag] = false; });
+            address[flag] = true;
+        }
+    }
+};
+
+const validationMessage = (error) => Object.values(error.errors)
+    .filter(item => item.name !== 'ValidationError')
+    .map(item => item.message)
+    .join(', ');
+
+// @desc    Get the current user's address book
+// @route   GET /api/users/me/addresses
+// @access  Private
+const getAddresses = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        res.json({
+            success: true,
+            count: user.addresses.length,
+            data: user.addresses,
+            // Free-text address from before the address book, if it could not be converted
+            legacyAddress: user.legacyAddress || null
+        });
+    } catch (error) {
+        logger.error('Get addresses error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Add an address
+// @route   POST /api/users/me/addresses
+// @access  Private
+const addAddress = async (req, res) => {
+    try {
+        const { error, value } = createAddressSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (user.addresses.length >= MAX_ADDRESSES) {
+            return res.status(400).json({
+                success: false,
+                message: `An address book holds at most ${MAX_ADDRESSES} addresses`
+            });
+        }
+
+        const { isDefaultShipping, isDefaultBilling, ...fields } = value;
+        user.addresses.push(fields);
+        const address = user.addresses[user.addresses.length - 1];
+        claimDefaults(user, address, value);
+        // Once an address has been entered the old free text is no longer needed
+        user.legacyAddress = undefined;
+        await user.save();
+
+        await audit.record(audit.contextFor(req, user), {
+            action: 'user.address_add',
+            targetType: 'users',
+            targetId: user._id,
+            after: address
+        });
+
+        logger.info(`Address added: user ${user._id}, address ${address._id}`);
+        res.status(201).json({
+            success: true,
+            data: address
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        logger.error('Add address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update an address or make it a default
+// @route   PUT /api/users/me/addresses/:addressId
+// @access  Private
+const updateAddress = async (req, res) => {
+    try {
+        const { error, value } = updateAddressSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const address = user.addresses.id(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        const previous = audit.snapshot(address);
+        const { isDefaultShipping, isDefaultBilling, ...fields } = value;
+        address.set(fields);
+        claimDefaults(user, address, value);
+        await user.save();
+
+        await audit.record(audit.contextFor(req, user), {
+            action: 'user.address_update',
+            targetType: 'users',
+            targetId: user._id,
+            before: previous,
+            after: address
+        });
+
+        res.json({
+            success: true,
+            data: address
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        logger.error('Update address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove an address
+// @route   DELETE /api/users/me/addresses/:addressId
+// @access  Private
+const removeAddress = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        const address = user.addresses.id(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({
+                success: false,
+                message: 'Address not found'
+            });
+        }
+
+        // A removed default passes to the first remaining address
+        address.deleteOne();
+        await user.save();
+
+        await audit.record(audit.contextFor(req, user), {
+            action: 'user.address_remove',
+            targetType: 'users',
+            targetId: user._id,
+            before: address
+        });
+
+        res.json({
+            success: true,
+            message: 'Address removed'
+        });
+    } catch (error) {
+        logger.error('Remove address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getAddresses,
+    addAddress,
+    updateAddress,
+    removeAddress
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required: [recipient, line1, city, country]
+ *       properties:
+ *         recipient:
+ *           type: string
+ *         line1:
+ *           type: string
+ *         line2:
+ *           type: string
+ *         city:
+ *           type: string
+ *         region:
+ *           type: string
+ *           description: State, province or county; required for US, CA, AU, IN and JP
+ *         postalCode:
+ *           type: string
+ *           description: Checked against the country's postal code format
+ *         country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 code
+ *           enum: [US, CA, GB, IE, DE, FR, NL, ES, IT, AU, IN, JP, AE]
+ *         phone:
+ *           type: string
+ *           description: Checked against the country's numbering and stored in E.164 form
+ *         isDefaultShipping:
+ *           type: boolean
+ *         isDefaultBilling:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Addresses
+ *   description: Address book of the logged-in user
+ */
+
+/**
+ * @swagger
+ * /api/users/me/addresses:
+ *   get:
+ *     summary: Get the address book
+ *     description: Also returns legacyAddress, the free-text address from before the address book when it could not be converted.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Address'
+ *                 legacyAddress:
+ *                   type: string
+ *                   nullable: true
+ *   post:
+ *     summary: Add an address
+ *     description: The first address becomes the default shipping and billing address. Setting isDefaultShipping or isDefaultBilling moves that default to the new address.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       201:
+ *         description: Address added
+ *       400:
+ *         description: Invalid address, or the address book is full
+ *
+ * /api/users/me/addresses/{addressId}:
+ *   put:
+ *     summary: Update an address or make it a default
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Address'
+ *     responses:
+ *       200:
+ *         description: Address updated
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: Address not found
+ *   delete:
+ *     summary: Remove an address
+ *     description: When it was a default, the first remaining address takes its place.
+ *     tags: [Addresses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: addressId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Address removed
+ *       404:
+ *         description: Address not found
+ */
@@ -0,0 +1,204 @@
+const AuditLog = require('../models/AuditLog');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+const auditQuerySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    // A user id or the email the actor had at the time
+    actor: Joi.alternatives().try(
+        Joi.string().hex().length(24),
+        Joi.string().email()
+    ),
+    action: Joi.string().pattern(/^[a-z_]+(\.[a-z_]+)?$/).max(60),
+    targetType: Joi.string().max(30),
+    targetId: Joi.string().max(100),
+    from: Joi.date().iso(),
+    to: Joi.date().iso().min(Joi.ref('from'))
+});
+
+// @desc    Search the audit log
+// @route   GET /api/admin/audit
+// @access  Private (audit:read)
+const getAuditLog = async (req, res) => {
+    try {
+        const { error, value } = auditQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, actor, action, targetType, targetId, from, to } = value;
+        const query = {};
+        if (actor) {
+            if (actor.includes('@')) {
+                query.actorEmail = actor.toLowerCase();
+            } else {
+                query.actor = actor;
+            }
+        }
+        if (action) {
+            // A bare resource ("product") matches all of its actions
+            query.action = action.includes('.') ? action : { $regex: `^${action}\\.` };
+        }
+        if (targetType) {
+            query.targetType = targetType;
+        }
+        if (targetId) {
+            query.targetId = targetId;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) {
+                query.createdAt.$gte = from;
+            }
+            if (to) {
+                query.createdAt.$lte = to;
+            }
+        }
+
+        const [entries, count] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actor', 'name email')
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: {
+                total: count,
+                page,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get audit log error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getAuditLog
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: Who made the change; null for anonymous requests
+ *         actorEmail:
+ *           type: string
+ *         action:
+ *           type: string
+ *           example: product.update
+ *         targetType:
+ *           type: string
+ *           example: products
+ *         targetId:
+ *           type: string
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields before the action; null on create
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields after the action; null on purge
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administration
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Search the audit log (requires audit:read)
+ *     description: Every create, update and delete made through the product, user and auth endpoints. Passwords and tokens are redacted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User id or email of who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: An action such as user.role_assign, or a resource such as product for all of its actions
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [products, users, roles, exchange_rates]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: Access denied
+ */
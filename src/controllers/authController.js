@@ -1,8 +1,15 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser
+} = require('../services/tokenService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/mailService');
+const audit = require('../services/auditService');
 
 const registerSchema = Joi.object({
   name: Joi.string().min(2).max(50).required(),
@@ -15,6 +22,32 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().required()
+});
+
+const emailSchema = Joi.object({
+  email: Joi.string().email().required()
+});
+
+const tokenSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
+  password: Joi.string().min(6).required()
+});
+
+// Mail failures are logged rather than failing the request that triggered them
+const sendSafely = async (send, user, token) => {
+  try {
+    await send(user, token);
+  } catch (error) {
+    logger.error(`Failed to send email to ${user.email}:`, error);
+  }
+};
+
 const register = async (req, res) => {
   try {
     const { error } = registerSchema.validate(req.body);
@@ -26,7 +59,8 @@ const register = async (req, res) => {
     }
 
     const { name, email, password } = req.body;
-    const existingUser = await User.findOne({ email });
+    // Deleted accounts keep their email so they can be restored
+    const existingUser = await User.findOne({ email }).withDeleted();
     if (existingUser) {
       return res.status(400).json({
         success: false,
@@ -36,23 +70,29 @@ const register = async (req, res) => {
 
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
-    const user = await User.create({ name, email, password: hashedPassword });
+    const user = new User({ name, email, password: hashedPassword });
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendSafely(sendVerificationEmail, user, verificationToken);
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    const tokens = await issueTokens(user, req);
+    await audit.record(audit.contextFor(req, user), {
+      action: 'auth.register',
+      targetType: 'users',
+      targetId: user._id,
+      after: user
+    });
 
     logger.info(`New user registered: ${email}`);
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -91,21 +131,37 @@ const login = async (req, res) => {
       });
     }
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is inactive'
+      });
+    }
+
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before logging in'
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+    await audit.record(audit.contextFor(req, user), {
+      action: 'auth.login',
+      targetType: 'users',
+      targetId: user._id
+    });
 
     logger.info(`User logged in: ${email}`);
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -132,7 +188,8 @@ const getProfile = async (req, res) => {
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -144,7 +201,289 @@ const getProfile = async (req, res) => {
   }
 };
 
-module.exports = { register, login, getProfile };
+const refresh = async (req, res) => {
+  try {
+    const { error } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const isUserActive = async (userId) => {
+      const user = await User.findById(userId).select('isActive');
+      return Boolean(user && user.isActive);
+    };
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req, isUserActive);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    const { error } = refreshSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const revoked = await revokeRefreshToken(req.body.refreshToken, 'logout');
+    if (revoked) {
+      await audit.record(audit.contextFor(req, { _id: revoked.user }), {
+        action: 'auth.logout',
+        targetType: 'users',
+        targetId: revoked.user
+      });
+      logger.info(`User logged out: ${revoked.user}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllForUser(req.user.userId, 'logout_all');
+    await audit.record(audit.contextFor(req), {
+      action: 'auth.logout_all',
+      targetType: 'users',
+      targetId: req.user.userId
+    });
+
+    logger.info(`User logged out of all devices: ${req.user.userId}`);
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { error } = tokenSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    // Clearing the token in the same update makes it single use
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(req.body.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        emailVerified: true,
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await audit.record(audit.contextFor(req, user), {
+      action: 'auth.verify_email',
+      targetType: 'users',
+      targetId: user._id,
+      before: { emailVerified: false },
+      after: { emailVerified: true }
+    });
+
+    logger.info(`Email verified: ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const resendVerification = async (req, res) => {
+  try {
+    const { error } = emailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    // Same response whether or not the address is registered
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && !user.emailVerified && user.isActive) {
+      const token = user.createEmailVerificationToken();
+      await user.save();
+      await sendSafely(sendVerificationEmail, user, token);
+      await audit.record(audit.contextFor(req, null), {
+        action: 'auth.resend_verification',
+        targetType: 'users',
+        targetId: user._id
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists and is not yet verified, a verification email has been sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const forgotPassword = async (req, res) => {
+  try {
+    const { error } = emailSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    // Same response whether or not the address is registered
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await sendSafely(sendPasswordResetEmail, user, token);
+      await audit.record(audit.contextFor(req, null), {
+        action: 'auth.forgot_password',
+        targetType: 'users',
+        targetId: user._id
+      });
+      logger.info(`Password reset requested: ${user.email}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists, a password reset email has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { error } = resetPasswordSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(req.body.password, salt);
+
+    // Clearing the token in the same update makes it single use
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: User.hashToken(req.body.token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      {
+        password: hashedPassword,
+        $unset: { passwordResetToken: 1, passwordResetExpires: 1 }
+      },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // A reset usually means the old password is compromised, so end every session
+    await revokeAllForUser(user._id, 'logout_all');
+    await audit.record(audit.contextFor(req, null), {
+      action: 'auth.reset_password',
+      targetType: 'users',
+      targetId: user._id
+    });
+
+    logger.info(`Password reset: ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in again'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  getProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+};
 
 /**
  * @swagger
@@ -202,9 +541,148 @@ module.exports = { register, login, getProfile };
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. Returns a short-lived access token and a refresh token.
  *       400:
  *         description: Invalid credentials
+ *       403:
+ *         description: Account is inactive, or email not verified while REQUIRE_EMAIL_VERIFICATION is set
+ *
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access/refresh token pair
+ *     description: Refresh tokens are single use. Presenting one that was already exchanged revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the session a refresh token belongs to
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: End every session of the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices
+ *       401:
+ *         description: Unauthorized
+ *
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token is invalid, used or expired
+ *
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sent if the account exists and is unverified
+ *
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sent if the account exists
+ *
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with the token from the reset email
+ *     description: All existing sessions of the user are revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Token is invalid, used or expired
  * 
  * /api/auth/me:
  *   get:
@@ -0,0 +1,483 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { loadCart, priceCart, cartInMajorUnits, heldElsewhere, addToCart } = require('../services/cartService');
+const { validateCoupon } = require('../services/discountService');
+
+// Validation schemas
+const addItemSchema = Joi.object({
+    productId: Joi.string().hex().length(24).required(),
+    size: Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'),
+    color: Joi.string(),
+    quantity: Joi.number().integer().min(1).default(1)
+});
+
+const updateItemSchema = Joi.object({
+    quantity: Joi.number().integer().min(1).required()
+});
+
+const couponSchema = Joi.object({
+    code: Joi.string().max(30).required()
+});
+
+// Tax is estimated for the default shipping address, when there is one
+const sendCart = async (res, cart, status = 200) => {
+    await cart.populate('items.product');
+    const user = await User.findById(cart.user).select('addresses');
+    const address = user ? user.defaultAddress('shipping') : null;
+    res.status(status).json({
+        success: true,
+        data: cartInMajorUnits(await priceCart(cart, { address }))
+    });
+};
+
+// @desc    Get current user's cart
+// @route   GET /api/cart
+// @access  Private
+const getCart = async (req, res) => {
+    try {
+        const cart = await loadCart(req.user.userId);
+        await sendCart(res, cart);
+    } catch (error) {
+        logger.error('Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Add item to cart (merges with an existing line of the same size/color)
+// @route   POST /api/cart/items
+// @access  Private
+const addItem = async (req, res) => {
+    try {
+        const { error, value } = addItemSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const cart = await addToCart(req.user.userId, value);
+
+        logger.info(`Cart item added: user ${req.user.userId}, product ${value.productId}`);
+        await sendCart(res, cart, 201);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Add cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update quantity of a cart line
+// @route   PUT /api/cart/items/:itemId
+// @access  Private
+const updateItem = async (req, res) => {
+    try {
+        const { error, value } = updateItemSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const cart = await loadCart(req.user.userId);
+        const line = cart.items.id(req.params.itemId);
+        if (!line) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart item not found'
+            });
+        }
+
+        const product = await Product.findById(line.product);
+        if (!product || !product.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product is no longer available'
+            });
+        }
+
+        const available = product.availableFor(line.size, line.color);
+        if (heldElsewhere(cart, product, line) + value.quantity > available) {
+            return res.status(400).json({
+                success: false,
+                message: `Only ${available} unit(s) of ${product.name} available`
+            });
+        }
+
+        line.quantity = value.quantity;
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        logger.error('Update cart item error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart item not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove a line from the cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Private
+const removeItem = async (req, res) => {
+    try {
+        const cart = await loadCart(req.user.userId);
+        const line = cart.items.id(req.params.itemId);
+        if (!line) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart item not found'
+            });
+        }
+
+        line.deleteOne();
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        logger.error('Remove cart item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove all items from the cart
+// @route   DELETE /api/cart
+// @access  Private
+const clearCart = async (req, res) => {
+    try {
+        const cart = await loadCart(req.user.userId);
+        cart.items = [];
+        cart.couponCode = undefined;
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        logger.error('Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Apply a coupon code to the cart
+// @route   POST /api/cart/coupon
+// @access  Private
+const applyCoupon = async (req, res) => {
+    try {
+        const { error, value } = couponSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const cart = await loadCart(req.user.userId);
+        await cart.populate('items.product');
+        const lines = cart.summarize().items
+            .filter(item => item.available)
+            .map(item => ({ category: item.product.category, brand: item.product.brand, subtotal: item.subtotal }));
+
+        const coupon = await validateCoupon(value.code, req.user.userId, lines);
+        cart.couponCode = coupon.code;
+        await cart.save();
+
+        logger.info(`Coupon ${coupon.code} applied to cart of user ${req.user.userId}`);
+        await sendCart(res, cart);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Apply coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove the coupon from the cart
+// @route   DELETE /api/cart/coupon
+// @access  Private
+const removeCoupon = async (req, res) => {
+    try {
+        const cart = await loadCart(req.user.userId);
+        cart.couponCode = undefined;
+        await cart.save();
+
+        await sendCart(res, cart);
+    } catch (error) {
+        logger.error('Remove coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getCart,
+    addItem,
+    updateItem,
+    removeItem,
+    clearCart,
+    applyCoupon,
+    removeCoupon
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Cart:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               product:
+ *                 type: object
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *               subtotal:
+ *                 type: number
+ *               available:
+ *                 type: boolean
+ *                 description: False when the product was removed, deactivated or is out of stock
+ *               promotion:
+ *                 type: string
+ *                 description: Name of the automatic promotion applied to the line
+ *               discount:
+ *                 type: number
+ *                 description: Promotion plus coupon discount on the line
+ *               total:
+ *                 type: number
+ *               tax:
+ *                 type: number
+ *                 description: Estimated tax on the line, when the cart has a tax estimate
+ *         itemCount:
+ *           type: integer
+ *         subtotal:
+ *           type: number
+ *         couponCode:
+ *           type: string
+ *         couponError:
+ *           type: string
+ *           description: Why the applied coupon currently gives no discount
+ *         promotionDiscount:
+ *           type: number
+ *         couponDiscount:
+ *           type: number
+ *         discount:
+ *           type: number
+ *         freeShipping:
+ *           type: boolean
+ *         tax:
+ *           type: object
+ *           nullable: true
+ *           description: Estimate for the default shipping address; null when the user has none. Shipping is not included.
+ *           properties:
+ *             country:
+ *               type: string
+ *             region:
+ *               type: string
+ *               nullable: true
+ *             pricesIncludeTax:
+ *               type: boolean
+ *             amount:
+ *               type: number
+ *             rates:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRate'
+ *             total:
+ *               type: number
+ *         total:
+ *           type: number
+ *           description: Subtotal less discounts, plus the estimated tax when prices exclude it
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Shopping cart of the logged-in user
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get the current user's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The cart with recalculated subtotals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *   delete:
+ *     summary: Remove all items from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The emptied cart
+ *
+ * /api/cart/coupon:
+ *   post:
+ *     summary: Apply a coupon code to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The cart with the discount broken down per line
+ *       400:
+ *         description: Coupon cannot be used on this cart
+ *       404:
+ *         description: Unknown coupon code
+ *   delete:
+ *     summary: Remove the coupon from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *
+ * /api/cart/items:
+ *   post:
+ *     summary: Add an item to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *                 enum: [XS, S, M, L, XL, XXL, ONESIZE]
+ *               color:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       201:
+ *         description: The updated cart
+ *       400:
+ *         description: Invalid size/color or not enough stock
+ *       404:
+ *         description: Product not found
+ *
+ * /api/cart/items/{itemId}:
+ *   put:
+ *     summary: Change the quantity of a cart line
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       400:
+ *         description: Not enough stock
+ *       404:
+ *         description: Cart item not found
+ *   delete:
+ *     summary: Remove a line from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The updated cart
+ *       404:
+ *         description: Cart item not found
+ */
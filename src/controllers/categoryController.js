@@ -0,0 +1,404 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const {
+    buildTree,
+    syncDescendants,
+    renameCategoryReferences,
+    migrateLegacyCategories
+} = require('../services/categoryService');
+
+// Validation schemas
+const slugPattern = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const categorySchema = Joi.object({
+    name: Joi.string().max(50).required(),
+    slug: Joi.string().max(60).pattern(slugPattern),
+    description: Joi.string().max(500).allow(''),
+    parent: Joi.string().hex().length(24).allow(null),
+    sortOrder: Joi.number().integer(),
+    isActive: Joi.boolean()
+});
+
+const updateCategorySchema = Joi.object({
+    name: Joi.string().max(50),
+    slug: Joi.string().max(60).pattern(slugPattern),
+    description: Joi.string().max(500).allow(''),
+    parent: Joi.string().hex().length(24).allow(null),
+    sortOrder: Joi.number().integer(),
+    isActive: Joi.boolean()
+}).min(1);
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Category not found'
+});
+
+const validationMessage = (error) => Object.values(error.errors).map(val => val.message).join(', ');
+
+// @desc    Get the category tree
+// @route   GET /api/categories
+// @access  Public
+const getCategories = async (req, res) => {
+    try {
+        const categories = await Category.find({ isActive: true });
+
+        res.json({
+            success: true,
+            data: buildTree(categories)
+        });
+    } catch (error) {
+        logger.error('Get categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a category with its breadcrumb and children
+// @route   GET /api/categories/:slug
+// @access  Public
+const getCategory = async (req, res) => {
+    try {
+        const category = await Category.findOne({ slug: req.params.slug, isActive: true });
+        if (!category) {
+            return notFound(res);
+        }
+
+        const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug');
+        const breadcrumb = category.ancestors
+            .map(id => ancestors.find(ancestor => ancestor._id.equals(id)))
+            .filter(Boolean);
+        const children = await Category.find({ parent: category._id, isActive: true })
+            .select('name slug sortOrder')
+            .sort({ sortOrder: 1, name: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                ...category.toObject(),
+                breadcrumb,
+                children
+            }
+        });
+    } catch (error) {
+        logger.error('Get category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private (products:write)
+const createCategory = async (req, res) => {
+    try {
+        const { error, value } = categorySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const category = await Category.create(value);
+
+        logger.info(`Category created: ${category.slug}`);
+        res.status(201).json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category slug already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        logger.error('Create category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update, rename or move a category
+// @route   PUT /api/categories/:id
+// @access  Private (products:write)
+const updateCategory = async (req, res) => {
+    try {
+        const { error, value } = updateCategorySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            return notFound(res);
+        }
+
+        const previousSlug = category.slug;
+        category.set(value);
+        const moved = category.isModified('parent');
+        await category.save();
+
+        if (moved) {
+            await syncDescendants(category);
+        }
+        if (category.slug !== previousSlug) {
+            await renameCategoryReferences(previousSlug, category.slug);
+        }
+
+        logger.info(`Category updated: ${category.slug}`);
+        res.json({
+            success: true,
+            data: category
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Category slug already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        logger.error('Update category error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a category that has no subcategories or products
+// @route   DELETE /api/categories/:id
+// @access  Private (products:write)
+const deleteCategory = async (req, res) => {
+    try {
+        const category = await Category.findById(req.params.id);
+        if (!category) {
+            return notFound(res);
+        }
+
+        if (await Category.exists({ parent: category._id })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Move or delete the subcategories first'
+            });
+        }
+        // Trashed products count too, they can still be restored
+        const products = await Product.countDocuments({ category: category.slug }).withDeleted();
+        if (products > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Category still has ${products} product(s)`
+            });
+        }
+
+        await category.deleteOne();
+
+        logger.info(`Category deleted: ${category.slug}`);
+        res.json({
+            success: true,
+            message: 'Category removed'
+        });
+    } catch (error) {
+        logger.error('Delete category error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Convert legacy free-text product categories to category slugs
+// @route   POST /api/categories/migrate-legacy
+// @access  Private (products:write)
+const migrateCategories = async (req, res) => {
+    try {
+        const report = await migrateLegacyCategories();
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        logger.error('Migrate categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getCategories,
+    getCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    migrateCategories
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *           description: Generated from the name when omitted. Products reference categories by slug.
+ *         description:
+ *           type: string
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Id of the parent category
+ *         sortOrder:
+ *           type: integer
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         name: Footwear
+ *         parent: null
+ *         sortOrder: 5
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Product category tree
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: Get the tree of active categories
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Root categories with nested children
+ *   post:
+ *     summary: Create a category (requires products:write)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       201:
+ *         description: The created category
+ *       400:
+ *         description: Invalid input, unknown parent or duplicate slug
+ *
+ * /api/categories/migrate-legacy:
+ *   post:
+ *     summary: Convert free-text product categories to category slugs (requires products:write)
+ *     description: Creates a top-level category for every category value found on products that has no matching slug, then rewrites products, coupons and promotions to use the slug. Safe to run repeatedly.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Created categories and renamed values
+ *
+ * /api/categories/{slug}:
+ *   get:
+ *     summary: Get a category with its breadcrumb and direct children
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The category
+ *       404:
+ *         description: Category not found
+ *
+ * /api/categories/{id}:
+ *   put:
+ *     summary: Update, rename or move a category (requires products:write)
+ *     description: Changing the slug updates products, coupons and promotions that reference it.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Category'
+ *     responses:
+ *       200:
+ *         description: The updated category
+ *       400:
+ *         description: Invalid input, or moving a category below itself
+ *       404:
+ *         description: Category not found
+ *   delete:
+ *     summary: Delete a category (requires products:write)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       400:
+ *         description: Category still has subcategories or products
+ *       404:
+ *         description: Category not found
+ */
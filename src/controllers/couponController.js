@@ -0,0 +1,407 @@
+const Coupon = require('../models/Coupon');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+// Validation schemas
+const couponFields = {
+    code: Joi.string().max(30).pattern(/^[A-Za-z0-9_-]+$/),
+    description: Joi.string().max(200).allow(''),
+    type: Joi.string().valid('percentage', 'fixed', 'free_shipping'),
+    value: Joi.number().min(0).when('type', {
+        is: 'percentage',
+        then: Joi.number().max(100)
+    }),
+    startsAt: Joi.date().allow(null),
+    endsAt: Joi.date().allow(null).when('startsAt', {
+        is: Joi.date().required(),
+        then: Joi.date().min(Joi.ref('startsAt'))
+    }),
+    minOrderValue: Joi.number().min(0),
+    usageLimit: Joi.number().integer().min(1).allow(null),
+    usageLimitPerUser: Joi.number().integer().min(1).allow(null),
+    categories: Joi.array().items(Joi.string()),
+    brands: Joi.array().items(Joi.string()),
+    isActive: Joi.boolean()
+};
+
+const couponSchema = Joi.object({
+    ...couponFields,
+    code: couponFields.code.required(),
+    type: couponFields.type.required(),
+    value: couponFields.value.when('type', {
+        is: Joi.valid('percentage', 'fixed'),
+        then: Joi.required()
+    })
+});
+
+const updateCouponSchema = Joi.object(couponFields).min(1);
+
+const listCouponsSchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    active: Joi.string().valid('true', 'false'),
+    // Part of a code; letters, digits, _ and - only, so it is safe in a regex
+    code: couponFields.code
+});
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Coupon not found'
+});
+
+// @desc    List coupons
+// @route   GET /api/coupons
+// @access  Private (promotions:manage)
+const getCoupons = async (req, res) => {
+    try {
+        const { error, value } = listCouponsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+        const { page, limit, active, code } = value;
+
+        const query = {};
+        if (active !== undefined) query.isActive = active === 'true';
+        if (code) query.code = { $regex: code, $options: 'i' };
+
+        const coupons = await Coupon.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const count = await Coupon.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: coupons,
+            pagination: {
+                total: count,
+                page,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get a coupon
+// @route   GET /api/coupons/:id
+// @access  Private (promotions:manage)
+const getCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return notFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        logger.error('Get coupon error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create a coupon
+// @route   POST /api/coupons
+// @access  Private (promotions:manage)
+const createCoupon = async (req, res) => {
+    try {
+        const { error, value } = couponSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const coupon = await Coupon.create(value);
+
+        logger.info(`Coupon created: ${coupon.code}`);
+        res.status(201).json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code already exists'
+            });
+        }
+        logger.error('Create coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update a coupon
+// @route   PUT /api/coupons/:id
+// @access  Private (promotions:manage)
+const updateCoupon = async (req, res) => {
+    try {
+        const { error, value } = updateCouponSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const coupon = await Coupon.findByIdAndUpdate(
+            req.params.id,
+            value,
+            { new: true, runValidators: true }
+        );
+        if (!coupon) {
+            return notFound(res);
+        }
+
+        logger.info(`Coupon updated: ${coupon.code}`);
+        res.json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code already exists'
+            });
+        }
+        logger.error('Update coupon error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private (promotions:manage)
+const deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findByIdAndDelete(req.params.id);
+        if (!coupon) {
+            return notFound(res);
+        }
+
+        logger.info(`Coupon deleted: ${coupon.code}`);
+        res.json({
+            success: true,
+            message: 'Coupon removed'
+        });
+    } catch (error) {
+        logger.error('Delete coupon error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       required:
+ *         - code
+ *         - type
+ *       properties:
+ *         code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_shipping]
+ *         value:
+ *           type: number
+ *           description: Percent off (percentage) or amount off (fixed)
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         minOrderValue:
+ *           type: number
+ *         usageLimit:
+ *           type: integer
+ *           description: Total uses across all customers
+ *         usageLimitPerUser:
+ *           type: integer
+ *         usedCount:
+ *           type: integer
+ *           readOnly: true
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Limit the discount to these category slugs (subcategories included)
+ *         brands:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Limit the discount to these brands
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         code: SUMMER20
+ *         type: percentage
+ *         value: 20
+ *         minOrderValue: 50
+ *         usageLimitPerUser: 1
+ *         categories: [women]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Coupons
+ *   description: Coupon management (requires promotions:manage)
+ */
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The coupons
+ *       400:
+ *         description: Invalid paging or filters
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       201:
+ *         description: The created coupon
+ *       400:
+ *         description: Invalid input or duplicate code
+ *
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The coupon
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Coupon'
+ *     responses:
+ *       200:
+ *         description: The updated coupon
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Delete a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Coupon deleted
+ *       404:
+ *         description: Coupon not found
+ */
@@ -0,0 +1,245 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const audit = require('../services/auditService');
+const { setExchangeRate, removeExchangeRate } = require('../services/currencyService');
+const { CURRENCIES, baseCurrency } = require('../config/currencies');
+
+// Validation schemas
+// The base currency is turned away by setExchangeRate
+const currencySchema = Joi.string().uppercase().valid(...Object.keys(CURRENCIES)).label('currency');
+
+const rateSchema = Joi.object({
+    // Units of the currency one unit of the base currency buys
+    rate: Joi.number().positive().precision(6).required()
+});
+
+// @desc    List supported currencies with their stored exchange rates
+// @route   GET /api/admin/exchange-rates
+// @access  Private (currencies:manage)
+const getExchangeRates = async (req, res) => {
+    try {
+        const stored = await ExchangeRate.find({ base: baseCurrency() })
+            .populate('updatedBy', 'name email');
+        const byCurrency = new Map(stored.map(entry => [entry.currency, entry]));
+
+        res.json({
+            success: true,
+            base: baseCurrency(),
+            data: Object.entries(CURRENCIES)
+                .filter(([code]) => code !== baseCurrency())
+                .map(([code, details]) => {
+                    const entry = byCurrency.get(code);
+                    return {
+                        currency: code,
+                        name: details.name,
+                        rate: entry ? entry.rate : null,
+                        updatedAt: entry ? entry.updatedAt : null,
+                        updatedBy: entry ? entry.updatedBy : null
+                    };
+                })
+        });
+    } catch (error) {
+        logger.error('Get exchange rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Set the exchange rate of a currency and reprice the catalog
+// @route   PUT /api/admin/exchange-rates/:currency
+// @access  Private (currencies:manage)
+const updateExchangeRate = async (req, res) => {
+    try {
+        const { error: currencyError, value: currency } = currencySchema.validate(req.params.currency);
+        if (currencyError) {
+            return res.status(400).json({
+                success: false,
+                message: currencyError.details[0].message
+            });
+        }
+        const { error, value } = rateSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { rate, previous } = await setExchangeRate(currency, value.rate, req.currentUser._id);
+        await audit.record(audit.contextFor(req), {
+            action: 'exchange_rate.update',
+            targetType: 'exchange_rates',
+            targetId: currency,
+            before: previous === null ? null : { rate: previous },
+            after: { rate: value.rate }
+        });
+
+        logger.info(`Exchange rate ${baseCurrency()}/${currency}: ${previous} -> ${value.rate} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: rate
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Update exchange rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove the exchange rate of a currency
+// @route   DELETE /api/admin/exchange-rates/:currency
+// @access  Private (currencies:manage)
+const deleteExchangeRate = async (req, res) => {
+    try {
+        const currency = String(req.params.currency).toUpperCase();
+        const removed = await removeExchangeRate(currency);
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Exchange rate not found'
+            });
+        }
+        await audit.record(audit.contextFor(req), {
+            action: 'exchange_rate.delete',
+            targetType: 'exchange_rates',
+            targetId: currency,
+            before: { rate: removed.rate },
+            after: null
+        });
+
+        logger.info(`Exchange rate ${baseCurrency()}/${currency} removed by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            message: 'Exchange rate removed'
+        });
+    } catch (error) {
+        logger.error('Delete exchange rate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getExchangeRates,
+    updateExchangeRate,
+    deleteExchangeRate
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code
+ *         name:
+ *           type: string
+ *         rate:
+ *           type: number
+ *           nullable: true
+ *           description: Units of the currency one unit of the base currency buys; null when not set
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         updatedBy:
+ *           type: object
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/admin/exchange-rates:
+ *   get:
+ *     summary: List supported currencies and their exchange rates
+ *     description: Products can be listed in the base currency and in every currency with a rate.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The currencies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 base:
+ *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ExchangeRate'
+ *       403:
+ *         description: Requires currencies:manage
+ *
+ * /api/admin/exchange-rates/{currency}:
+ *   put:
+ *     summary: Set the exchange rate of a currency
+ *     description: Converted prices are recalculated for the whole catalog. Prices set by hand for the currency are kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rate
+ *             properties:
+ *               rate:
+ *                 type: number
+ *                 example: 0.92
+ *     responses:
+ *       200:
+ *         description: The stored rate
+ *       400:
+ *         description: Unsupported currency, the base currency or an invalid rate
+ *       403:
+ *         description: Requires currencies:manage
+ *   delete:
+ *     summary: Remove the exchange rate of a currency
+ *     description: Products can no longer be listed in the currency.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Exchange rate removed
+ *       403:
+ *         description: Requires currencies:manage
+ *       404:
+ *         description: Exchange rate not found
+ */
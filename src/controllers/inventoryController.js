@@ -0,0 +1,331 @@
+const InventoryMovement = require('../models/InventoryMovement');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { adjustStock, lowStockReport } = require('../services/inventoryService');
+
+// Validation schemas
+const movementSchema = Joi.object({
+    type: Joi.string().valid('restock', 'return', 'adjustment').required(),
+    // Signed change; restocks and returns only add stock
+    quantity: Joi.number().integer().invalid(0).required().when('type', {
+        is: Joi.valid('restock', 'return'),
+        then: Joi.number().min(1)
+    }),
+    size: Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'),
+    color: Joi.string().max(30),
+    reason: Joi.string().max(500).required()
+});
+
+const historySchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    type: Joi.string().valid(...InventoryMovement.MOVEMENT_TYPES),
+    size: Joi.string(),
+    color: Joi.string()
+});
+
+// @desc    Stock movement history of a product
+// @route   GET /api/products/:id/inventory
+// @access  Private (inventory:manage)
+const getMovements = async (req, res) => {
+    try {
+        const { error, value } = historySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, ...filters } = value;
+        const query = { product: req.params.id, ...filters };
+
+        const [movements, count] = await Promise.all([
+            InventoryMovement.find(query)
+                .populate('actor', 'name email')
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit)
+                .skip((page - 1) * limit),
+            InventoryMovement.countDocuments(query)
+        ]);
+
+        res.json({
+            success: true,
+            data: movements,
+            pagination: {
+                total: count,
+                page,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get inventory movements error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restock, return or adjust a product's stock
+// @route   POST /api/products/:id/inventory
+// @access  Private (inventory:manage)
+const createMovement = async (req, res) => {
+    try {
+        const { error, value } = movementSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { level } = await adjustStock(req.params.id, value, req.user.userId);
+
+        logger.info(`Stock ${value.type} of ${value.quantity} for product ${req.params.id} by ${req.currentUser.email}`);
+        res.status(201).json({
+            success: true,
+            data: {
+                product: req.params.id,
+                variant: level.variant,
+                sku: level.sku,
+                size: level.size,
+                color: level.color,
+                stock: level.stock
+            }
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Create inventory movement error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Items at or below their low-stock threshold
+// @route   GET /api/products/low-stock
+// @access  Private (inventory:manage)
+const getLowStock = async (req, res) => {
+    try {
+        const items = await lowStockReport();
+        res.json({
+            success: true,
+            count: items.length,
+            data: items
+        });
+    } catch (error) {
+        logger.error('Low-stock report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getMovements,
+    createMovement,
+    getLowStock
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *           nullable: true
+ *         size:
+ *           type: string
+ *         color:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [restock, sale, return, adjustment]
+ *         quantity:
+ *           type: integer
+ *           description: Signed change in stock
+ *         balance:
+ *           type: integer
+ *           description: Stock of the item right after the change
+ *         reason:
+ *           type: string
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: Who made the change; null for system changes
+ *         order:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock movement ledger and low-stock alerts
+ */
+
+/**
+ * @swagger
+ * /api/products/low-stock:
+ *   get:
+ *     summary: Items at or below their product's low-stock threshold (requires inventory:manage)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Low-stock items, lowest stock first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       product:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       category:
+ *                         type: string
+ *                       variant:
+ *                         type: string
+ *                         nullable: true
+ *                       size:
+ *                         type: string
+ *                       color:
+ *                         type: string
+ *                       sku:
+ *                         type: string
+ *                       stock:
+ *                         type: integer
+ *                       threshold:
+ *                         type: integer
+ *
+ * /api/products/{id}/inventory:
+ *   get:
+ *     summary: Stock movement history of a product (requires inventory:manage)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [restock, sale, return, adjustment]
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/InventoryMovement'
+ *   post:
+ *     summary: Restock, return or adjust stock (requires inventory:manage)
+ *     description: For products with variants, size and color pick the variant. Stock never goes below zero.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, quantity, reason]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [restock, return, adjustment]
+ *               quantity:
+ *                 type: integer
+ *                 description: Signed change; must be positive for restock and return
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The item's new stock
+ *       400:
+ *         description: Invalid movement
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: Not enough stock for a negative adjustment
+ */
@@ -0,0 +1,985 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { ORDER_STATUSES } = require('../models/Order');
+const Cart = require('../models/Cart');
+const User = require('../models/User');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { reserveStock, releaseStock } = require('../services/inventoryService');
+const { validateCoupon, priceLines, redeemCoupon, releaseCoupon } = require('../services/discountService');
+const { changeOrderStatus } = require('../services/orderService');
+const { unrefundedPayment } = require('../services/paymentService');
+const { quoteShipping, shippingConfigured } = require('../services/shippingService');
+const { calculateTax } = require('../services/taxService');
+const { trackingUrlFor } = require('../config/carriers');
+const { baseCurrency } = require('../config/currencies');
+
+// Validation schemas
+const checkoutSchema = Joi.object({
+    // Address book entries; the defaults are used when left out
+    shippingAddressId: Joi.string().hex().length(24),
+    billingAddressId: Joi.string().hex().length(24),
+    // Code of a shipping method; the cheapest one is used when left out
+    shippingMethod: Joi.string().max(40),
+    shippingAddress: Joi.string().max(255).optional().allow(''),
+    notes: Joi.string().max(500).optional().allow('')
+});
+
+const statusSchema = Joi.object({
+    status: Joi.string().valid(...ORDER_STATUSES).required(),
+    note: Joi.string().max(500).optional().allow('')
+});
+
+const shipmentSchema = Joi.object({
+    carrier: Joi.string().max(40).lowercase().required(),
+    trackingNumber: Joi.string().max(60).required(),
+    // Needed for carriers without a known tracking page
+    trackingUrl: Joi.string().uri({ scheme: ['http', 'https'] }),
+    note: Joi.string().max(500).optional().allow('')
+});
+
+const MAX_PAGE_SIZE = 100;
+
+// Listing query params of the current user's orders
+const listOrdersSchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(10),
+    status: Joi.string().valid(...ORDER_STATUSES)
+});
+
+// Staff may also narrow the listing to one customer
+const listAllOrdersSchema = listOrdersSchema.keys({
+    user: Joi.string().hex().length(24)
+});
+
+// Statuses an order can take shipments in
+const SHIPPABLE_STATUSES = ['paid', 'shipped'];
+
+// @desc    Place an order from the current user's cart
+// @route   POST /api/orders/checkout
+// @access  Private
+const checkout = async (req, res) => {
+    try {
+        const { error, value } = checkoutSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const cart = await Cart.findOne({ user: req.user.userId });
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const addressFor = (id, kind) => {
+            const address = id ? user.addresses.id(id) : user.defaultAddress(kind);
+            return address && address.toObject();
+        };
+        const shipTo = addressFor(value.shippingAddressId, 'shipping');
+        const billTo = addressFor(value.billingAddressId, 'billing');
+        if ((value.shippingAddressId && !shipTo) || (value.billingAddressId && !billTo)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Address not found in your address book'
+            });
+        }
+        if (value.shippingMethod && !shipTo) {
+            return res.status(400).json({
+                success: false,
+                message: 'A shipping method needs an address from your address book'
+            });
+        }
+
+        const lines = cart.items.map(item => ({
+            product: String(item.product),
+            size: item.size,
+            color: item.color,
+            quantity: item.quantity
+        }));
+
+        // Check the coupon against the cart as it stands before taking any stock
+        let coupon = null;
+        if (cart.couponCode) {
+            await cart.populate('items.product');
+            const preview = cart.summarize().items
+                .filter(item => item.available)
+                .map(item => ({ category: item.product.category, brand: item.product.brand, subtotal: item.subtotal }));
+            try {
+                coupon = await validateCoupon(cart.couponCode, req.user.userId, preview);
+            } catch (couponError) {
+                if (couponError.statusCode) {
+                    return res.status(400).json({
+                        success: false,
+                        message: couponError.message
+                    });
+                }
+                throw couponError;
+            }
+        }
+
+        // The id is fixed up front so the stock ledger can point at the order
+        const orderId = new mongoose.Types.ObjectId();
+        const checkoutFailed = { type: 'return', reason: 'Checkout failed', order: orderId };
+
+        let products;
+        try {
+            products = await reserveStock(lines, { order: orderId, actor: req.user.userId });
+        } catch (reserveError) {
+            if (reserveError.statusCode) {
+                return res.status(reserveError.statusCode).json({
+                    success: false,
+                    message: reserveError.message
+                });
+            }
+            throw reserveError;
+        }
+
+        // Snapshot from the documents returned by the decrement so the order
+        // records exactly the price that was current when stock was taken
+        const items = lines.map(line => {
+            const product = products.get(line.product);
+            const variant = product.findVariant(line.size, line.color);
+            const priceMinor = product.priceMinorFor(variant);
+            return {
+                product: product._id,
+                name: product.name,
+                sku: product.skuFor(variant),
+                category: product.category,
+                brand: product.brand,
+                priceMinor,
+                size: line.size,
+                color: line.color,
+                quantity: line.quantity,
+                subtotalMinor: priceMinor * line.quantity
+            };
+        });
+        // Discounts, shipping and tax are all worked out in minor units
+        const subtotal = items.reduce((sum, item) => sum + item.subtotalMinor, 0);
+
+        let order;
+        let couponRedeemed = false;
+        try {
+            const pricing = await priceLines(items.map((item, index) => ({
+                id: String(index),
+                category: item.category,
+                brand: item.brand,
+                unitPrice: item.priceMinor,
+                quantity: item.quantity,
+                subtotal: item.subtotalMinor
+            })), coupon);
+            pricing.lines.forEach((line, index) => {
+                items[index].discountMinor = line.discount;
+                items[index].promotion = line.promotion || undefined;
+            });
+
+            // Priced on the products as reserved and the discounted total.
+            // Orders without an address book entry, or placed before any
+            // zone is set up, ship without a charge.
+            let shipping = null;
+            if (shipTo) {
+                const quote = await quoteShipping(shipTo, {
+                    lines: lines.map(line => ({ product: products.get(line.product), quantity: line.quantity })),
+                    orderValue: subtotal - pricing.discount,
+                    freeShipping: pricing.freeShipping
+                });
+                const method = value.shippingMethod
+                    ? quote.methods.find(candidate => candidate.code === value.shippingMethod)
+                    : quote.methods[0];
+                if (method) {
+                    shipping = { zone: quote.zone.name, method: method.code, name: method.name, costMinor: method.price };
+                } else if (value.shippingMethod || await shippingConfigured()) {
+                    await releaseStock(lines, checkoutFailed);
+                    let message = 'No shipping method is available for this order';
+                    if (!quote.zone) {
+                        message = 'We do not ship to this address';
+                    } else if (value.shippingMethod) {
+                        message = `Shipping method ${value.shippingMethod} is not available for this order`;
+                    }
+                    return res.status(400).json({
+                        success: false,
+                        message
+                    });
+                }
+            }
+
+            // Levied where the order ships to, or where it is billed when
+            // there is no address book entry to ship to
+            const taxed = await calculateTax({
+                lines: items.map((item, index) => ({
+                    id: String(index),
+                    category: item.category,
+                    amount: item.subtotalMinor - item.discountMinor
+                })),
+                shipping: shipping ? shipping.costMinor : 0,
+                address: shipTo || billTo
+            });
+            taxed.lines.forEach((line, index) => {
+                items[index].taxMinor = line.tax;
+            });
+            if (taxed.shipping) {
+                shipping.taxMinor = taxed.shipping.tax;
+            }
+
+            if (coupon) {
+                couponRedeemed = await redeemCoupon(coupon);
+                if (!couponRedeemed) {
+                    await releaseStock(lines, checkoutFailed);
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Coupon has reached its usage limit'
+                    });
+                }
+            }
+
+            order = await Order.create({
+                _id: orderId,
+                user: req.user.userId,
+                items,
+                currency: baseCurrency(),
+                subtotalMinor: subtotal,
+                discountMinor: pricing.discount,
+                coupon: pricing.coupon || undefined,
+                freeShipping: pricing.freeShipping,
+                shipping,
+                pricesIncludeTax: taxed.pricesIncludeTax,
+                taxMinor: taxed.tax,
+                taxRates: taxed.rates.map(({ taxable, tax, ...rate }) => ({ ...rate, taxableMinor: taxable, taxMinor: tax })),
+                totalMinor: taxed.total,
+                shipTo,
+                billTo,
+                shippingAddress: value.shippingAddress,
+                notes: value.notes,
+                statusHistory: [{ to: 'pending', by: req.user.userId }]
+            });
+        } catch (createError) {
+            await releaseStock(lines, checkoutFailed);
+            if (couponRedeemed) {
+                await releaseCoupon(coupon.code);
+            }
+            throw createError;
+        }
+
+        // The order and its stock are committed by now, so a cart that cannot
+        // be cleared is logged rather than reported as a failed checkout
+        try {
+            cart.items = [];
+            cart.couponCode = undefined;
+            await cart.save();
+        } catch (cartError) {
+            logger.error(`Could not clear the cart after order ${order._id}:`, cartError);
+        }
+
+        logger.info(`Order placed: ${order._id} by user ${req.user.userId}`);
+        res.status(201).json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        logger.error('Checkout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get the current user's orders
+// @route   GET /api/orders
+// @access  Private
+const getMyOrders = async (req, res) => {
+    try {
+        const { error, value } = listOrdersSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+        const { page, limit, status } = value;
+
+        const query = { user: req.user.userId };
+        if (status) query.status = status;
+
+        const orders = await Order.find(query)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const count = await Order.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: orders,
+            pagination: {
+                total: count,
+                page,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get one of the current user's orders
+// @route   GET /api/orders/:id
+// @access  Private
+const getMyOrder = async (req, res) => {
+    try {
+        // Scoping the lookup to the user means other users' orders read as not found
+        const order = await Order.findOne({ _id: req.params.id, user: req.user.userId });
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        logger.error('Get order error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Get all orders
+// @route   GET /api/orders/admin
+// @access  Private (orders:read)
+const getAllOrders = async (req, res) => {
+    try {
+        const { error, value } = listAllOrdersSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+        const { page, limit, status, user } = value;
+
+        const query = {};
+        if (status) query.status = status;
+        if (user) query.user = user;
+
+        const orders = await Order.find(query)
+            .populate('user', 'name email')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const count = await Order.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: orders,
+            pagination: {
+                total: count,
+                page,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get all orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Move an order to a new status
+// @route   PUT /api/orders/:id/status
+// @access  Private (orders:fulfil)
+const updateOrderStatus = async (req, res) => {
+    try {
+        const { error, value } = statusSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!order.canTransitionTo(value.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change order status from ${order.status} to ${value.status}`
+            });
+        }
+
+        // Money taken for the order is given back through the payment, whose
+        // full refund marks the order refunded
+        if (['cancelled', 'refunded'].includes(value.status)) {
+            const payment = await unrefundedPayment(order._id);
+            if (payment) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Refund payment ${payment._id} before the order is ${value.status}`
+                });
+            }
+        }
+
+        const updated = await changeOrderStatus(order, value.status, {
+            by: req.currentUser._id,
+            note: value.note
+        });
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order status was changed by another request, please retry'
+            });
+        }
+
+        logger.info(`Order ${updated._id} status: ${order.status} -> ${value.status} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        logger.error('Update order status error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Attach a carrier and tracking number; ships a paid order
+// @route   POST /api/orders/:id/shipments
+// @access  Private (orders:fulfil)
+const addShipment = async (req, res) => {
+    try {
+        const { error, value } = shipmentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        if (!SHIPPABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot add a shipment to an order that is ${order.status}`
+            });
+        }
+
+        const shipment = {
+            carrier: value.carrier,
+            trackingNumber: value.trackingNumber,
+            trackingUrl: value.trackingUrl || trackingUrlFor(value.carrier, value.trackingNumber) || undefined,
+            createdBy: req.currentUser._id
+        };
+        let updated = await Order.findOneAndUpdate(
+            { _id: order._id, status: { $in: SHIPPABLE_STATUSES } },
+            { $push: { shipments: shipment } },
+            { new: true, runValidators: true }
+        );
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order status was changed by another request, please retry'
+            });
+        }
+
+        // The first parcel out of the door ships the order
+        if (updated.status === 'paid') {
+            updated = await changeOrderStatus(updated, 'shipped', {
+                by: req.currentUser._id,
+                note: value.note || `Shipped with ${value.carrier} (${value.trackingNumber})`
+            }) || await Order.findById(order._id);
+        }
+
+        logger.info(`Shipment ${value.carrier} ${value.trackingNumber} added to order ${order._id} by ${req.currentUser.email}`);
+        res.status(201).json({
+            success: true,
+            data: updated
+        });
+    } catch (error) {
+        logger.error('Add shipment error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove a shipment added by mistake; the order keeps its status
+// @route   DELETE /api/orders/:id/shipments/:shipmentId
+// @access  Private (orders:fulfil)
+const removeShipment = async (req, res) => {
+    try {
+        const order = await Order.findOneAndUpdate(
+            { _id: req.params.id, 'shipments._id': req.params.shipmentId },
+            { $pull: { shipments: { _id: req.params.shipmentId } } },
+            { new: true }
+        );
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipment not found'
+            });
+        }
+
+        logger.info(`Shipment ${req.params.shipmentId} removed from order ${order._id} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: order
+        });
+    } catch (error) {
+        logger.error('Remove shipment error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Shipment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    checkout,
+    getMyOrders,
+    getMyOrder,
+    getAllOrders,
+    updateOrderStatus,
+    addShipment,
+    removeShipment
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         user:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Product name at purchase time
+ *               sku:
+ *                 type: string
+ *                 description: Product SKU at purchase time
+ *               price:
+ *                 type: number
+ *                 description: Unit price at purchase time
+ *               priceMinor:
+ *                 type: integer
+ *                 description: The same in minor units, as stored
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *               subtotal:
+ *                 type: number
+ *               discount:
+ *                 type: number
+ *               promotion:
+ *                 type: string
+ *               tax:
+ *                 type: number
+ *         currency:
+ *           type: string
+ *           description: Currency the order was priced in
+ *         subtotal:
+ *           type: number
+ *           description: In major units; every amount is stored as an integer `<name>Minor` alongside
+ *         subtotalMinor:
+ *           type: integer
+ *         discount:
+ *           type: number
+ *         discountMinor:
+ *           type: integer
+ *         coupon:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *             type:
+ *               type: string
+ *             value:
+ *               type: number
+ *         freeShipping:
+ *           type: boolean
+ *         shipping:
+ *           type: object
+ *           nullable: true
+ *           description: Method chosen at checkout; null when no shipping was charged
+ *           properties:
+ *             zone:
+ *               type: string
+ *             method:
+ *               type: string
+ *             name:
+ *               type: string
+ *             cost:
+ *               type: number
+ *             tax:
+ *               type: number
+ *         pricesIncludeTax:
+ *           type: boolean
+ *           description: Whether item prices and shipping cost include the tax
+ *         tax:
+ *           type: number
+ *         taxMinor:
+ *           type: integer
+ *         taxRates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/TaxRate'
+ *         total:
+ *           type: number
+ *           description: Subtotal less discount plus shipping cost, plus tax when prices exclude it
+ *         totalMinor:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, shipped, delivered, cancelled, refunded]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               by:
+ *                 type: string
+ *                 description: User who made the change
+ *               note:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         shipTo:
+ *           $ref: '#/components/schemas/Address'
+ *         billTo:
+ *           $ref: '#/components/schemas/Address'
+ *         shippingAddress:
+ *           type: string
+ *           description: Free-text address of customers without an address book
+ *         notes:
+ *           type: string
+ *         shipments:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Shipment'
+ *     Shipment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         carrier:
+ *           type: string
+ *           description: ups, fedex, usps, dhl and royal_mail link to their tracking pages; any other carrier needs a trackingUrl
+ *         trackingNumber:
+ *           type: string
+ *         trackingUrl:
+ *           type: string
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Orders
+ *   description: Order placement and tracking
+ */
+
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Place an order from the items in the cart
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shippingAddressId:
+ *                 type: string
+ *                 description: Address book entry to ship to; defaults to the default shipping address
+ *               billingAddressId:
+ *                 type: string
+ *                 description: Address book entry to bill; defaults to the default billing address
+ *               shippingMethod:
+ *                 type: string
+ *                 description: Code of a method from POST /api/shipping/quote; defaults to the cheapest
+ *               shippingAddress:
+ *                 type: string
+ *                 description: Free-text address, for customers without an address book
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The created order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Cart is empty, the applied coupon is no longer valid, or the order cannot be shipped to the address
+ *       409:
+ *         description: Not enough stock for one of the items, or the coupon ran out
+ *
+ * /api/orders:
+ *   get:
+ *     summary: List the current user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The user's orders, newest first
+ *       400:
+ *         description: Invalid query parameters
+ *
+ * /api/orders/admin:
+ *   get:
+ *     summary: List all orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: Filter by user id
+ *     responses:
+ *       200:
+ *         description: All orders, newest first
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Requires orders:read
+ *
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get one of the current user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Order not found
+ *
+ * /api/orders/{id}/status:
+ *   put:
+ *     summary: Move an order to a new status
+ *     description: "Allowed transitions: pending -> paid|cancelled, paid -> shipped|cancelled|refunded, shipped -> delivered|refunded, delivered -> refunded. Cancelling or refunding puts the units back into stock."
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, paid, shipped, delivered, cancelled, refunded]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The updated order
+ *       400:
+ *         description: Illegal status transition
+ *       403:
+ *         description: Requires orders:fulfil
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order was changed concurrently, or has a captured payment to refund through POST /api/payments/{id}/refund first
+ *
+ * /api/orders/{id}/shipments:
+ *   post:
+ *     summary: Attach a carrier and tracking number to an order
+ *     description: Moves a paid order to shipped. Further shipments can be added to a shipped order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *               - trackingNumber
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *                 description: Defaults to the carrier's tracking page
+ *               note:
+ *                 type: string
+ *                 description: Recorded in the status history when the order ships
+ *     responses:
+ *       201:
+ *         description: The updated order
+ *       400:
+ *         description: Invalid input, or the order is not paid or shipped
+ *       403:
+ *         description: Requires orders:fulfil
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order was changed concurrently
+ *
+ * /api/orders/{id}/shipments/{shipmentId}:
+ *   delete:
+ *     summary: Remove a shipment added by mistake
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: shipmentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The updated order
+ *       403:
+ *         description: Requires orders:fulfil
+ *       404:
+ *         description: Shipment not found
+ */
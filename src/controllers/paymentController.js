@@ -0,0 +1,555 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { can } = require('../middleware/policy');
+const payments = require('../services/paymentService');
+
+// Validation schemas
+const createPaymentSchema = Joi.object({
+    orderId: Joi.string().hex().length(24).required()
+});
+
+const confirmPaymentSchema = Joi.object({
+    paymentMethod: Joi.string().max(200).required()
+});
+
+// Amounts in minor units (cents); the remaining amount when left out
+const amountSchema = Joi.object({
+    amount: Joi.number().integer().min(1)
+});
+
+const listPaymentsSchema = Joi.object({
+    order: Joi.string().hex().length(24).required()
+});
+
+// @desc    Start paying one of the current user's orders
+// @route   POST /api/payments
+// @access  Private
+const createPayment = async (req, res) => {
+    try {
+        const { error, value } = createPaymentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const order = await Order.findOne({ _id: value.orderId, user: req.user.userId });
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const payment = await payments.createPayment(order);
+
+        logger.info(`Payment ${payment._id} opened for order ${order._id}`);
+        res.status(201).json({
+            success: true,
+            data: payment
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Create payment error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Confirm a payment with a payment method
+// @route   POST /api/payments/:id/confirm
+// @access  Private (payment owner)
+const confirmPayment = async (req, res) => {
+    try {
+        const { error, value } = confirmPaymentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const payment = await Payment.findOne({ _id: req.params.id, user: req.user.userId });
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const confirmed = await payments.confirmPayment(payment, value);
+        if (confirmed.status === 'failed') {
+            return res.status(402).json({
+                success: false,
+                message: `Payment failed: ${confirmed.failureReason || 'declined'}`,
+                data: confirmed
+            });
+        }
+
+        res.json({
+            success: true,
+            data: confirmed
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Confirm payment error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Capture an authorised payment
+// @route   POST /api/payments/:id/capture
+// @access  Private (payments:manage)
+const capturePayment = async (req, res) => {
+    try {
+        const { error, value } = amountSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const captured = await payments.capturePayment(payment, value.amount);
+
+        logger.info(`Payment ${payment._id} captured by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: captured
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Capture payment error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Refund a captured payment in full or in part
+// @route   POST /api/payments/:id/refund
+// @access  Private (payments:manage)
+const refundPayment = async (req, res) => {
+    try {
+        const { error, value } = amountSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        const refunded = await payments.refundPayment(payment, value.amount);
+
+        logger.info(`Payment ${payment._id} refunded (${refunded.amountRefunded} of ${refunded.amountCaptured}) by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: refunded
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Refund payment error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Payment attempts of an order
+// @route   GET /api/payments?order=:orderId
+// @access  Private (order owner or orders:read)
+const getPayments = async (req, res) => {
+    try {
+        const { error, value } = listPaymentsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const query = { order: value.order };
+        if (!can(req, 'orders:read')) {
+            query.user = req.user.userId;
+        }
+        const list = await Payment.find(query).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: list.length,
+            data: list
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Get payments error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Receive a payment provider notification
+// @route   POST /api/payments/webhook
+// @access  Public (signed by the provider)
+const handleWebhook = async (req, res) => {
+    try {
+        const result = await payments.handleWebhook(req.rawBody, req.headers);
+        res.json({
+            success: true,
+            received: true,
+            duplicate: result.duplicate
+        });
+    } catch (error) {
+        if (error.statusCode === 400) {
+            logger.warn(`Rejected payment webhook: ${error.message}`);
+        }
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Payment webhook error:', error);
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    createPayment,
+    confirmPayment,
+    capturePayment,
+    refundPayment,
+    getPayments,
+    handleWebhook
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         order:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           example: mock
+ *         providerPaymentId:
+ *           type: string
+ *         amount:
+ *           type: integer
+ *           description: In minor units (cents)
+ *         currency:
+ *           type: string
+ *           example: usd
+ *         status:
+ *           type: string
+ *           enum: [requires_confirmation, authorized, captured, partially_refunded, refunded, failed, cancelled]
+ *         amountCaptured:
+ *           type: integer
+ *         amountRefunded:
+ *           type: integer
+ *         failureReason:
+ *           type: string
+ *         clientSecret:
+ *           type: string
+ *           description: Only returned when the payment is opened
+ *         history:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [api, webhook]
+ *               eventId:
+ *                 type: string
+ *               amount:
+ *                 type: integer
+ *               message:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Paying for orders through the configured payment provider
+ */
+
+/**
+ * @swagger
+ * /api/payments:
+ *   post:
+ *     summary: Start paying a pending order
+ *     description: Opens a payment intent with the provider for the order total. Calling it again while the payment is unconfirmed returns the same payment.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId]
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The payment, with its clientSecret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order is not awaiting payment or already has an authorised payment
+ *       503:
+ *         description: The payment provider is not configured
+ *   get:
+ *     summary: Payment attempts of an order (your own, or any with orders:read)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: order
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payments of the order, newest first
+ *
+ * /api/payments/{id}/confirm:
+ *   post:
+ *     summary: Confirm a payment
+ *     description: With the mock provider, paymentMethod "mock_card_declined" is declined and anything else is authorised. Payments are captured straight away unless PAYMENT_CAPTURE is manual; a captured payment marks the order paid.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentMethod]
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The authorised or captured payment
+ *       402:
+ *         description: The payment was declined
+ *       409:
+ *         description: The payment is not awaiting confirmation
+ *
+ * /api/payments/{id}/capture:
+ *   post:
+ *     summary: Capture an authorised payment (requires payments:manage)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: In minor units; defaults to the authorised amount
+ *     responses:
+ *       200:
+ *         description: The captured payment
+ *       409:
+ *         description: The payment is not authorised
+ *
+ * /api/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a captured payment (requires payments:manage)
+ *     description: A full refund moves the order to refunded and puts its units back in stock.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *                 description: In minor units; defaults to everything not yet refunded
+ *     responses:
+ *       200:
+ *         description: The refunded payment
+ *       400:
+ *         description: The amount exceeds what is left to refund
+ *       409:
+ *         description: The payment has not been captured
+ *
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Payment provider notifications
+ *     description: The provider signs every delivery over the raw request body (the mock provider uses the x-mock-signature header, keyed with PAYMENT_WEBHOOK_SECRET). Each event is handled once; repeated deliveries are acknowledged with duplicate=true.
+ *     tags: [Payments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [payment.authorized, payment.captured, payment.failed, payment.cancelled, payment.partially_refunded, payment.refunded]
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   paymentId:
+ *                     type: string
+ *                     description: The provider's payment id
+ *                   amountCaptured:
+ *                     type: integer
+ *                   amountRefunded:
+ *                     type: integer
+ *                   failureReason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Event received
+ *       400:
+ *         description: Missing or invalid signature, or a malformed payload
+ *       503:
+ *         description: The payment provider is not configured; the provider retries the delivery
+ */
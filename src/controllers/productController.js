@@ -1,38 +1,138 @@
 const Product = require('../models/Product');
+const Category = require('../models/Category');
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const {
+    SORT_OPTIONS,
+    buildProductFilter,
+    getFacets,
+    sortFor,
+    encodeCursor,
+    cursorFilter,
+    parseFields,
+    selectionFor
+} = require('../services/productQueryService');
+const { suggest, correctSearch } = require('../services/searchService');
+const transfer = require('../services/productTransferService');
+const trash = require('../services/trashService');
+const { stockLevels, recordStockChanges } = require('../services/inventoryService');
+const audit = require('../services/auditService');
+const { ratesFor, localizeProduct } = require('../services/currencyService');
+const { CURRENCIES, baseCurrency } = require('../config/currencies');
 
 // Validation schemas
+const currencySchema = Joi.string().uppercase().valid(...Object.keys(CURRENCIES));
+
+// Prices set by hand for other currencies, e.g. { "EUR": 22.5 }
+const currencyPricesSchema = Joi.object().pattern(
+    currencySchema.custom((value, helpers) => (value === baseCurrency() ? helpers.error('any.invalid') : value)),
+    Joi.number().min(0)
+);
+
+const variantSchema = Joi.object({
+    _id: Joi.string().hex().length(24),
+    size: Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'),
+    color: Joi.string(),
+    sku: Joi.string(),
+    stock: Joi.number().integer().min(0).required(),
+    price: Joi.number().min(0),
+    currencyPrices: currencyPricesSchema
+}).or('size', 'color');
+
+// Packed size of one unit in centimetres
+const dimensionsSchema = Joi.object({
+    length: Joi.number().min(0).required(),
+    width: Joi.number().min(0).required(),
+    height: Joi.number().min(0).required()
+});
+
 const productSchema = Joi.object({
     name: Joi.string().max(100).required(),
     description: Joi.string().max(2000).required(),
     price: Joi.number().min(0).required(),
-    stock: Joi.number().min(0).required(),
-    category: Joi.string().valid('Men', 'Women', 'Kids', 'Accessories', 'Unisex').required(),
+    currencyPrices: currencyPricesSchema,
+    // Derived from the variants when they are given
+    stock: Joi.number().min(0).when('variants', {
+        is: Joi.array().min(1).required(),
+        then: Joi.optional(),
+        otherwise: Joi.required()
+    }),
+    category: Joi.string().max(60).required(),
     brand: Joi.string().optional().allow(''),
     sizes: Joi.array().items(Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE')),
     colors: Joi.array().items(Joi.string()),
     sku: Joi.string().optional(),
-    imageUrl: Joi.string().uri().optional()
+    variants: Joi.array().items(variantSchema),
+    imageUrl: Joi.string().uri().optional(),
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    weight: Joi.number().min(0).allow(null),
+    dimensions: dimensionsSchema.allow(null)
+});
+
+// Stock only moves through checkouts and POST /api/products/:id/inventory, so
+// an edit cannot overwrite units sold or restocked since it was loaded
+const editedStockSchema = Joi.any().forbidden().messages({
+    'any.unknown': 'Stock is changed through inventory adjustments, not product edits'
 });
 
 const updateProductSchema = Joi.object({
     name: Joi.string().max(100),
     description: Joi.string().max(2000),
     price: Joi.number().min(0),
-    stock: Joi.number().min(0),
-    category: Joi.string().valid('Men', 'Women', 'Kids', 'Accessories', 'Unisex'),
+    currencyPrices: currencyPricesSchema,
+    stock: editedStockSchema,
+    category: Joi.string().max(60),
     brand: Joi.string().optional().allow(''),
     sizes: Joi.array().items(Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE')),
     colors: Joi.array().items(Joi.string()),
     sku: Joi.string(),
+    // Variants keep the stock they have; new ones start with none
+    variants: Joi.array().items(variantSchema.keys({ stock: editedStockSchema })),
     imageUrl: Joi.string().uri(),
+    lowStockThreshold: Joi.number().integer().min(0).allow(null),
+    weight: Joi.number().min(0).allow(null),
+    dimensions: dimensionsSchema.allow(null),
     isActive: Joi.boolean()
 });
 
+const MAX_PAGE_SIZE = 100;
+
+// Listing query params; page (offset paging) and cursor are mutually exclusive
+const listProductsSchema = Joi.object({
+    page: Joi.number().integer().min(1),
+    cursor: Joi.string().max(500),
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE).default(10),
+    sort: Joi.string().valid(...Object.keys(SORT_OPTIONS), 'relevance'),
+    fields: Joi.string().max(300),
+    // Prices, price filters and price sorts are in this currency
+    currency: currencySchema.default(baseCurrency),
+    search: Joi.string().max(100),
+    category: Joi.string().max(60),
+    brand: Joi.string().max(50),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    inStock: Joi.string().valid('true', 'false'),
+    minRating: Joi.number().min(0).max(5),
+    size: Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'),
+    color: Joi.string().max(30),
+    facets: Joi.string().valid('true', 'false')
+}).oxor('page', 'cursor');
+
+// Export takes the listing filters; paging and projection do not apply
+const exportProductsSchema = listProductsSchema.keys({
+    format: Joi.string().valid('csv', 'ndjson').default('csv')
+});
+
+const importProductsSchema = Joi.object({
+    format: Joi.string().valid('csv', 'ndjson'),
+    dryRun: Joi.boolean().default(false)
+});
+
+const unknownCategory = async (slug) => !(await Category.exists({ slug, isActive: true }));
+
 // @desc    Create new product
 // @route   POST /api/products
-// @access  Private/Admin
+// @access  Private (products:write)
 const createProduct = async (req, res) => {
     try {
         const { error } = productSchema.validate(req.body);
@@ -42,7 +142,21 @@ const createProduct = async (req, res) => {
                 message: error.details[0].message
             });
         }
+        if (await unknownCategory(req.body.category)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
+        }
+
         const product = await Product.create(req.body);
+        await recordStockChanges(new Map(), product, { reason: 'Initial stock', actor: req.user.userId });
+        await audit.record(audit.contextFor(req), {
+            action: 'product.create',
+            targetType: 'products',
+            targetId: product._id,
+            after: product
+        });
 
         logger.info(`Product created: ${product._id}`);
         res.status(201).json({
@@ -69,55 +183,130 @@ const createProduct = async (req, res) => {
 // @access  Public
 const getProducts = async (req, res) => {
     try {
-        const {
-            page = 1,
-            limit = 10,
-            category,
-            brand,
-            search,
-            sort,
-            minPrice,
-            maxPrice
-        } = req.query;
-
-        const query = { isActive: true };
-
-        // Filtering
-        if (category) query.category = category;
-        if (brand) query.brand = { $regex: brand, $options: 'i' };
-        if (minPrice || maxPrice) {
-            query.price = {};
-            if (minPrice) query.price.$gte = Number(minPrice);
-            if (maxPrice) query.price.$lte = Number(maxPrice);
-        }
-
-        // Search
-        if (search) {
-            query.$text = { $search: search };
-        }
-
-        // Sorting
-        let sortOption = { createdAt: -1 }; // Default: newest first
-        if (sort === 'price_asc') sortOption = { price: 1 };
-        if (sort === 'price_desc') sortOption = { price: -1 };
-        if (sort === 'name_asc') sortOption = { name: 1 };
-        if (sort === 'name_desc') sortOption = { name: -1 };
-
-        const products = await Product.find(query)
-            .sort(sortOption)
-            .limit(limit * 1)
-            .skip((page - 1) * limit);
-
-        const count = await Product.countDocuments(query);
+        const { error, value } = listProductsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
 
-        res.json({
-            success: true,
-            data: products,
-            pagination: {
+        const { page = 1, limit, cursor, sort = 'newest', facets, currency } = value;
+        let params = value;
+
+        let rates;
+        try {
+            rates = await ratesFor(currency);
+        } catch (currencyError) {
+            if (currencyError.statusCode) {
+                return res.status(currencyError.statusCode).json({
+                    success: false,
+                    message: currencyError.message
+                });
+            }
+            throw currencyError;
+        }
+
+        let fields = null;
+        if (value.fields) {
+            const parsed = parseFields(value.fields);
+            if (parsed.unknown.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown field(s): ${parsed.unknown.join(', ')}`
+                });
+            }
+            fields = parsed.fields;
+        }
+
+        let query = await buildProductFilter(params);
+
+        // Offset paging reports totals; cursor paging skips the count
+        let count = cursor ? null : await Product.countDocuments(query);
+
+        // Nothing found for the search: retry once with near-miss words
+        // corrected. Checked in both paging modes, so later cursor pages of a
+        // corrected search carry on with the correction.
+        let correctedSearch = null;
+        if (params.search && (cursor ? !(await Product.exists(query)) : count === 0)) {
+            correctedSearch = await correctSearch(params.search);
+            if (correctedSearch) {
+                params = { ...params, search: correctedSearch };
+                query = await buildProductFilter(params);
+                if (!cursor) {
+                    count = await Product.countDocuments(query);
+                }
+            }
+        }
+
+        const sortOption = sortFor(sort, query, currency);
+        // Text-score order has no stable key to resume from
+        const cursorable = !sortOption.score;
+
+        let filter = query;
+        if (cursor) {
+            if (!cursorable) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cursor pagination is not available with sort=relevance'
+                });
+            }
+            const after = cursorFilter(cursor, sort, currency);
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid cursor'
+                });
+            }
+            filter = { $and: [query, after] };
+        }
+
+        let find = Product.find(filter).sort(sortOption);
+        if (!cursor) {
+            find = find.skip((page - 1) * limit);
+        }
+        if (fields) {
+            // Sort keys are fetched too so the next cursor can be built
+            find = find.select([...new Set([
+                ...selectionFor(fields),
+                ...Object.keys(sortOption).filter(key => key !== 'score')
+            ])]);
+        }
+
+        // One extra row tells whether there is a next page
+        const rows = await find.limit(limit + 1);
+        const hasMore = rows.length > limit;
+        const products = rows.slice(0, limit);
+
+        const last = products[products.length - 1];
+        const pagination = {
+            limit,
+            hasMore,
+            nextCursor: hasMore && cursorable ? encodeCursor(last, sort, currency) : null
+        };
+        if (!cursor) {
+            Object.assign(pagination, {
                 total: count,
-                page: Number(page),
+                page,
                 pages: Math.ceil(count / limit)
-            }
+            });
+        }
+
+        const localized = products.map(product => localizeProduct(product, currency, rates));
+
+        res.json({
+            success: true,
+            data: fields
+                ? localized.map(product => Object.fromEntries([
+                    ['_id', product._id],
+                    ...fields.filter(field => field in product).map(field => [field, product[field]]),
+                    // A price means little without its currency
+                    ...(fields.includes('price') ? [['currency', product.currency]] : [])
+                ]))
+                : localized,
+            pagination,
+            ...(correctedSearch && { correctedSearch }),
+            ...(facets === 'true' && { facets: await getFacets(params, { rate: rates.get(currency) || 1 }) })
         });
     } catch (error) {
         logger.error('Get products error:', error);
@@ -128,11 +317,144 @@ const getProducts = async (req, res) => {
     }
 };
 
+// @desc    Suggest products, brands and categories for a search prefix
+// @route   GET /api/products/suggest
+// @access  Public
+const suggestProducts = async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        if (!q) {
+            return res.status(400).json({
+                success: false,
+                message: 'Query parameter q is required'
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), 10);
+        const suggestions = await suggest(q.slice(0, 100), limit);
+
+        res.json({
+            success: true,
+            data: suggestions
+        });
+    } catch (error) {
+        logger.error('Suggest products error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Export the catalog as CSV or NDJSON
+// @route   GET /api/products/export
+// @access  Private (products:write)
+const exportProducts = async (req, res) => {
+    try {
+        const { error, value } = exportProductsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const query = await buildProductFilter(value);
+        const csvFormat = value.format === 'csv';
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.set({
+            'Content-Type': csvFormat ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': `attachment; filename="products-${date}.${value.format}"`
+        });
+        if (csvFormat) {
+            res.write(transfer.csvHeader() + '\n');
+        }
+
+        // Streamed so large catalogs are never held in memory at once
+        let exported = 0;
+        for await (const product of Product.find(query).sort({ _id: 1 }).cursor()) {
+            res.write((csvFormat ? transfer.toCsvRow(product) : transfer.toNdjsonLine(product)) + '\n');
+            exported += 1;
+        }
+        res.end();
+
+        logger.info(`Products exported: ${exported} as ${value.format}`);
+    } catch (error) {
+        logger.error('Export products error:', error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create or update products from a CSV or NDJSON file, matched by sku
+// @route   POST /api/products/import
+// @access  Private (products:write)
+const importProducts = async (req, res) => {
+    try {
+        const { error, value } = importProductsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Attach a CSV or NDJSON file in the "file" field'
+            });
+        }
+
+        const format = value.format || (req.file.originalname.toLowerCase().endsWith('.csv') ? 'csv' : 'ndjson');
+        const records = transfer.parseImport(req.file.buffer, format);
+        const report = await transfer.importProducts(records, {
+            schema: productSchema,
+            dryRun: value.dryRun,
+            actor: req.user.userId,
+            audit: audit.contextFor(req)
+        });
+
+        const { created, updated, rejected } = report.summary;
+        logger.info(`Products import${value.dryRun ? ' (dry run)' : ''}: ${created} created, ${updated} updated, ${rejected} rejected`);
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Import products error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get single product
 // @route   GET /api/products/:id
 // @access  Public
 const getProduct = async (req, res) => {
     try {
+        const { error, value: currency } = currencySchema.label('currency').default(baseCurrency)
+            .validate(req.query.currency);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
         const product = await Product.findById(req.params.id);
 
         if (!product) {
@@ -142,11 +464,19 @@ const getProduct = async (req, res) => {
             });
         }
 
+        const rates = await ratesFor(currency);
+
         res.json({
             success: true,
-            data: product
+            data: localizeProduct(product, currency, rates)
         });
     } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
         logger.error('Get product error:', error);
         if (error.kind === 'ObjectId') {
             return res.status(404).json({
@@ -163,7 +493,7 @@ const getProduct = async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 const updateProduct = async (req, res) => {
     try {
         const { error } = updateProductSchema.validate(req.body);
@@ -174,11 +504,16 @@ const updateProduct = async (req, res) => {
             });
         }
 
-        const product = await Product.findByIdAndUpdate(
-            req.params.id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+        if (req.body.category && await unknownCategory(req.body.category)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown category'
+            });
+        }
+
+        // Load and save (rather than findByIdAndUpdate) so stock, sizes and
+        // colors are re-derived from the variants
+        const product = await Product.findById(req.params.id);
 
         if (!product) {
             return res.status(404).json({
@@ -187,12 +522,64 @@ const updateProduct = async (req, res) => {
             });
         }
 
+        const before = stockLevels(product);
+        const loadedStock = product.stock;
+        const previous = audit.snapshot(product);
+        const changes = { ...req.body };
+        if (changes.variants) {
+            changes.variants = changes.variants.map(variant => {
+                const current = variant._id
+                    ? product.variants.id(variant._id)
+                    : product.findVariant(variant.size, variant.color);
+                return { ...variant, stock: current ? current.stock : 0 };
+            });
+        }
+        product.set(changes);
+
+        // Reworking the variants rewrites their stock, so only save over the
+        // stock that was loaded; a sale in between makes the edit fail
+        if (product.isModified('variants')) {
+            product.$where = { stock: loadedStock };
+        }
+        try {
+            await product.save();
+        } catch (saveError) {
+            // A VersionError, as the variants array is versioned as well
+            if (['DocumentNotFoundError', 'VersionError'].includes(saveError.name)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Stock changed while the product was being edited, please try again'
+                });
+            }
+            throw saveError;
+        }
+        await recordStockChanges(before, product, { reason: 'Product edited', actor: req.user.userId });
+        await audit.record(audit.contextFor(req), {
+            action: 'product.update',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
+
         logger.info(`Product updated: ${product._id}`);
         res.json({
             success: true,
             data: product
         });
     } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'SKU already exists'
+            });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(val => val.message).join(', ')
+            });
+        }
         logger.error('Update product error:', error);
         res.status(500).json({
             success: false,
@@ -203,7 +590,7 @@ const updateProduct = async (req, res) => {
 
 // @desc    Delete product
 // @route   DELETE /api/products/:id
-// @access  Private/Admin
+// @access  Private (products:write)
 const deleteProduct = async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
@@ -215,13 +602,21 @@ const deleteProduct = async (req, res) => {
             });
         }
 
-        // Hard delete or Soft delete? Using Hard delete for now as per "Delete Product"
-        await product.deleteOne();
+        // Soft delete: orders and reviews keep pointing at the product
+        const previous = audit.snapshot(product);
+        await product.softDelete(req.user.userId);
+        await audit.record(audit.contextFor(req), {
+            action: 'product.delete',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
 
-        logger.info(`Product deleted: ${req.params.id}`);
+        logger.info(`Product moved to trash: ${req.params.id}`);
         res.json({
             success: true,
-            message: 'Product removed'
+            message: 'Product moved to trash'
         });
     } catch (error) {
         logger.error('Delete product error:', error);
@@ -232,12 +627,124 @@ const deleteProduct = async (req, res) => {
     }
 };
 
+// @desc    List deleted products
+// @route   GET /api/products/trash
+// @access  Private (products:write)
+const getTrashedProducts = async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+        const { items, total } = await trash.listTrash(Product, { page, limit });
+
+        res.json({
+            success: true,
+            data: items,
+            pagination: {
+                total,
+                page,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get trashed products error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Restore a deleted product
+// @route   POST /api/products/:id/restore
+// @access  Private (products:write)
+const restoreProduct = async (req, res) => {
+    try {
+        const product = await trash.findInTrash(Product, req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found in trash'
+            });
+        }
+
+        const previous = audit.snapshot(product);
+        await product.restore();
+        await audit.record(audit.contextFor(req), {
+            action: 'product.restore',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
+
+        logger.info(`Product restored: ${product._id}`);
+        res.json({
+            success: true,
+            message: 'Product restored',
+            data: product
+        });
+    } catch (error) {
+        logger.error('Restore product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Permanently delete a product from the trash
+// @route   DELETE /api/products/:id/purge
+// @access  Private (products:write)
+const purgeProduct = async (req, res) => {
+    try {
+        const product = await trash.findInTrash(Product, req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found in trash'
+            });
+        }
+
+        await trash.purgeProduct(product);
+        await audit.record(audit.contextFor(req), {
+            action: 'product.purge',
+            targetType: 'products',
+            targetId: product._id,
+            before: product
+        });
+
+        logger.info(`Product purged: ${product._id}`);
+        res.json({
+            success: true,
+            message: 'Product permanently deleted'
+        });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Purge product error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 module.exports = {
     createProduct,
     getProducts,
+    suggestProducts,
+    exportProducts,
+    importProducts,
     getProduct,
     updateProduct,
-    deleteProduct
+    deleteProduct,
+    getTrashedProducts,
+    restoreProduct,
+    purgeProduct
 };
 
 
@@ -265,14 +772,29 @@ module.exports = {
  *           description: The product description
  *         price:
  *           type: number
- *           description: The product price
+ *           description: The product price, in the base currency when saving and in the requested currency when read
+ *         priceMinor:
+ *           type: integer
+ *           readOnly: true
+ *           description: The price in minor units of its currency (cents for USD)
+ *         currency:
+ *           type: string
+ *           readOnly: true
+ *           description: ISO 4217 code of price
+ *         currencyPrices:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           description: "Prices set by hand for other currencies, e.g. {\"EUR\": 22.5}; currencies left out are converted at the stored exchange rate"
  *         stock:
  *           type: number
- *           description: The quantity in stock
+ *           description: The quantity in stock (sum of variant stock when variants are set)
+ *         inStock:
+ *           type: boolean
+ *           readOnly: true
  *         category:
  *           type: string
- *           enum: [Men, Women, Kids, Accessories, Unisex]
- *           description: The product category
+ *           description: Slug of the product category (see /api/categories)
  *         sizes:
  *           type: array
  *           items:
@@ -286,17 +808,135 @@ module.exports = {
  *           type: string
  *         sku:
  *           type: string
+ *         variants:
+ *           type: array
+ *           description: Per size/color stock. When set, stock, sizes and colors are derived from it.
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *         imageUrl:
  *           type: string
+ *           description: Follows the primary gallery image while the product has images
+ *         lowStockThreshold:
+ *           type: integer
+ *           nullable: true
+ *           description: Stock at or below this (per variant) raises a low-stock alert
+ *         weight:
+ *           type: number
+ *           nullable: true
+ *           description: Shipping weight of one unit in grams
+ *         dimensions:
+ *           type: object
+ *           nullable: true
+ *           description: Packed size of one unit in centimetres
+ *           properties:
+ *             length:
+ *               type: number
+ *             width:
+ *               type: number
+ *             height:
+ *               type: number
+ *         images:
+ *           type: array
+ *           readOnly: true
+ *           description: Ordered gallery, managed through /api/products/{id}/images
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
+ *         averageRating:
+ *           type: number
+ *           readOnly: true
+ *         reviewCount:
+ *           type: integer
+ *           readOnly: true
  *       example:
  *         name: Classic White Tee
  *         description: Premium cotton t-shirt
  *         price: 25.00
  *         stock: 50
- *         category: Men
+ *         category: men
  *         sizes: [M, L, XL]
  *         colors: [White]
  *         brand: Generic
+ *     ProductFacets:
+ *       type: object
+ *       description: Returned when facets=true
+ *       properties:
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         brands:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         sizes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         colors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         priceRanges:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               max:
+ *                 type: number
+ *                 nullable: true
+ *               count:
+ *                 type: integer
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *         - stock
+ *       properties:
+ *         size:
+ *           type: string
+ *           enum: [XS, S, M, L, XL, XXL, ONESIZE]
+ *         color:
+ *           type: string
+ *         sku:
+ *           type: string
+ *         stock:
+ *           type: integer
+ *         price:
+ *           type: number
+ *           description: Overrides the product price for this variant
+ *         currencyPrices:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           description: Prices of this variant set by hand for other currencies
+ *       example:
+ *         size: M
+ *         color: Black
+ *         sku: TEE-BLK-M
+ *         stock: 12
  */
 
 /**
@@ -317,13 +957,26 @@ module.exports = {
  *         name: page
  *         schema:
  *           type: integer
- *         description: The page number
+ *         description: The page number (offset paging; cannot be combined with cursor)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque pagination.nextCursor from the previous page, for the same sort
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           default: 10
+ *           maximum: 100
  *         description: The number of items per page
  *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         example: name,price,imageUrl
+ *         description: Comma separated fields to return; _id is always included
+ *       - in: query
  *         name: search
  *         schema:
  *           type: string
@@ -332,7 +985,54 @@ module.exports = {
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category
+ *         description: Category slug; products in its subcategories are included
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: string
+ *         description: Only products with this size in stock
+ *       - in: query
+ *         name: color
+ *         schema:
+ *           type: string
+ *         description: Only products with this color in stock
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         example: EUR
+ *         description: Currency for prices, price filters, price sorts and price facets. Defaults to the base currency; others need a stored exchange rate.
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Lowest price, in the requested currency
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Highest price, in the requested currency
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with stock left
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *         description: Only products with at least this average rating
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, price_asc, price_desc, name_asc, name_desc, rating, relevance]
+ *         description: relevance orders by text score, only applies together with search and does not support cursor
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *         description: Also return counts per category, brand, size, color and price range. Each facet applies every other active filter.
  *     responses:
  *       200:
  *         description: The list of products
@@ -347,6 +1047,32 @@ module.exports = {
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Product'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     total:
+ *                       type: integer
+ *                       description: Offset paging only
+ *                     page:
+ *                       type: integer
+ *                       description: Offset paging only
+ *                     pages:
+ *                       type: integer
+ *                       description: Offset paging only
+ *                 correctedSearch:
+ *                   type: string
+ *                   description: Present when the search found nothing and was retried with near-miss words corrected
+ *                 facets:
+ *                   $ref: '#/components/schemas/ProductFacets'
+ *       400:
+ *         description: Invalid query parameters, unknown field or invalid cursor
  *   post:
  *     summary: Create a new product
  *     tags: [Products]
@@ -366,7 +1092,178 @@ module.exports = {
  *             schema:
  *               $ref: '#/components/schemas/Product'
  *       403:
- *         description: Admin access required
+ *         description: Requires products:write
+ * 
+ * /api/products/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for a search prefix
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *         description: Maximum suggestions per group
+ *     responses:
+ *       200:
+ *         description: Products, brands and categories starting with q. didYouMean holds a corrected query when nothing matched.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     products:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                           brand:
+ *                             type: string
+ *                           price:
+ *                             type: number
+ *                           imageUrl:
+ *                             type: string
+ *                     brands:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           slug:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                     didYouMean:
+ *                       type: string
+ *                       nullable: true
+ *       400:
+ *         description: Missing q
+ * 
+ * /api/products/export:
+ *   get:
+ *     summary: Export the catalog as CSV or NDJSON
+ *     description: Accepts the same filters as GET /api/products. Columns are sku, name, description, price, stock, category, brand, sizes, colors, imageUrl, lowStockThreshold, weight, dimensions and variants. In CSV, sizes and colors are separated by |, dimensions are written LxWxH and variants is a JSON array.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: The exported file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Requires products:write
+ * 
+ * /api/products/import:
+ *   post:
+ *     summary: Create or update products from a CSV or NDJSON file
+ *     description: Rows are matched to existing products by sku and checked like POST /api/products. Accepts the export's columns, up to 5000 rows.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Report what would be created, updated and rejected without writing anything
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Defaults to the file extension
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Per-row report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     dryRun:
+ *                       type: boolean
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         created:
+ *                           type: integer
+ *                         updated:
+ *                           type: integer
+ *                         rejected:
+ *                           type: integer
+ *                     rows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           row:
+ *                             type: integer
+ *                           sku:
+ *                             type: string
+ *                           action:
+ *                             type: string
+ *                             enum: [create, update, reject]
+ *                           errors:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *       400:
+ *         description: Missing or unreadable file
+ *       413:
+ *         description: File too large
+ *       403:
+ *         description: Requires products:write
  * 
  * /api/products/{id}:
  *   get:
@@ -379,6 +1276,11 @@ module.exports = {
  *           type: string
  *         required: true
  *         description: The product id
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Currency to show prices in; defaults to the base currency
  *     responses:
  *       200:
  *         description: The product description by id
@@ -386,6 +1288,8 @@ module.exports = {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Prices are not available in the requested currency
  *       404:
  *         description: The product was not found
  *   put:
@@ -409,10 +1313,15 @@ module.exports = {
  *     responses:
  *       200:
  *         description: The product was updated
+ *       400:
+ *         description: Invalid changes, including any stock; stock is changed through POST /api/products/{id}/inventory
  *       404:
  *         description: The product was not found
+ *       409:
+ *         description: Stock changed while the variants were being edited
  *   delete:
- *     summary: Remove the product by id
+ *     summary: Move the product to the trash
+ *     description: The product is hidden everywhere but kept for orders and reviews. It can be restored or purged from the trash.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -425,7 +1334,68 @@ module.exports = {
  *         description: The product id
  *     responses:
  *       200:
- *         description: The product was deleted
+ *         description: The product was moved to the trash
  *       404:
  *         description: The product was not found
+ *
+ * /api/products/trash:
+ *   get:
+ *     summary: List deleted products
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deleted products, most recently deleted first, with deletedAt and deletedBy
+ *       403:
+ *         description: Requires products:write
+ *
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The restored product
+ *       404:
+ *         description: Product not found in trash
+ *
+ * /api/products/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a product from the trash
+ *     description: Also removes its reviews, images and cart and wishlist entries.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The product was permanently deleted
+ *       404:
+ *         description: Product not found in trash
+ *       409:
+ *         description: Orders still reference the product
  */
@@ -0,0 +1,477 @@
+const Product = require('../models/Product');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { storeProductImage, removeProductImage } = require('../services/imageService');
+const audit = require('../services/auditService');
+
+const { PLACEHOLDER_IMAGE } = Product;
+
+const MAX_GALLERY_SIZE = 20;
+
+const objectId = Joi.string().hex().length(24);
+
+// Multipart text fields: alt may be repeated once per file, variants is a comma separated list
+const uploadSchema = Joi.object({
+    alt: Joi.alternatives().try(
+        Joi.string().max(200).allow(''),
+        Joi.array().items(Joi.string().max(200).allow(''))
+    ),
+    variants: Joi.string().allow(''),
+    primary: Joi.string().valid('true', 'false')
+});
+
+const updateImageSchema = Joi.object({
+    alt: Joi.string().max(200).allow(''),
+    isPrimary: Joi.boolean().valid(true),
+    variants: Joi.array().items(objectId)
+}).min(1);
+
+const reorderSchema = Joi.object({
+    order: Joi.array().items(objectId).unique().required()
+});
+
+const notFound = (res, message = 'Product not found') => res.status(404).json({
+    success: false,
+    message
+});
+
+const badRequest = (res, message) => res.status(400).json({
+    success: false,
+    message
+});
+
+// Ids from `ids` that are not variants of the product
+const unknownVariants = (product, ids) => ids.filter(id => !product.variants.id(id));
+
+// @desc    Upload images to a product's gallery
+// @route   POST /api/products/:id/images
+// @access  Private (products:write)
+const uploadImages = async (req, res) => {
+    const stored = [];
+    try {
+        const { error, value } = uploadSchema.validate(req.body);
+        if (error) {
+            return badRequest(res, error.details[0].message);
+        }
+        if (!req.files || req.files.length === 0) {
+            return badRequest(res, 'Attach at least one image in the "images" field');
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return notFound(res);
+        }
+        if (product.images.length + req.files.length > MAX_GALLERY_SIZE) {
+            return badRequest(res, `A product can have at most ${MAX_GALLERY_SIZE} images`);
+        }
+
+        const variants = (value.variants || '').split(',').map(id => id.trim()).filter(Boolean);
+        if (variants.some(id => objectId.validate(id).error) || unknownVariants(product, variants).length) {
+            return badRequest(res, 'variants must list ids of this product\'s variants');
+        }
+
+        const previous = audit.snapshot(product);
+        const alts = [].concat(value.alt || []);
+        for (const [index, file] of req.files.entries()) {
+            const image = await storeProductImage(product._id, file.buffer);
+            stored.push(image);
+            product.images.push({
+                ...image,
+                alt: alts.length === 1 ? alts[0] : (alts[index] || ''),
+                variants
+            });
+        }
+
+        if (value.primary === 'true') {
+            const first = product.images[product.images.length - req.files.length];
+            product.images.forEach(image => {
+                image.isPrimary = image === first;
+            });
+        }
+
+        await product.save();
+        await audit.record(audit.contextFor(req), {
+            action: 'product.image_upload',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
+
+        logger.info(`${stored.length} image(s) uploaded for product ${product._id}`);
+        res.status(201).json({
+            success: true,
+            data: product.images
+        });
+    } catch (error) {
+        await Promise.all(stored.map(removeProductImage));
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Upload product images error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update an image's alt text, variants or make it the primary image
+// @route   PUT /api/products/:id/images/:imageId
+// @access  Private (products:write)
+const updateImage = async (req, res) => {
+    try {
+        const { error, value } = updateImageSchema.validate(req.body);
+        if (error) {
+            return badRequest(res, error.details[0].message);
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return notFound(res);
+        }
+        const image = product.images.id(req.params.imageId);
+        if (!image) {
+            return notFound(res, 'Image not found');
+        }
+
+        if (value.variants && unknownVariants(product, value.variants).length) {
+            return badRequest(res, 'variants must list ids of this product\'s variants');
+        }
+
+        const previous = audit.snapshot(product);
+        if (value.alt !== undefined) image.alt = value.alt;
+        if (value.variants) image.variants = value.variants;
+        if (value.isPrimary) {
+            product.images.forEach(other => {
+                other.isPrimary = other === image;
+            });
+        }
+
+        await product.save();
+        await audit.record(audit.contextFor(req), {
+            action: 'product.image_update',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
+
+        logger.info(`Image ${image._id} of product ${product._id} updated`);
+        res.json({
+            success: true,
+            data: product.images
+        });
+    } catch (error) {
+        logger.error('Update product image error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Reorder a product's gallery
+// @route   PUT /api/products/:id/images/order
+// @access  Private (products:write)
+const reorderImages = async (req, res) => {
+    try {
+        const { error, value } = reorderSchema.validate(req.body);
+        if (error) {
+            return badRequest(res, error.details[0].message);
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return notFound(res);
+        }
+
+        const images = value.order.map(id => product.images.id(id));
+        if (images.length !== product.images.length || images.some(image => !image)) {
+            return badRequest(res, 'order must list every image of the product exactly once');
+        }
+
+        const previous = audit.snapshot(product);
+        product.images = images.map(image => image.toObject());
+        await product.save();
+        await audit.record(audit.contextFor(req), {
+            action: 'product.image_reorder',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
+
+        logger.info(`Images of product ${product._id} reordered`);
+        res.json({
+            success: true,
+            data: product.images
+        });
+    } catch (error) {
+        logger.error('Reorder product images error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove an image from a product's gallery
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (products:write)
+const deleteImage = async (req, res) => {
+    try {
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return notFound(res);
+        }
+        const image = product.images.id(req.params.imageId);
+        if (!image) {
+            return notFound(res, 'Image not found');
+        }
+
+        const previous = audit.snapshot(product);
+        const removed = image.toObject();
+        image.deleteOne();
+        if (product.images.length === 0) {
+            product.imageUrl = PLACEHOLDER_IMAGE;
+        }
+        await product.save();
+        await audit.record(audit.contextFor(req), {
+            action: 'product.image_delete',
+            targetType: 'products',
+            targetId: product._id,
+            before: previous,
+            after: product
+        });
+
+        // Files go only once the product no longer points at them
+        await removeProductImage(removed);
+
+        logger.info(`Image ${removed._id} removed from product ${product._id}`);
+        res.json({
+            success: true,
+            data: product.images
+        });
+    } catch (error) {
+        logger.error('Delete product image error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    uploadImages,
+    updateImage,
+    reorderImages,
+    deleteImage
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImageRendition:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         size:
+ *           type: integer
+ *           description: Bytes
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         alt:
+ *           type: string
+ *         isPrimary:
+ *           type: boolean
+ *         variants:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Variant ids this image shows; empty for the whole product
+ *         contentType:
+ *           type: string
+ *         original:
+ *           $ref: '#/components/schemas/ImageRendition'
+ *         medium:
+ *           $ref: '#/components/schemas/ImageRendition'
+ *         thumbnail:
+ *           $ref: '#/components/schemas/ImageRendition'
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   post:
+ *     summary: Upload images to a product's gallery
+ *     description: JPEG, PNG or WebP, up to 10 files per request and 20 per product. Thumbnail (150px) and medium (600px) renditions are generated.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: string
+ *                 description: Alt text; repeat once per file to set each separately
+ *               variants:
+ *                 type: string
+ *                 description: Comma separated variant ids the images show
+ *               primary:
+ *                 type: boolean
+ *                 description: Make the first uploaded image the primary image
+ *     responses:
+ *       201:
+ *         description: The product's gallery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductImage'
+ *       400:
+ *         description: No files, unsupported image or gallery full
+ *       413:
+ *         description: File too large
+ *       403:
+ *         description: Requires products:write
+ *       404:
+ *         description: Product not found
+ *
+ * /api/products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product's gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [order]
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every image id of the product in the new order
+ *     responses:
+ *       200:
+ *         description: The reordered gallery
+ *       400:
+ *         description: order does not list every image exactly once
+ *
+ * /api/products/{id}/images/{imageId}:
+ *   put:
+ *     summary: Update an image's alt text or variants, or make it primary
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *               isPrimary:
+ *                 type: boolean
+ *                 enum: [true]
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The updated gallery
+ *       404:
+ *         description: Product or image not found
+ *   delete:
+ *     summary: Remove an image and its stored files
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The remaining gallery
+ *       404:
+ *         description: Product or image not found
+ */
@@ -0,0 +1,281 @@
+const Promotion = require('../models/Promotion');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+
+// Validation schemas
+const promotionFields = {
+    name: Joi.string().max(100),
+    type: Joi.string().valid('buy_x_get_y'),
+    buyQuantity: Joi.number().integer().min(1),
+    getQuantity: Joi.number().integer().min(1),
+    categories: Joi.array().items(Joi.string()),
+    brands: Joi.array().items(Joi.string()),
+    startsAt: Joi.date().allow(null),
+    endsAt: Joi.date().allow(null).when('startsAt', {
+        is: Joi.date().required(),
+        then: Joi.date().min(Joi.ref('startsAt'))
+    }),
+    priority: Joi.number().integer(),
+    isActive: Joi.boolean()
+};
+
+const promotionSchema = Joi.object({
+    ...promotionFields,
+    name: promotionFields.name.required(),
+    buyQuantity: promotionFields.buyQuantity.required(),
+    getQuantity: promotionFields.getQuantity.required()
+});
+
+const updatePromotionSchema = Joi.object(promotionFields).min(1);
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Promotion not found'
+});
+
+// @desc    List promotions
+// @route   GET /api/promotions
+// @access  Private (promotions:manage)
+const getPromotions = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+        const promotions = await Promotion.find(query).sort({ priority: 1, createdAt: 1 });
+
+        res.json({
+            success: true,
+            count: promotions.length,
+            data: promotions
+        });
+    } catch (error) {
+        logger.error('Get promotions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create a promotion
+// @route   POST /api/promotions
+// @access  Private (promotions:manage)
+const createPromotion = async (req, res) => {
+    try {
+        const { error, value } = promotionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const promotion = await Promotion.create(value);
+
+        logger.info(`Promotion created: ${promotion._id}`);
+        res.status(201).json({
+            success: true,
+            data: promotion
+        });
+    } catch (error) {
+        logger.error('Create promotion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update a promotion
+// @route   PUT /api/promotions/:id
+// @access  Private (promotions:manage)
+const updatePromotion = async (req, res) => {
+    try {
+        const { error, value } = updatePromotionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const promotion = await Promotion.findByIdAndUpdate(
+            req.params.id,
+            value,
+            { new: true, runValidators: true }
+        );
+        if (!promotion) {
+            return notFound(res);
+        }
+
+        logger.info(`Promotion updated: ${promotion._id}`);
+        res.json({
+            success: true,
+            data: promotion
+        });
+    } catch (error) {
+        logger.error('Update promotion error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a promotion
+// @route   DELETE /api/promotions/:id
+// @access  Private (promotions:manage)
+const deletePromotion = async (req, res) => {
+    try {
+        const promotion = await Promotion.findByIdAndDelete(req.params.id);
+        if (!promotion) {
+            return notFound(res);
+        }
+
+        logger.info(`Promotion deleted: ${promotion._id}`);
+        res.json({
+            success: true,
+            message: 'Promotion removed'
+        });
+    } catch (error) {
+        logger.error('Delete promotion error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       required:
+ *         - name
+ *         - buyQuantity
+ *         - getQuantity
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [buy_x_get_y]
+ *         buyQuantity:
+ *           type: integer
+ *         getQuantity:
+ *           type: integer
+ *           description: Units free for every buyQuantity units bought (the cheapest ones)
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         brands:
+ *           type: array
+ *           items:
+ *             type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         priority:
+ *           type: integer
+ *           description: Lower runs first; each cart line takes part in at most one promotion
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         name: Kids 3 for 2
+ *         buyQuantity: 2
+ *         getQuantity: 1
+ *         categories: [kids]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Automatic promotions (requires promotions:manage)
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promotions
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The promotions
+ *   post:
+ *     summary: Create a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: The created promotion
+ *
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: The updated promotion
+ *       404:
+ *         description: Promotion not found
+ *   delete:
+ *     summary: Delete a promotion
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Promotion deleted
+ *       404:
+ *         description: Promotion not found
+ */
@@ -0,0 +1,472 @@
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { can } = require('../middleware/policy');
+
+// Validation schemas
+const reviewSchema = Joi.object({
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().max(100).required(),
+    body: Joi.string().max(2000).required()
+});
+
+const updateReviewSchema = Joi.object({
+    rating: Joi.number().integer().min(1).max(5),
+    title: Joi.string().max(100),
+    body: Joi.string().max(2000)
+}).min(1);
+
+const listReviewsSchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(10),
+    sort: Joi.string().valid('rating_desc', 'rating_asc')
+});
+
+const moderationSchema = Joi.object({
+    status: Joi.string().valid('published', 'hidden').required(),
+    note: Joi.string().max(500).allow('')
+});
+
+// Orders that count as a purchase for the "verified purchase" badge
+const PURCHASED_STATUSES = ['paid', 'shipped', 'delivered'];
+
+const findReview = (req) => Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+
+const notFound = (res, message = 'Review not found') => res.status(404).json({
+    success: false,
+    message
+});
+
+// @desc    Get published reviews of a product
+// @route   GET /api/products/:id/reviews
+// @access  Public
+const getReviews = async (req, res) => {
+    try {
+        const { error, value } = listReviewsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+        const { page, limit, sort } = value;
+
+        const query = { product: req.params.id, status: 'published' };
+
+        let sortOption = { createdAt: -1 };
+        if (sort === 'rating_desc') sortOption = { rating: -1, createdAt: -1 };
+        if (sort === 'rating_asc') sortOption = { rating: 1, createdAt: -1 };
+
+        const reviews = await Review.find(query)
+            .populate('user', 'name')
+            .sort(sortOption)
+            .limit(limit)
+            .skip((page - 1) * limit);
+
+        const count = await Review.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: reviews,
+            pagination: {
+                total: count,
+                page,
+                pages: Math.ceil(count / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get reviews error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res, 'Product not found');
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Review a product
+// @route   POST /api/products/:id/reviews
+// @access  Private
+const createReview = async (req, res) => {
+    try {
+        const { error, value } = reviewSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product || !product.isActive) {
+            return notFound(res, 'Product not found');
+        }
+
+        const verifiedPurchase = Boolean(await Order.exists({
+            user: req.user.userId,
+            'items.product': product._id,
+            status: { $in: PURCHASED_STATUSES }
+        }));
+
+        const review = await Review.create({
+            ...value,
+            product: product._id,
+            user: req.user.userId,
+            verifiedPurchase
+        });
+        await Review.updateProductRating(product._id);
+
+        logger.info(`Review created: ${review._id} for product ${product._id}`);
+        res.status(201).json({
+            success: true,
+            data: review
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reviewed this product'
+            });
+        }
+        logger.error('Create review error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res, 'Product not found');
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Edit own review
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @access  Private (author)
+const updateReview = async (req, res) => {
+    try {
+        const { error, value } = updateReviewSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const review = await findReview(req);
+        if (!review) {
+            return notFound(res);
+        }
+        if (String(review.user) !== String(req.user.userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: you can only edit your own review'
+            });
+        }
+
+        review.set(value);
+        await review.save();
+        await Review.updateProductRating(review.product);
+
+        logger.info(`Review updated: ${review._id}`);
+        res.json({
+            success: true,
+            data: review
+        });
+    } catch (error) {
+        logger.error('Update review error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete own review, or any review as a moderator
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @access  Private (author or reviews:moderate)
+const deleteReview = async (req, res) => {
+    try {
+        const review = await findReview(req);
+        if (!review) {
+            return notFound(res);
+        }
+        if (String(review.user) !== String(req.user.userId) && !can(req, 'reviews:moderate')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied: you can only delete your own review'
+            });
+        }
+
+        await review.deleteOne();
+        await Review.updateProductRating(review.product);
+
+        logger.info(`Review deleted: ${review._id} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            message: 'Review removed'
+        });
+    } catch (error) {
+        logger.error('Delete review error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Hide or re-publish a review
+// @route   PUT /api/products/:id/reviews/:reviewId/moderation
+// @access  Private (reviews:moderate)
+const moderateReview = async (req, res) => {
+    try {
+        const { error, value } = moderationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const review = await findReview(req);
+        if (!review) {
+            return notFound(res);
+        }
+
+        review.status = value.status;
+        review.moderationNote = value.note;
+        review.moderatedBy = req.currentUser._id;
+        await review.save();
+        await Review.updateProductRating(review.product);
+
+        logger.info(`Review ${review._id} set to ${value.status} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: review
+        });
+    } catch (error) {
+        logger.error('Moderate review error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    moderateReview
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       required:
+ *         - rating
+ *         - title
+ *         - body
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         user:
+ *           type: object
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         verifiedPurchase:
+ *           type: boolean
+ *           readOnly: true
+ *         status:
+ *           type: string
+ *           enum: [published, hidden]
+ *           readOnly: true
+ *       example:
+ *         rating: 5
+ *         title: Great fit
+ *         body: True to size and the fabric feels premium.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: Product reviews and ratings
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: List published reviews of a product
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The product id
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [rating_desc, rating_asc]
+ *     responses:
+ *       200:
+ *         description: The reviews, newest first by default
+ *       400:
+ *         description: Invalid page, limit or sort
+ *   post:
+ *     summary: Review a product (one review per user per product)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       201:
+ *         description: The created review
+ *       400:
+ *         description: Invalid input or already reviewed
+ *       404:
+ *         description: Product not found
+ *
+ * /api/products/{id}/reviews/{reviewId}:
+ *   put:
+ *     summary: Edit your own review
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       200:
+ *         description: The updated review
+ *       403:
+ *         description: Not your review
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete your own review, or any review with reviews:moderate
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       403:
+ *         description: Not your review
+ *       404:
+ *         description: Review not found
+ *
+ * /api/products/{id}/reviews/{reviewId}/moderation:
+ *   put:
+ *     summary: Hide or re-publish a review (requires reviews:moderate)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [published, hidden]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The moderated review
+ *       404:
+ *         description: Review not found
+ */
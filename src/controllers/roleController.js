@@ -0,0 +1,343 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { PERMISSIONS } = require('../config/roles');
+const { listRoles, getRole, isBuiltIn, isKnownPermission } = require('../services/roleService');
+const audit = require('../services/auditService');
+
+// Validation schemas
+const permissionList = Joi.array().items(
+    Joi.string().custom((value, helpers) => (
+        isKnownPermission(value) ? value : helpers.message(`Unknown permission: ${value}`)
+    ))
+).unique();
+
+const createRoleSchema = Joi.object({
+    name: Joi.string().lowercase().pattern(/^[a-z][a-z0-9_]{1,29}$/).required(),
+    description: Joi.string().max(200).allow(''),
+    permissions: permissionList.required()
+});
+
+const updateRoleSchema = Joi.object({
+    description: Joi.string().max(200).allow(''),
+    permissions: permissionList
+}).min(1);
+
+// @desc    List roles with their permissions
+// @route   GET /api/roles
+// @access  Private (roles:manage)
+const getRoles = async (req, res) => {
+    try {
+        const roles = await listRoles();
+        res.json({
+            success: true,
+            data: roles
+        });
+    } catch (error) {
+        logger.error('Get roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    List the permissions that can be granted
+// @route   GET /api/roles/permissions
+// @access  Private (roles:manage)
+const getPermissionList = (req, res) => {
+    res.json({
+        success: true,
+        data: PERMISSIONS
+    });
+};
+
+// @desc    Create a custom role
+// @route   POST /api/roles
+// @access  Private (roles:manage)
+const createRole = async (req, res) => {
+    try {
+        const { error, value } = createRoleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        if (await getRole(value.name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role already exists'
+            });
+        }
+
+        const role = await Role.create(value);
+        await audit.record(audit.contextFor(req), {
+            action: 'role.create',
+            targetType: 'roles',
+            targetId: role.name,
+            after: { description: role.description, permissions: role.permissions }
+        });
+
+        logger.info(`Role created: ${role.name} by ${req.currentUser.email}`);
+        res.status(201).json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role already exists'
+            });
+        }
+        logger.error('Create role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Change a role's description or permissions
+// @route   PUT /api/roles/:name
+// @access  Private (roles:manage)
+const updateRole = async (req, res) => {
+    try {
+        const { error, value } = updateRoleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const name = req.params.name.toLowerCase();
+        if (name === 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'The admin role cannot be changed'
+            });
+        }
+
+        const existing = await getRole(name);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Built-in roles get a stored override the first time they are edited
+        const role = await Role.findOneAndUpdate(
+            { name },
+            {
+                $set: value,
+                $setOnInsert: {
+                    ...(value.description === undefined && { description: existing.description }),
+                    ...(value.permissions === undefined && { permissions: existing.permissions })
+                }
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+        await audit.record(audit.contextFor(req), {
+            action: 'role.update',
+            targetType: 'roles',
+            targetId: role.name,
+            before: { description: existing.description, permissions: existing.permissions },
+            after: { description: role.description, permissions: role.permissions }
+        });
+
+        logger.info(`Role updated: ${role.name} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        logger.error('Update role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a custom role
+// @route   DELETE /api/roles/:name
+// @access  Private (roles:manage)
+const deleteRole = async (req, res) => {
+    try {
+        const name = req.params.name.toLowerCase();
+        if (isBuiltIn(name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const assigned = await User.countDocuments({ role: name }).withDeleted();
+        if (assigned > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is still assigned to ${assigned} user(s)`
+            });
+        }
+
+        const role = await Role.findOneAndDelete({ name });
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+        await audit.record(audit.contextFor(req), {
+            action: 'role.delete',
+            targetType: 'roles',
+            targetId: role.name,
+            before: { description: role.description, permissions: role.permissions }
+        });
+
+        logger.info(`Role deleted: ${name} by ${req.currentUser.email}`);
+        res.json({
+            success: true,
+            message: 'Role removed'
+        });
+    } catch (error) {
+        logger.error('Delete role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getRoles,
+    getPermissionList,
+    createRole,
+    updateRole,
+    deleteRole
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permission names such as products:write, or "*" / "<resource>:*" wildcards
+ *         builtIn:
+ *           type: boolean
+ *       example:
+ *         name: fulfilment
+ *         description: Processes and ships orders
+ *         permissions: [orders:read, orders:fulfil]
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Roles and permissions (requires roles:manage)
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: List roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Built-in and custom roles
+ *   post:
+ *     summary: Create a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Role'
+ *     responses:
+ *       201:
+ *         description: The created role
+ *       400:
+ *         description: Invalid input or role already exists
+ *
+ * /api/roles/permissions:
+ *   get:
+ *     summary: List grantable permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permission names
+ *
+ * /api/roles/{name}:
+ *   put:
+ *     summary: Change a role's description or permissions
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The updated role
+ *       400:
+ *         description: Invalid input, or the admin role
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       400:
+ *         description: Built-in role, or still assigned to users
+ *       404:
+ *         description: Role not found
+ */
@@ -0,0 +1,510 @@
+const ShippingZone = require('../models/ShippingZone');
+const { SHIPPING_BASES } = require('../models/ShippingZone');
+const User = require('../models/User');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { quoteCart } = require('../services/shippingService');
+
+// Validation schemas
+const rateSchema = Joi.object({
+    upTo: Joi.number().min(0).allow(null),
+    price: Joi.number().min(0).required()
+});
+
+const methodSchema = Joi.object({
+    code: Joi.string().pattern(/^[a-z0-9_]+$/).max(40).required(),
+    name: Joi.string().max(100).required(),
+    basis: Joi.string().valid(...SHIPPING_BASES),
+    rates: Joi.array().items(rateSchema).min(1).required(),
+    freeOver: Joi.number().min(0).allow(null),
+    estimatedDays: Joi.object({
+        min: Joi.number().integer().min(0).required(),
+        max: Joi.number().integer().min(Joi.ref('min')).required()
+    }),
+    isActive: Joi.boolean()
+});
+
+const zoneFields = {
+    name: Joi.string().max(100),
+    areas: Joi.array().items(Joi.object({
+        country: Joi.string().length(2).uppercase().required(),
+        region: Joi.string().max(100)
+    })).min(1),
+    methods: Joi.array().items(methodSchema).unique('code'),
+    isActive: Joi.boolean()
+};
+
+const zoneSchema = Joi.object({
+    ...zoneFields,
+    name: zoneFields.name.required(),
+    areas: zoneFields.areas.required()
+});
+
+const updateZoneSchema = Joi.object(zoneFields).min(1);
+
+const quoteSchema = Joi.object({
+    addressId: Joi.string().hex().length(24),
+    country: Joi.string().length(2).uppercase(),
+    region: Joi.string().max(100).allow(''),
+    postalCode: Joi.string().max(12).allow('')
+}).xor('addressId', 'country');
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Shipping zone not found'
+});
+
+const validationMessage = (error) => Object.values(error.errors)
+    .filter(item => item.name !== 'ValidationError')
+    .map(item => item.message)
+    .join(', ');
+
+// @desc    List shipping zones
+// @route   GET /api/shipping/zones
+// @access  Private (shipping:manage)
+const getZones = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+        if (req.query.country) query['areas.country'] = String(req.query.country).toUpperCase();
+
+        const zones = await ShippingZone.find(query).sort({ createdAt: 1 });
+
+        res.json({
+            success: true,
+            count: zones.length,
+            data: zones
+        });
+    } catch (error) {
+        logger.error('Get shipping zones error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create a shipping zone
+// @route   POST /api/shipping/zones
+// @access  Private (shipping:manage)
+const createZone = async (req, res) => {
+    try {
+        const { error, value } = zoneSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const zone = await ShippingZone.create(value);
+
+        logger.info(`Shipping zone created: ${zone._id}`);
+        res.status(201).json({
+            success: true,
+            data: zone
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A shipping zone with this name already exists'
+            });
+        }
+        logger.error('Create shipping zone error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update a shipping zone
+// @route   PUT /api/shipping/zones/:id
+// @access  Private (shipping:manage)
+const updateZone = async (req, res) => {
+    try {
+        const { error, value } = updateZoneSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        // Loaded and saved so rates are put back in order
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) {
+            return notFound(res);
+        }
+        zone.set(value);
+        await zone.save();
+
+        logger.info(`Shipping zone updated: ${zone._id}`);
+        res.json({
+            success: true,
+            data: zone
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A shipping zone with this name already exists'
+            });
+        }
+        logger.error('Update shipping zone error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a shipping zone
+// @route   DELETE /api/shipping/zones/:id
+// @access  Private (shipping:manage)
+const deleteZone = async (req, res) => {
+    try {
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+        if (!zone) {
+            return notFound(res);
+        }
+
+        logger.info(`Shipping zone deleted: ${zone._id}`);
+        res.json({
+            success: true,
+            message: 'Shipping zone removed'
+        });
+    } catch (error) {
+        logger.error('Delete shipping zone error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Quote shipping the current user's cart to an address
+// @route   POST /api/shipping/quote
+// @access  Private
+const getQuote = async (req, res) => {
+    try {
+        const { error, value } = quoteSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        let address = value;
+        if (value.addressId) {
+            const user = await User.findById(req.user.userId);
+            address = user.addresses.id(value.addressId);
+            if (!address) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Address not found in your address book'
+                });
+            }
+        }
+
+        const quote = await quoteCart(req.user.userId, address);
+        if (!quote.itemCount) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+        if (!quote.zone) {
+            return res.status(400).json({
+                success: false,
+                message: 'We do not ship to this address'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: quote
+        });
+    } catch (error) {
+        logger.error('Shipping quote error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getZones,
+    createZone,
+    updateZone,
+    deleteZone,
+    getQuote
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingMethod:
+ *       type: object
+ *       required:
+ *         - code
+ *         - name
+ *         - rates
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: Chosen at checkout, e.g. standard or express
+ *         name:
+ *           type: string
+ *         basis:
+ *           type: string
+ *           enum: [weight, order_value]
+ *           description: Whether rates are bracketed by chargeable weight (grams) or by order value
+ *         rates:
+ *           type: array
+ *           description: Price up to each bound; a null upTo covers everything above
+ *           items:
+ *             type: object
+ *             properties:
+ *               upTo:
+ *                 type: number
+ *                 nullable: true
+ *               price:
+ *                 type: number
+ *         freeOver:
+ *           type: number
+ *           nullable: true
+ *           description: Orders worth at least this much after discounts ship free
+ *         estimatedDays:
+ *           type: object
+ *           properties:
+ *             min:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *         isActive:
+ *           type: boolean
+ *     ShippingZone:
+ *       type: object
+ *       required:
+ *         - name
+ *         - areas
+ *       properties:
+ *         name:
+ *           type: string
+ *         areas:
+ *           type: array
+ *           description: Countries, or regions of them, the zone covers. A zone naming the address's region wins over one covering the whole country.
+ *           items:
+ *             type: object
+ *             properties:
+ *               country:
+ *                 type: string
+ *                 description: ISO 3166-1 alpha-2 code
+ *               region:
+ *                 type: string
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         name: UK mainland
+ *         areas: [{ country: GB }]
+ *         methods:
+ *           - code: standard
+ *             name: Standard delivery
+ *             basis: weight
+ *             rates: [{ upTo: 2000, price: 3.95 }, { upTo: null, price: 7.95 }]
+ *             freeOver: 50
+ *             estimatedDays: { min: 2, max: 4 }
+ *           - code: express
+ *             name: Next day
+ *             basis: weight
+ *             rates: [{ upTo: null, price: 9.95 }]
+ *             estimatedDays: { min: 1, max: 1 }
+ *     ShippingQuote:
+ *       type: object
+ *       properties:
+ *         zone:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         weight:
+ *           type: number
+ *           description: Chargeable weight in grams, the larger of actual and volumetric (L x W x H / 5000 kg)
+ *         itemCount:
+ *           type: integer
+ *         orderValue:
+ *           type: number
+ *         methods:
+ *           type: array
+ *           description: Cheapest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               free:
+ *                 type: boolean
+ *               freeOver:
+ *                 type: number
+ *                 nullable: true
+ *               estimatedDays:
+ *                 type: object
+ *                 nullable: true
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shipping
+ *   description: Shipping zones, rates and quotes
+ */
+
+/**
+ * @swagger
+ * /api/shipping/quote:
+ *   post:
+ *     summary: Quote shipping methods for the current cart
+ *     description: Give either an address book entry or a country (with region and postal code where it matters).
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The available methods
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ShippingQuote'
+ *       400:
+ *         description: Invalid input, empty cart or no zone ships to the address
+ *       404:
+ *         description: Address not found
+ *
+ * /api/shipping/zones:
+ *   get:
+ *     summary: List shipping zones (requires shipping:manage)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The zones
+ *   post:
+ *     summary: Create a shipping zone (requires shipping:manage)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: The created zone
+ *       400:
+ *         description: Invalid input or duplicate name
+ *
+ * /api/shipping/zones/{id}:
+ *   put:
+ *     summary: Update a shipping zone (requires shipping:manage)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: The updated zone
+ *       404:
+ *         description: Shipping zone not found
+ *   delete:
+ *     summary: Delete a shipping zone (requires shipping:manage)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted
+ *       404:
+ *         description: Shipping zone not found
+ */
@@ -0,0 +1,418 @@
+const TaxRule = require('../models/TaxRule');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { calculateTax, taxInMajorUnits } = require('../services/taxService');
+const { toMinor } = require('../utils/money');
+
+// Validation schemas
+const ruleFields = {
+    country: Joi.string().length(2).uppercase(),
+    region: Joi.string().max(100).allow('', null),
+    name: Joi.string().max(60),
+    rate: Joi.number().min(0).max(100),
+    categoryRates: Joi.array().items(Joi.object({
+        category: Joi.string().lowercase().required(),
+        rate: Joi.number().min(0).max(100).required()
+    })).unique('category'),
+    appliesToShipping: Joi.boolean(),
+    isActive: Joi.boolean()
+};
+
+const ruleSchema = Joi.object(ruleFields)
+    .fork(['country', 'name', 'rate'], field => field.required());
+
+const updateRuleSchema = Joi.object(ruleFields).min(1);
+
+const calculationSchema = Joi.object({
+    country: Joi.string().length(2).uppercase().required(),
+    region: Joi.string().max(100).allow(''),
+    lines: Joi.array().items(Joi.object({
+        id: Joi.string(),
+        category: Joi.string().lowercase(),
+        amount: Joi.number().min(0).required()
+    })).min(1).required(),
+    shipping: Joi.number().min(0),
+    pricesIncludeTax: Joi.boolean()
+});
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Tax rule not found'
+});
+
+const validationMessage = (error) => Object.values(error.errors)
+    .filter(item => item.name !== 'ValidationError')
+    .map(item => item.message)
+    .join(', ');
+
+// @desc    List tax rules
+// @route   GET /api/tax/rules
+// @access  Private (tax:manage)
+const getRules = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.country) query.country = String(req.query.country).toUpperCase();
+        if (req.query.active !== undefined) query.isActive = req.query.active === 'true';
+
+        const rules = await TaxRule.find(query).sort({ country: 1, region: 1, name: 1 });
+
+        res.json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+    } catch (error) {
+        logger.error('Get tax rules error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Create a tax rule
+// @route   POST /api/tax/rules
+// @access  Private (tax:manage)
+const createRule = async (req, res) => {
+    try {
+        const { error, value } = ruleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const rule = await TaxRule.create(value);
+
+        logger.info(`Tax rule created: ${rule._id}`);
+        res.status(201).json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A tax with this name already exists for this country and region'
+            });
+        }
+        logger.error('Create tax rule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Update a tax rule
+// @route   PUT /api/tax/rules/:id
+// @access  Private (tax:manage)
+const updateRule = async (req, res) => {
+    try {
+        const { error, value } = updateRuleSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const rule = await TaxRule.findById(req.params.id);
+        if (!rule) {
+            return notFound(res);
+        }
+        rule.set(value);
+        await rule.save();
+
+        logger.info(`Tax rule updated: ${rule._id}`);
+        res.json({
+            success: true,
+            data: rule
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: validationMessage(error)
+            });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'A tax with this name already exists for this country and region'
+            });
+        }
+        logger.error('Update tax rule error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Delete a tax rule
+// @route   DELETE /api/tax/rules/:id
+// @access  Private (tax:manage)
+const deleteRule = async (req, res) => {
+    try {
+        const rule = await TaxRule.findByIdAndDelete(req.params.id);
+        if (!rule) {
+            return notFound(res);
+        }
+
+        logger.info(`Tax rule deleted: ${rule._id}`);
+        res.json({
+            success: true,
+            message: 'Tax rule removed'
+        });
+    } catch (error) {
+        logger.error('Delete tax rule error:', error);
+        if (error.kind === 'ObjectId') {
+            return notFound(res);
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Work out the tax on a sale, to check the rules
+// @route   POST /api/tax/calculate
+// @access  Private (tax:manage)
+const calculate = async (req, res) => {
+    try {
+        const { error, value } = calculationSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const result = await calculateTax({
+            lines: value.lines.map((line, index) => ({
+                id: line.id || String(index),
+                ...line,
+                amount: toMinor(line.amount)
+            })),
+            shipping: value.shipping && toMinor(value.shipping),
+            address: { country: value.country, region: value.region },
+            pricesIncludeTax: value.pricesIncludeTax
+        });
+
+        res.json({
+            success: true,
+            data: taxInMajorUnits(result)
+        });
+    } catch (error) {
+        logger.error('Calculate tax error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    calculate
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       required:
+ *         - country
+ *         - name
+ *         - rate
+ *       properties:
+ *         country:
+ *           type: string
+ *           description: ISO 3166-1 alpha-2 code
+ *         region:
+ *           type: string
+ *           nullable: true
+ *           description: Leave out for a rule covering the whole country. Country-wide and regional rules matching an address both apply.
+ *         name:
+ *           type: string
+ *         rate:
+ *           type: number
+ *           description: Percentage
+ *         categoryRates:
+ *           type: array
+ *           description: Reduced or zero (exempt) rates for product categories, also applied to the categories below them
+ *           items:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *         appliesToShipping:
+ *           type: boolean
+ *         isActive:
+ *           type: boolean
+ *       example:
+ *         country: GB
+ *         name: VAT
+ *         rate: 20
+ *         categoryRates: [{ category: kids, rate: 0 }]
+ *     TaxRate:
+ *       type: object
+ *       description: Tax charged at one rate
+ *       properties:
+ *         name:
+ *           type: string
+ *         jurisdiction:
+ *           type: string
+ *           description: Country code, followed by the region for regional rules (e.g. US-CA)
+ *         rate:
+ *           type: number
+ *         taxable:
+ *           type: number
+ *           description: Amount charged at this rate, excluding tax
+ *         tax:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tax
+ *   description: Tax rules by country and region (requires tax:manage)
+ */
+
+/**
+ * @swagger
+ * /api/tax/rules:
+ *   get:
+ *     summary: List tax rules
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: The rules
+ *   post:
+ *     summary: Create a tax rule
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       201:
+ *         description: The created rule
+ *       400:
+ *         description: Invalid input or duplicate tax
+ *
+ * /api/tax/rules/{id}:
+ *   put:
+ *     summary: Update a tax rule
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: The updated rule
+ *       404:
+ *         description: Tax rule not found
+ *   delete:
+ *     summary: Delete a tax rule
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted
+ *       404:
+ *         description: Tax rule not found
+ *
+ * /api/tax/calculate:
+ *   post:
+ *     summary: Work out the tax on a sale with the current rules
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - country
+ *               - lines
+ *             properties:
+ *               country:
+ *                 type: string
+ *               region:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     category:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               shipping:
+ *                 type: number
+ *               pricesIncludeTax:
+ *                 type: boolean
+ *                 description: Defaults to the store setting (PRICES_INCLUDE_TAX)
+ *     responses:
+ *       200:
+ *         description: Per-line, shipping and per-rate tax with the total to pay
+ */
@@ -1,5 +1,31 @@
+const Joi = require('joi');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const { revokeAllForUser } = require('../services/tokenService');
+const { can } = require('../middleware/policy');
+const { getRole } = require('../services/roleService');
+const trash = require('../services/trashService');
+const audit = require('../services/auditService');
+
+// Fields a user may change on their own profile; addresses are managed
+// through /api/users/me/addresses
+const profileFields = {
+  name: Joi.string().min(2).max(50),
+  phone: Joi.string().max(15).allow('')
+};
+
+const updateProfileSchema = Joi.object(profileFields).min(1);
+
+// Staff with users:write may additionally manage account state
+const adminUpdateUserSchema = Joi.object({
+  ...profileFields,
+  isActive: Joi.boolean(),
+  emailVerified: Joi.boolean()
+}).min(1);
+
+const assignRoleSchema = Joi.object({
+  role: Joi.string().lowercase().required()
+});
 
 const getUsers = async (req, res) => {
   try {
@@ -42,18 +68,55 @@ const getUserById = async (req, res) => {
 
 const updateUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).select("-password");
+    if ('role' in req.body) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied: roles can only be changed through the role assignment endpoint'
+      });
+    }
+
+    const schema = can(req, 'users:write') ? adminUpdateUserSchema : updateProfileSchema;
+    const { error, value } = schema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const user = await User.findById(req.params.id).select("-password");
     if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
-    logger.info(`User updated: ${user.email}`);
+
+    // Never leave the system without an admin
+    if (value.isActive === false && user.isActive && user.role === 'admin') {
+      const admins = await User.countDocuments({ role: 'admin', isActive: true });
+      if (admins <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot deactivate the last admin'
+        });
+      }
+    }
+
+    const previous = audit.snapshot(user);
+    user.set(value);
+    await user.save();
+    if (value.isActive === false) {
+      await revokeAllForUser(user._id, 'user_inactive');
+    }
+    await audit.record(audit.contextFor(req), {
+      action: 'user.update',
+      targetType: 'users',
+      targetId: user._id,
+      before: previous,
+      after: user
+    });
+    logger.info(`User updated: ${user.email} by ${req.currentUser.email}`);
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -70,14 +133,37 @@ const updateUser = async (req, res) => {
 
 const deleteUser = async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
+    const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({
         success: false,
         message: 'User not found'
       });
     }
-    logger.info(`User deleted: ${user.email}`);
+
+    // Never leave the system without an admin
+    if (user.role === 'admin') {
+      const admins = await User.countDocuments({ role: 'admin', isActive: true });
+      if (admins <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot delete the last admin'
+        });
+      }
+    }
+
+    // Soft delete: orders and reviews keep pointing at the user
+    const previous = audit.snapshot(user);
+    await user.softDelete(req.user.userId);
+    await revokeAllForUser(user._id, 'user_inactive');
+    await audit.record(audit.contextFor(req), {
+      action: 'user.delete',
+      targetType: 'users',
+      targetId: user._id,
+      before: previous,
+      after: user
+    });
+    logger.info(`User moved to trash: ${user.email} by ${req.currentUser.email}`);
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -91,7 +177,173 @@ const deleteUser = async (req, res) => {
   }
 };
 
-module.exports = { getUsers, getUserById, updateUser, deleteUser };
+const getTrashedUsers = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { items, total } = await trash.listTrash(User, { page, limit, select: '-password' });
+    res.json({
+      success: true,
+      data: items,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Get trashed users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const restoreUser = async (req, res) => {
+  try {
+    const user = await trash.findInTrash(User, req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in trash'
+      });
+    }
+    const previous = audit.snapshot(user);
+    await user.restore();
+    await audit.record(audit.contextFor(req), {
+      action: 'user.restore',
+      targetType: 'users',
+      targetId: user._id,
+      before: previous,
+      after: user
+    });
+    logger.info(`User restored: ${user.email} by ${req.currentUser.email}`);
+    const data = user.toObject();
+    delete data.password;
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      data
+    });
+  } catch (error) {
+    logger.error('Restore user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const purgeUser = async (req, res) => {
+  try {
+    const user = await trash.findInTrash(User, req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found in trash'
+      });
+    }
+    await trash.purgeUser(user);
+    await audit.record(audit.contextFor(req), {
+      action: 'user.purge',
+      targetType: 'users',
+      targetId: user._id,
+      before: user
+    });
+    logger.info(`User purged: ${user.email} by ${req.currentUser.email}`);
+    res.json({
+      success: true,
+      message: 'User permanently deleted'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Purge user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+const assignRole = async (req, res) => {
+  try {
+    const { error, value } = assignRoleSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message
+      });
+    }
+
+    const role = await getRole(value.role);
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown role: ${value.role}`
+      });
+    }
+
+    const user = await User.findById(req.params.id).select("-password");
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Never leave the system without an admin
+    if (user.role === 'admin' && role.name !== 'admin') {
+      const admins = await User.countDocuments({ role: 'admin', isActive: true });
+      if (admins <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot remove the last admin'
+        });
+      }
+    }
+
+    const previous = user.role;
+    user.role = role.name;
+    await user.save();
+    await audit.record(audit.contextFor(req), {
+      action: 'user.role_assign',
+      targetType: 'users',
+      targetId: user._id,
+      before: { role: previous },
+      after: { role: user.role }
+    });
+
+    logger.info(`User role changed: ${user.email} ${previous} -> ${role.name} by ${req.currentUser.email}`);
+    res.json({
+      success: true,
+      message: 'Role assigned successfully',
+      data: user
+    });
+  } catch (error) {
+    logger.error('Assign role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
+  getTrashedUsers,
+  restoreUser,
+  purgeUser,
+  assignRole
+};
 
 /**
  * @swagger
@@ -104,7 +356,7 @@ module.exports = { getUsers, getUserById, updateUser, deleteUser };
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users
+ *     summary: Get all users (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -132,7 +384,7 @@ module.exports = { getUsers, getUserById, updateUser, deleteUser };
  * 
  * /api/users/{id}:
  *   get:
- *     summary: Get user by ID
+ *     summary: Get user by ID (own account, or any account with users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -149,6 +401,7 @@ module.exports = { getUsers, getUserById, updateUser, deleteUser };
  *         description: User not found
  *   put:
  *     summary: Update user
+ *     description: Users can update their own name and phone ("me" can be used as the id); addresses are managed through /api/users/me/addresses. Holders of users:write can update anyone and also change isActive and emailVerified. Roles are changed through /api/users/{id}/role.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -168,13 +421,22 @@ module.exports = { getUsers, getUserById, updateUser, deleteUser };
  *                 type: string
  *               phone:
  *                 type: string
- *               address:
- *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *                 description: Requires users:write
+ *               emailVerified:
+ *                 type: boolean
+ *                 description: Requires users:write
  *     responses:
  *       200:
  *         description: User updated
+ *       400:
+ *         description: Unknown or invalid field, or deactivating the last admin
+ *       403:
+ *         description: Not your account, or the body contains role
  *   delete:
- *     summary: Delete user
+ *     summary: Move a user to the trash (requires users:delete)
+ *     description: The account can no longer sign in and its sessions are revoked. Orders and reviews keep pointing at it.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -187,4 +449,97 @@ module.exports = { getUsers, getUserById, updateUser, deleteUser };
  *     responses:
  *       200:
  *         description: User deleted
+ *       400:
+ *         description: Cannot delete the last admin
+ *
+ * /api/users/trash:
+ *   get:
+ *     summary: List deleted users (requires users:delete)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deleted users, most recently deleted first, with deletedAt and deletedBy
+ *
+ * /api/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user (requires users:delete)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       404:
+ *         description: User not found in trash
+ *
+ * /api/users/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a user from the trash (requires users:delete)
+ *     description: Also removes their reviews, cart and sessions.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User permanently deleted
+ *       404:
+ *         description: User not found in trash
+ *       409:
+ *         description: The user has orders
+ *
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user (requires roles:manage)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 example: fulfilment
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *       400:
+ *         description: Unknown role, or removing the last admin
+ *       404:
+ *         description: User not found
  */
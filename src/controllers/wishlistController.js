@@ -0,0 +1,314 @@
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Joi = require('joi');
+const logger = require('../utils/logger');
+const { addToCart } = require('../services/cartService');
+
+// Validation schemas
+const addWishlistSchema = Joi.object({
+    productId: Joi.string().hex().length(24).required(),
+    size: Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'),
+    color: Joi.string()
+});
+
+const moveToCartSchema = Joi.object({
+    size: Joi.string().valid('XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'),
+    color: Joi.string(),
+    quantity: Joi.number().integer().min(1).default(1)
+});
+
+const sameEntry = (item, productId, size, color) =>
+    String(item.product._id || item.product) === String(productId) &&
+    (item.size || null) === (size || null) &&
+    (item.color || null) === (color || null);
+
+// A wishlist entry for the response; products that are deactivated or in the
+// trash (populated as null) are flagged as unavailable
+const wishlistEntry = (item) => ({
+    id: item._id,
+    product: item.product && {
+        id: item.product._id,
+        name: item.product.name,
+        price: item.product.price,
+        imageUrl: item.product.imageFor(item.product.findVariant(item.size, item.color)),
+        brand: item.product.brand,
+        inStock: item.product.stock > 0
+    },
+    size: item.size,
+    color: item.color,
+    addedAt: item.addedAt,
+    available: Boolean(item.product && item.product.isActive)
+});
+
+/**
+ * Populate the wishlist and shape it for the response. Nothing is written:
+ * entries of trashed products are kept so restoring the product brings them
+ * back, and are only dropped when the product is purged.
+ */
+const sendWishlist = async (res, user, status = 200) => {
+    await user.populate('wishlist.product');
+
+    res.status(status).json({
+        success: true,
+        count: user.wishlist.length,
+        data: user.wishlist.map(wishlistEntry)
+    });
+};
+
+// @desc    Get the current user's wishlist
+// @route   GET /api/users/me/wishlist
+// @access  Private
+const getWishlist = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        await sendWishlist(res, user);
+    } catch (error) {
+        logger.error('Get wishlist error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Add a product to the wishlist
+// @route   POST /api/users/me/wishlist
+// @access  Private
+const addToWishlist = async (req, res) => {
+    try {
+        const { error, value } = addWishlistSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { productId, size, color } = value;
+        const product = await Product.findById(productId);
+        if (!product || !product.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        if (size && !product.sizes.includes(size)) {
+            return res.status(400).json({
+                success: false,
+                message: `Size must be one of: ${product.sizes.join(', ') || 'none'}`
+            });
+        }
+        if (color && !product.colors.includes(color)) {
+            return res.status(400).json({
+                success: false,
+                message: `Color must be one of: ${product.colors.join(', ') || 'none'}`
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (user.wishlist.some(item => sameEntry(item, productId, size, color))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Product is already in your wishlist'
+            });
+        }
+
+        user.wishlist.push({ product: product._id, size, color });
+        await user.save();
+
+        logger.info(`Wishlist item added: user ${user._id}, product ${product._id}`);
+        await sendWishlist(res, user, 201);
+    } catch (error) {
+        logger.error('Add wishlist item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Remove an entry from the wishlist
+// @route   DELETE /api/users/me/wishlist/:itemId
+// @access  Private
+const removeFromWishlist = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        const item = user.wishlist.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Wishlist item not found'
+            });
+        }
+
+        item.deleteOne();
+        await user.save();
+
+        await sendWishlist(res, user);
+    } catch (error) {
+        logger.error('Remove wishlist item error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Move a wishlist entry into the cart
+// @route   POST /api/users/me/wishlist/:itemId/move-to-cart
+// @access  Private
+const moveToCart = async (req, res) => {
+    try {
+        const { error, value } = moveToCartSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const item = user.wishlist.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Wishlist item not found'
+            });
+        }
+
+        // The body can fill in a size/color the wishlist entry left open
+        await addToCart(user._id, {
+            productId: item.product,
+            size: value.size || item.size,
+            color: value.color || item.color,
+            quantity: value.quantity
+        });
+
+        item.deleteOne();
+        await user.save();
+
+        logger.info(`Wishlist item moved to cart: user ${user._id}, product ${item.product}`);
+        await sendWishlist(res, user);
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+        logger.error('Move wishlist item to cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    moveToCart
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wishlist
+ *   description: Wishlist of the logged-in user
+ */
+
+/**
+ * @swagger
+ * /api/users/me/wishlist:
+ *   get:
+ *     summary: Get the wishlist with product details
+ *     description: Entries for deactivated products, and for products in the trash (with product null), are returned with available=false.
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The wishlist
+ *   post:
+ *     summary: Add a product to the wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - productId
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *                 enum: [XS, S, M, L, XL, XXL, ONESIZE]
+ *               color:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The updated wishlist
+ *       400:
+ *         description: Already in the wishlist, or invalid size/color
+ *       404:
+ *         description: Product not found
+ *
+ * /api/users/me/wishlist/{itemId}:
+ *   delete:
+ *     summary: Remove an entry from the wishlist
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The updated wishlist
+ *       404:
+ *         description: Wishlist item not found
+ *
+ * /api/users/me/wishlist/{itemId}/move-to-cart:
+ *   post:
+ *     summary: Move a wishlist entry into the cart
+ *     tags: [Wishlist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *                 description: Required if the entry has no size and the product comes in sizes
+ *               color:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *     responses:
+ *       200:
+ *         description: The updated wishlist
+ *       400:
+ *         description: Invalid size/color or not enough stock
+ *       404:
+ *         description: Wishlist item or product not found
+ */
@@ -1,7 +1,9 @@
 const logger = require('../utils/logger');
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { verifyAccessToken, isSessionActive } = require('../services/tokenService');
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     if (!token) {
@@ -11,11 +13,34 @@ const auth = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const decoded = verifyAccessToken(token);
+
+    // Tokens without a session id predate revocable sessions and cannot be revoked
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    const user = await User.findById(decoded.userId).select('isActive');
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is inactive or no longer exists'
+      });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
     logger.error('Auth middleware error:', error);
+    if (!(error instanceof jwt.JsonWebTokenError)) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during authentication'
+      });
+    }
     res.status(401).json({
       success: false,
       message: 'Token is not valid'
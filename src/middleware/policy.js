@@ -0,0 +1,88 @@
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { getPermissions, grants } = require('../services/roleService');
+
+// True when the request's resolved permissions include `permission`
+const can = (req, permission) => grants(req.permissions || [], permission);
+
+/**
+ * Build a middleware that lets the request through only when `check(req, user)`
+ * resolves truthy. `user` is the full User document of the caller, which is
+ * attached as req.currentUser for the controllers, along with the caller's
+ * role permissions as req.permissions. Must run after `auth`.
+ */
+const authorize = (check, message = 'Access denied') => async (req, res, next) => {
+    try {
+        if (!req.user || !req.user.userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (!req.currentUser) {
+            const user = await User.findById(req.user.userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+            req.currentUser = user;
+            req.permissions = await getPermissions(user.role);
+        }
+
+        if (!(await check(req, req.currentUser))) {
+            return res.status(403).json({
+                success: false,
+                message
+            });
+        }
+
+        next();
+    } catch (error) {
+        logger.error('Policy middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during authorization'
+        });
+    }
+};
+
+// Only loads req.currentUser and req.permissions, for controllers that make
+// their own access decisions
+const withPermissions = authorize(() => true);
+
+// The caller's role grants every one of the given permissions
+const requirePermission = (...permissions) => authorize(
+    req => permissions.every(permission => can(req, permission)),
+    `Access denied: requires ${permissions.join(', ')}`
+);
+
+// The caller acts on their own user record (given by a route param, where
+// "me" is an alias for the caller) or holds `permission`
+const selfOrPermission = (permission, param = 'id') => authorize((req, user) => {
+    if (req.params[param] === 'me') {
+        req.params[param] = String(user._id);
+    }
+    return req.params[param] === String(user._id) || can(req, permission);
+}, 'Access denied: you can only access your own account');
+
+// The caller owns the resource or holds `permission`. `getOwnerId(req)` may be
+// async and should resolve to the owning user's id, or null when there is no such resource.
+const ownerOrPermission = (permission, getOwnerId) => authorize(async (req, user) => {
+    if (can(req, permission)) {
+        return true;
+    }
+    const ownerId = await getOwnerId(req);
+    return ownerId != null && String(ownerId) === String(user._id);
+}, 'Access denied: you do not own this resource');
+
+module.exports = {
+    authorize,
+    withPermissions,
+    requirePermission,
+    selfOrPermission,
+    ownerOrPermission,
+    can
+};
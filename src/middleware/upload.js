@@ -0,0 +1,68 @@
+const path = require('path');
+const multer = require('multer');
+const { IMAGE_FORMATS, maxImageBytes } = require('../services/imageService');
+
+const MAX_IMAGES_PER_UPLOAD = 10;
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+const allowedImageTypes = Object.values(IMAGE_FORMATS).map(format => format.contentType);
+const allowedImportExtensions = ['.csv', '.ndjson', '.jsonl'];
+
+const rejectFile = (file, message) => {
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = message;
+    return error;
+};
+
+// Run a multer handler built per request by createUploader, answering its
+// errors (too large, wrong type) with 4xx responses
+const handleUpload = (createUploader, maxBytes) => (req, res, next) => {
+    createUploader()(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                success: false,
+                message: tooLarge
+                    ? `Files cannot exceed ${Math.round(maxBytes() / 1024 / 1024)}MB`
+                    : error.message
+            });
+        }
+        next(error);
+    });
+};
+
+// Files are kept in memory; imageService re-checks the decoded content before storing.
+// Built per request so a change to the size limit applies.
+const imageUploader = () => multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxImageBytes(), files: MAX_IMAGES_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+        if (!allowedImageTypes.includes(file.mimetype)) {
+            return cb(rejectFile(file, 'Only JPEG, PNG and WebP images are allowed'));
+        }
+        cb(null, true);
+    }
+}).array('images', MAX_IMAGES_PER_UPLOAD);
+
+// Spreadsheet tools send CSV under many mimetypes, so the extension decides
+const importUploader = () => multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        if (!allowedImportExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(rejectFile(file, 'Only .csv and .ndjson files are allowed'));
+        }
+        cb(null, true);
+    }
+}).single('file');
+
+// Accept up to MAX_IMAGES_PER_UPLOAD files in the multipart field "images"
+const imageUpload = handleUpload(imageUploader, maxImageBytes);
+
+// Accept one CSV or NDJSON file in the multipart field "file"
+const importFileUpload = handleUpload(importUploader, () => MAX_IMPORT_BYTES);
+
+module.exports = { imageUpload, importFileUpload, MAX_IMAGES_PER_UPLOAD };
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a change made through the API. `before` and `after`
+// hold only the fields that changed (the whole document on create/purge).
+const auditLogSchema = new mongoose.Schema({
+    // Null for anonymous requests, e.g. a password reset by link
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Copied so entries stay readable after the actor is purged
+    actorEmail: {
+        type: String,
+        lowercase: true
+    },
+    // "<resource>.<verb>", e.g. product.update or auth.reset_password
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        required: true
+    },
+    targetId: {
+        type: String
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Entries are never changed or removed once written
+const appendOnly = function () {
+    throw new Error('Audit log entries are append-only');
+};
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    appendOnly
+);
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) {
+        appendOnly();
+    }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const cartItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product is required']
+    },
+    size: {
+        type: String,
+        enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE']
+    },
+    color: {
+        type: String,
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+    }
+}, {
+    timestamps: true
+});
+
+const cartSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: {
+        type: [cartItemSchema],
+        default: []
+    },
+    couponCode: {
+        type: String,
+        uppercase: true,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Find the line holding the same product/size/color combination
+cartSchema.methods.findLine = function (productId, size, color) {
+    return this.items.find(item =>
+        String(item.product._id || item.product) === String(productId) &&
+        (item.size || null) === (size || null) &&
+        (item.color || null) === (color || null)
+    );
+};
+
+// Total quantity of a product across all lines, optionally skipping one line
+cartSchema.methods.quantityOf = function (productId, excludeItemId) {
+    return this.items
+        .filter(item => String(item.product._id || item.product) === String(productId))
+        .filter(item => !excludeItemId || String(item._id) !== String(excludeItemId))
+        .reduce((sum, item) => sum + item.quantity, 0);
+};
+
+// Expects items.product to be populated. Lines whose product was removed or
+// deactivated are flagged unavailable and left out of the totals. Amounts
+// are in minor units of the base currency.
+cartSchema.methods.summarize = function () {
+    let subtotal = 0;
+    const items = this.items.map(item => {
+        const product = item.product && item.product._id ? item.product : null;
+        const variant = product ? product.findVariant(item.size, item.color) : null;
+        const available = Boolean(product && product.isActive &&
+            product.availableFor(item.size, item.color) >= item.quantity);
+        const unitPrice = product ? product.priceMinorFor(variant) : 0;
+        const lineSubtotal = available ? unitPrice * item.quantity : 0;
+        subtotal += lineSubtotal;
+
+        return {
+            id: item._id,
+            product: product ? {
+                id: product._id,
+                name: product.name,
+                price: product.priceMinor,
+                sku: product.skuFor(variant),
+                category: product.category,
+                brand: product.brand,
+                imageUrl: product.imageFor(variant),
+                stock: product.availableFor(item.size, item.color)
+            } : null,
+            size: item.size,
+            color: item.color,
+            quantity: item.quantity,
+            unitPrice,
+            subtotal: lineSubtotal,
+            available
+        };
+    });
+
+    return {
+        id: this._id,
+        items,
+        itemCount: items.filter(item => item.available).reduce((sum, item) => sum + item.quantity, 0),
+        subtotal,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
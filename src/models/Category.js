@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { wordSuffixes } = require('../utils/search');
+
+const slugify = (value) => String(value)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        trim: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters']
+    },
+    // Products reference categories by slug
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and dashes']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null
+    },
+    // Root-first ids of every category above this one, kept in sync with parent
+    ancestors: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: [],
+        index: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Normalised word suffixes of the name, matched with anchored regexes by
+    // search suggestions. Maintained on validate.
+    searchKeys: {
+        type: [String],
+        default: undefined,
+        select: false
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.searchKeys;
+            return ret;
+        }
+    }
+});
+
+categorySchema.index({ searchKeys: 1 });
+
+categorySchema.pre('validate', async function () {
+    if (!this.slug && this.name) {
+        this.slug = slugify(this.name);
+    }
+    if (this.isNew || this.isModified('name')) {
+        this.searchKeys = wordSuffixes(this.name);
+    }
+
+    if (!this.isModified('parent')) {
+        return;
+    }
+    if (!this.parent) {
+        this.ancestors = [];
+        return;
+    }
+
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+        this.invalidate('parent', 'Parent category not found');
+    } else if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+        this.invalidate('parent', 'A category cannot be moved below itself');
+    } else {
+        this.ancestors = [...parent.ancestors, parent._id];
+    }
+});
+
+// Slugs of a category and everything below it
+categorySchema.statics.subtreeSlugs = async function (slug) {
+    const root = await this.findOne({ slug });
+    if (!root) {
+        return null;
+    }
+    const descendants = await this.find({ ancestors: root._id }).select('slug');
+    return [root.slug, ...descendants.map(category => category.slug)];
+};
+
+/**
+ * For each slug, the slugs from that category up to its root, nearest first,
+ * as a Map. Unknown slugs map to just themselves.
+ */
+categorySchema.statics.lineageSlugs = async function (slugs) {
+    const categories = await this.find({ slug: { $in: slugs } }).select('slug ancestors');
+    const ancestors = await this.find({ _id: { $in: categories.flatMap(category => category.ancestors) } })
+        .select('slug');
+    const slugOf = new Map(ancestors.map(ancestor => [String(ancestor._id), ancestor.slug]));
+
+    return new Map(slugs.map(slug => {
+        const category = categories.find(candidate => candidate.slug === slug);
+        const above = category
+            ? category.ancestors.map(id => slugOf.get(String(id))).filter(Boolean).reverse()
+            : [];
+        return [slug, [slug, ...above]];
+    }));
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
+module.exports.slugify = slugify;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true,
+        maxlength: [30, 'Code cannot exceed 30 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    type: {
+        type: String,
+        required: [true, 'Coupon type is required'],
+        enum: {
+            values: ['percentage', 'fixed', 'free_shipping'],
+            message: 'Please select a valid coupon type'
+        }
+    },
+    // Percent off for "percentage", amount off for "fixed", unused for "free_shipping"
+    value: {
+        type: Number,
+        min: [0, 'Value must be non-negative'],
+        default: 0
+    },
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
+    minOrderValue: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Global and per-user caps; empty means unlimited
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    usageLimitPerUser: {
+        type: Number,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // When set, only lines from these categories/brands are discounted
+    categories: {
+        type: [String],
+        default: []
+    },
+    brands: {
+        type: [String],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, baseCurrency } = require('../config/currencies');
+
+// Units of `currency` one unit of the base currency buys. Set by staff, not
+// fetched from a live feed, so prices only move when someone changes a rate.
+const exchangeRateSchema = new mongoose.Schema({
+    base: {
+        type: String,
+        required: true,
+        uppercase: true,
+        default: baseCurrency
+    },
+    currency: {
+        type: String,
+        required: [true, 'Currency is required'],
+        uppercase: true,
+        enum: {
+            values: Object.keys(CURRENCIES),
+            message: 'Unsupported currency: {VALUE}'
+        }
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required'],
+        min: [0.000001, 'Rate must be positive']
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+exchangeRateSchema.index({ base: 1, currency: 1 }, { unique: true });
+
+// Rates from the configured base currency, as a Map of currency -> rate
+exchangeRateSchema.statics.current = async function () {
+    const rates = await this.find({ base: baseCurrency() });
+    return new Map(rates.map(entry => [entry.currency, entry.rate]));
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
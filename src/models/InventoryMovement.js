@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['restock', 'sale', 'return', 'adjustment'];
+
+// Append-only record of every stock change. `quantity` is the signed change
+// and `balance` the stock of the product (or variant) right after it.
+const inventoryMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Set when the product has variants; size/color/sku are copied for readability
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    size: {
+        type: String
+    },
+    color: {
+        type: String
+    },
+    sku: {
+        type: String
+    },
+    type: {
+        type: String,
+        enum: MOVEMENT_TYPES,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true
+    },
+    balance: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required'],
+        maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // Null for changes made by the system
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+
+// Entries are never changed or removed once written
+const appendOnly = function () {
+    throw new Error('Inventory movements are append-only');
+};
+inventoryMovementSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    appendOnly
+);
+inventoryMovementSchema.pre('save', function () {
+    if (!this.isNew) {
+        appendOnly();
+    }
+});
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Payment intents of the mock provider. Kept in the database rather than in
+// memory so they survive restarts and are shared between instances.
+const mockPaymentIntentSchema = new mongoose.Schema({
+    intentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Minor units, like the Payment it belongs to
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: ['requires_confirmation', 'authorized', 'captured', 'partially_refunded', 'refunded', 'failed'],
+        default: 'requires_confirmation'
+    },
+    amountCaptured: {
+        type: Number,
+        default: 0
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    failureReason: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('MockPaymentIntent', mockPaymentIntentSchema);
@@ -0,0 +1,302 @@
+const mongoose = require('mongoose');
+const minorUnits = require('./plugins/minorUnits');
+const { baseCurrency } = require('../config/currencies');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Allowed next states for each status; anything not listed is rejected
+const ORDER_TRANSITIONS = {
+    pending: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: []
+};
+
+// Statuses that hand the order's units back to stock when entered
+const RESTOCK_STATUSES = ['cancelled', 'refunded'];
+
+// Validated when it was saved to the address book, so not checked again here
+const orderAddressSchema = new mongoose.Schema({
+    recipient: String,
+    line1: String,
+    line2: String,
+    city: String,
+    region: String,
+    postalCode: String,
+    country: String,
+    phone: String
+}, { _id: false });
+
+// Amounts on an order are stored in minor units of its currency and shown in
+// major units too (`total` for `totalMinor`) by the minorUnits plugin
+const isWholeAmount = [
+    value => value == null || Number.isInteger(value),
+    'Amounts must be whole numbers of minor units'
+];
+
+const withMajorUnits = { toJSON: { virtuals: true }, toObject: { virtuals: true } };
+
+// Product details are copied onto the line at purchase time so later catalog
+// edits do not change what the customer paid for.
+const orderItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    sku: {
+        type: String
+    },
+    priceMinor: {
+        type: Number,
+        required: true,
+        min: [0, 'Price must be non-negative'],
+        validate: isWholeAmount
+    },
+    size: {
+        type: String
+    },
+    color: {
+        type: String
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Quantity must be at least 1']
+    },
+    subtotalMinor: {
+        type: Number,
+        required: true,
+        validate: isWholeAmount
+    },
+    // Promotion plus coupon discount on this line
+    discountMinor: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: isWholeAmount
+    },
+    promotion: {
+        type: String
+    },
+    taxMinor: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: isWholeAmount
+    }
+}, withMajorUnits);
+
+orderItemSchema.plugin(minorUnits, { amounts: ['price', 'subtotal', 'discount', 'tax'] });
+
+// Tax charged at one rate across the order, for invoices
+const taxRateSchema = new mongoose.Schema({
+    name: String,
+    jurisdiction: String,
+    rate: Number,
+    taxableMinor: Number,
+    taxMinor: Number
+}, {
+    _id: false,
+    ...withMajorUnits
+});
+
+taxRateSchema.plugin(minorUnits, { amounts: ['taxable', 'tax'] });
+
+// Method chosen at checkout and what it cost
+const orderShippingSchema = new mongoose.Schema({
+    zone: String,
+    method: String,
+    name: String,
+    costMinor: {
+        type: Number,
+        min: 0,
+        validate: isWholeAmount
+    },
+    taxMinor: {
+        type: Number,
+        min: 0,
+        validate: isWholeAmount
+    }
+}, {
+    _id: false,
+    ...withMajorUnits
+});
+
+orderShippingSchema.plugin(minorUnits, { amounts: ['cost', 'tax'] });
+
+const statusChangeSchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: ORDER_STATUSES
+    },
+    to: {
+        type: String,
+        enum: ORDER_STATUSES,
+        required: true
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        maxlength: [500, 'Note cannot be more than 500 characters']
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// A parcel handed to a carrier; customers follow it through trackingUrl
+const shipmentSchema = new mongoose.Schema({
+    carrier: {
+        type: String,
+        required: [true, 'Carrier is required'],
+        lowercase: true,
+        trim: true
+    },
+    trackingNumber: {
+        type: String,
+        required: [true, 'Tracking number is required'],
+        trim: true
+    },
+    trackingUrl: {
+        type: String
+    },
+    shippedAt: {
+        type: Date,
+        default: Date.now
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
+const orderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: {
+        type: [orderItemSchema],
+        validate: [items => items.length > 0, 'Order must contain at least one item']
+    },
+    subtotalMinor: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: isWholeAmount
+    },
+    discountMinor: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: isWholeAmount
+    },
+    coupon: {
+        code: String,
+        type: { type: String },
+        value: Number
+    },
+    freeShipping: {
+        type: Boolean,
+        default: false
+    },
+    // null when nothing was charged for shipping
+    shipping: {
+        type: orderShippingSchema,
+        default: null
+    },
+    // Whether item prices and shipping cost include the tax, or it was added on top
+    pricesIncludeTax: {
+        type: Boolean,
+        default: false
+    },
+    taxMinor: {
+        type: Number,
+        min: 0,
+        default: 0,
+        validate: isWholeAmount
+    },
+    taxRates: {
+        type: [taxRateSchema],
+        default: []
+    },
+    totalMinor: {
+        type: Number,
+        required: true,
+        min: 0,
+        validate: isWholeAmount
+    },
+    // Every amount on the order is in this currency
+    currency: {
+        type: String,
+        uppercase: true,
+        default: baseCurrency
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ORDER_STATUSES,
+            message: 'Invalid order status'
+        },
+        default: 'pending',
+        index: true
+    },
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: []
+    },
+    // Copies of address book entries taken at checkout
+    shipTo: {
+        type: orderAddressSchema,
+        default: null
+    },
+    billTo: {
+        type: orderAddressSchema,
+        default: null
+    },
+    // Free-text address, for customers who have no address book entries
+    shippingAddress: {
+        type: String,
+        trim: true,
+        maxlength: [255, 'Address cannot be more than 255 characters']
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot be more than 500 characters']
+    },
+    shipments: {
+        type: [shipmentSchema],
+        default: []
+    }
+}, {
+    timestamps: true,
+    ...withMajorUnits
+});
+
+orderSchema.plugin(minorUnits, { amounts: ['subtotal', 'discount', 'tax', 'total'] });
+
+orderSchema.methods.canTransitionTo = function (status) {
+    return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+module.exports.RESTOCK_STATUSES = RESTOCK_STATUSES;
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = [
+    'requires_confirmation',
+    'authorized',
+    'captured',
+    'partially_refunded',
+    'refunded',
+    'failed',
+    'cancelled'
+];
+
+// How far along each status is; a payment never moves back to an earlier
+// one, so late or out-of-order webhook deliveries are ignored
+const STATUS_ORDER = {
+    requires_confirmation: 0,
+    authorized: 1,
+    failed: 2,
+    cancelled: 2,
+    captured: 2,
+    partially_refunded: 3,
+    refunded: 4
+};
+
+const paymentEventSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        required: true
+    },
+    // "api" for calls made by us, "webhook" for provider notifications
+    source: {
+        type: String,
+        enum: ['api', 'webhook'],
+        required: true
+    },
+    eventId: {
+        type: String
+    },
+    amount: {
+        type: Number
+    },
+    message: {
+        type: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// One attempt to pay an order through a provider. Amounts are in minor
+// units (cents) as the providers take them.
+const paymentSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    // The provider's id for the payment intent
+    providerPaymentId: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    status: {
+        type: String,
+        enum: PAYMENT_STATUSES,
+        default: 'requires_confirmation'
+    },
+    amountCaptured: {
+        type: Number,
+        default: 0
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    failureReason: {
+        type: String
+    },
+    // Handed to the client to complete the payment; returned again while unused
+    clientSecret: {
+        type: String,
+        select: false
+    },
+    history: {
+        type: [paymentEventSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+paymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+
+// Further partial refunds keep a payment partially refunded
+paymentSchema.methods.canMoveTo = function (status) {
+    return STATUS_ORDER[status] > STATUS_ORDER[this.status] ||
+        (status === 'partially_refunded' && this.status === status);
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -1,4 +1,128 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const ExchangeRate = require('./ExchangeRate');
+const { CURRENCIES, baseCurrency } = require('../config/currencies');
+const { toMinor, fromMinor, listPricesFor, mapFromMinor, mapToMinor } = require('../utils/money');
+const { wordSuffixes, correctableWords } = require('../utils/search');
+
+const SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'];
+
+const isWholeAmount = (value) => value == null || Number.isInteger(value);
+
+// Per-currency prices: other supported currencies only, in whole minor units
+const validOverrides = {
+    validator: (prices) => !prices || [...prices].every(([currency, minor]) =>
+        CURRENCIES[currency] && currency !== baseCurrency() && Number.isInteger(minor) && minor >= 0),
+    message: () => `Currency prices must be non-negative amounts in supported currencies other than ${baseCurrency()}`
+};
+
+// Keeps internal fields out of API responses: the minor-unit ones, shown as
+// `price` and `currencyPrices` instead, and the search keys
+const hideInternalFields = (doc, ret) => {
+    delete ret.priceOverrides;
+    delete ret.listPrices;
+    delete ret.searchKeys;
+    return ret;
+};
+
+// `price` and `currencyPrices` read and write the stored minor units in
+// major units (19.99 rather than 1999), as the rest of the app uses them
+const addPriceVirtuals = (schema) => {
+    schema.virtual('price')
+        .get(function () {
+            return this.priceMinor == null ? this.priceMinor : fromMinor(this.priceMinor);
+        })
+        .set(function (value) {
+            this.priceMinor = value == null ? value : toMinor(value);
+        });
+    schema.virtual('currencyPrices')
+        .get(function () {
+            return mapFromMinor(this.priceOverrides);
+        })
+        .set(function (value) {
+            this.priceOverrides = mapToMinor(value);
+        });
+};
+
+// Stored searchKeys of a product (or of its raw document, for backfills)
+const searchKeysFor = ({ name, brand }) => ({
+    name: wordSuffixes(name),
+    brand: wordSuffixes(brand),
+    words: correctableWords(name, brand)
+});
+
+const variantSchema = new mongoose.Schema({
+    size: {
+        type: String,
+        enum: SIZES
+    },
+    color: {
+        type: String,
+        trim: true
+    },
+    sku: {
+        type: String,
+        trim: true
+    },
+    stock: {
+        type: Number,
+        required: [true, 'Variant stock is required'],
+        min: [0, 'Stock cannot be negative'],
+        default: 0
+    },
+    // Overrides the product price for this variant when set; in minor units
+    // of the base currency
+    priceMinor: {
+        type: Number,
+        min: [0, 'Price must be non-negative'],
+        validate: [isWholeAmount, 'Price must be a whole number of minor units']
+    },
+    priceOverrides: {
+        type: Map,
+        of: Number,
+        validate: validOverrides
+    }
+}, {
+    toJSON: { virtuals: true, transform: hideInternalFields },
+    toObject: { virtuals: true }
+});
+
+addPriceVirtuals(variantSchema);
+
+const PLACEHOLDER_IMAGE = 'https://via.placeholder.com/150';
+
+// One stored file of an image: the original upload or a resized copy
+const renditionSchema = new mongoose.Schema({
+    key: String,
+    url: String,
+    width: Number,
+    height: Number,
+    size: Number
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Alt text cannot exceed 200 characters'],
+        default: ''
+    },
+    isPrimary: {
+        type: Boolean,
+        default: false
+    },
+    // Variants this image shows; empty when it applies to the whole product
+    variants: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    },
+    contentType: String,
+    original: renditionSchema,
+    medium: renditionSchema,
+    thumbnail: renditionSchema
+}, {
+    timestamps: true
+});
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -12,10 +136,32 @@ const productSchema = new mongoose.Schema({
         required: [true, 'Product description is required'],
         maxlength: [2000, 'Description cannot exceed 2000 characters']
     },
-    price: {
+    // In minor units of the base currency (cents for USD)
+    priceMinor: {
         type: Number,
         required: [true, 'Product price is required'],
-        min: [0, 'Price must be non-negative']
+        min: [0, 'Price must be non-negative'],
+        validate: [isWholeAmount, 'Price must be a whole number of minor units']
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        default: baseCurrency,
+        validate: [value => value === baseCurrency(), () => `Prices must be in the base currency (${baseCurrency()})`]
+    },
+    // Prices set by hand for other currencies, in their minor units; the
+    // rest are converted at the stored exchange rates
+    priceOverrides: {
+        type: Map,
+        of: Number,
+        validate: validOverrides
+    },
+    // Price in every available currency (minor units), so listings can be
+    // filtered and sorted in any of them. Maintained on save and when an
+    // exchange rate changes.
+    listPrices: {
+        type: Map,
+        of: Number
     },
     stock: {
         type: Number,
@@ -23,13 +169,39 @@ const productSchema = new mongoose.Schema({
         min: [0, 'Stock cannot be negative'],
         default: 0
     },
+    // Stock at or below this raises a low-stock alert; applies to each variant
+    lowStockThreshold: {
+        type: Number,
+        min: [0, 'Threshold cannot be negative'],
+        default: null
+    },
+    // Shipping weight of one unit, in grams
+    weight: {
+        type: Number,
+        min: [0, 'Weight cannot be negative'],
+        default: null
+    },
+    // Packed size of one unit, in centimetres
+    dimensions: {
+        length: {
+            type: Number,
+            min: [0, 'Dimensions cannot be negative']
+        },
+        width: {
+            type: Number,
+            min: [0, 'Dimensions cannot be negative']
+        },
+        height: {
+            type: Number,
+            min: [0, 'Dimensions cannot be negative']
+        }
+    },
+    // Slug of a Category
     category: {
         type: String,
         required: [true, 'Product category is required'],
-        enum: {
-            values: ['Men', 'Women', 'Kids', 'Accessories', 'Unisex'],
-            message: 'Please select a valid category'
-        }
+        trim: true,
+        index: true
     },
     brand: {
         type: String,
@@ -37,7 +209,7 @@ const productSchema = new mongoose.Schema({
     },
     sizes: {
         type: [String],
-        enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE'],
+        enum: SIZES,
         default: []
     },
     colors: {
@@ -50,19 +222,174 @@ const productSchema = new mongoose.Schema({
         trim: true,
         sparse: true
     },
+    variants: {
+        type: [variantSchema],
+        default: []
+    },
+    // Follows the primary gallery image while the product has one
     imageUrl: {
         type: String,
-        default: 'https://via.placeholder.com/150'
+        default: PLACEHOLDER_IMAGE
+    },
+    // Ordered gallery; exactly one image is primary
+    images: {
+        type: [imageSchema],
+        default: []
+    },
+    // Maintained by Review.updateProductRating
+    averageRating: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5
+    },
+    reviewCount: {
+        type: Number,
+        default: 0,
+        min: 0
     },
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Normalised word suffixes of the name and brand, matched with anchored
+    // regexes by search suggestions, and the words offered as typo
+    // corrections. Maintained on save.
+    searchKeys: {
+        name: {
+            type: [String],
+            default: undefined,
+            select: false
+        },
+        brand: {
+            type: [String],
+            default: undefined,
+            select: false
+        },
+        words: {
+            type: [String],
+            default: undefined,
+            select: false
+        }
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true, transform: hideInternalFields },
+    toObject: { virtuals: true }
 });
 
+addPriceVirtuals(productSchema);
+
 // Index for search
 productSchema.index({ name: 'text', description: 'text', brand: 'text' });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'searchKeys.name': 1 });
+productSchema.index({ 'searchKeys.brand': 1 });
+
+productSchema.virtual('inStock').get(function () {
+    return this.stock > 0;
+});
+
+// When a product has variants, its stock, sizes and colors are derived from them
+productSchema.pre('validate', function (next) {
+    if (!this.variants || this.variants.length === 0) {
+        return next();
+    }
+
+    const seen = new Set();
+    for (const variant of this.variants) {
+        const key = `${variant.size || ''}|${variant.color || ''}`;
+        if (seen.has(key)) {
+            this.invalidate('variants', `Duplicate variant for size ${variant.size || '-'} and color ${variant.color || '-'}`);
+        }
+        seen.add(key);
+    }
+
+    this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+    this.sizes = [...new Set(this.variants.map(variant => variant.size).filter(Boolean))];
+    this.colors = [...new Set(this.variants.map(variant => variant.color).filter(Boolean))];
+    next();
+});
+
+// Keep the gallery consistent: one primary image, mirrored in imageUrl, and
+// no references to variants that no longer exist
+productSchema.pre('validate', function (next) {
+    if (!this.images || this.images.length === 0) {
+        return next();
+    }
+
+    const variantIds = new Set(this.variants.map(variant => String(variant._id)));
+    for (const image of this.images) {
+        if (image.variants.some(id => !variantIds.has(String(id)))) {
+            image.variants = image.variants.filter(id => variantIds.has(String(id)));
+        }
+    }
+
+    const primary = this.images.find(image => image.isPrimary) || this.images[0];
+    this.images.forEach(image => {
+        if (image.isPrimary !== (image === primary)) {
+            image.isPrimary = image === primary;
+        }
+    });
+    this.imageUrl = (primary.medium || primary.original).url;
+    next();
+});
+
+productSchema.pre('save', async function () {
+    if (this.isNew || !this.listPrices || this.isModified('priceMinor') || this.isModified('priceOverrides')) {
+        this.listPrices = listPricesFor(this.priceMinor, this.priceOverrides, await ExchangeRate.current());
+    }
+});
+
+productSchema.pre('save', function () {
+    if (this.isNew || this.isModified('name') || this.isModified('brand')) {
+        this.searchKeys = searchKeysFor(this);
+    }
+});
+
+productSchema.methods.findVariant = function (size, color) {
+    return this.variants.find(variant =>
+        (variant.size || null) === (size || null) &&
+        (variant.color || null) === (color || null)
+    );
+};
+
+// Unit price and SKU for a purchase, honouring variant overrides
+productSchema.methods.priceFor = function (variant) {
+    return variant && variant.price != null ? variant.price : this.price;
+};
+
+// The unit price in minor units, for sums that must not drift
+productSchema.methods.priceMinorFor = function (variant) {
+    return variant && variant.priceMinor != null ? variant.priceMinor : this.priceMinor;
+};
+
+productSchema.methods.skuFor = function (variant) {
+    return (variant && variant.sku) || this.sku;
+};
+
+// Image to show for a variant: its own first image, else the product's primary image
+productSchema.methods.imageFor = function (variant) {
+    const own = variant && this.images.find(image =>
+        image.variants.some(id => String(id) === String(variant._id)));
+    return own ? (own.medium || own.original).url : this.imageUrl;
+};
+
+// Units available for a size/color choice: the variant's stock when the product
+// has variants, otherwise the product-level stock
+productSchema.methods.availableFor = function (size, color) {
+    if (this.variants.length === 0) {
+        return this.stock;
+    }
+    const variant = this.findVariant(size, color);
+    return variant ? variant.stock : 0;
+};
+
+productSchema.plugin(softDelete);
+
+const Product = mongoose.model('Product', productSchema);
 
-module.exports = mongoose.model('Product', productSchema);
+module.exports = Product;
+module.exports.SIZES = SIZES;
+module.exports.PLACEHOLDER_IMAGE = PLACEHOLDER_IMAGE;
+module.exports.searchKeysFor = searchKeysFor;
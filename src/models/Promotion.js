@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Automatic promotions, applied to the cart without a code.
+// "buy_x_get_y": for every buyQuantity + getQuantity eligible units, the
+// cheapest getQuantity of them are free.
+const promotionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Promotion name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: {
+            values: ['buy_x_get_y'],
+            message: 'Please select a valid promotion type'
+        },
+        default: 'buy_x_get_y'
+    },
+    buyQuantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Buy quantity must be at least 1']
+    },
+    getQuantity: {
+        type: Number,
+        required: true,
+        min: [1, 'Get quantity must be at least 1']
+    },
+    categories: {
+        type: [String],
+        default: []
+    },
+    brands: {
+        type: [String],
+        default: []
+    },
+    startsAt: {
+        type: Date
+    },
+    endsAt: {
+        type: Date
+    },
+    // Lower runs first; a cart line takes part in at most one promotion
+    priority: {
+        type: Number,
+        default: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One document per issued refresh token. All tokens descending from the same
+// login share a family; the family id doubles as the session id carried in
+// access tokens, so revoking a family ends that session everywhere.
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    family: {
+        type: String,
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when the token was exchanged for a new one
+    replacedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RefreshToken'
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'reuse_detected', 'user_inactive']
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB drop tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+    },
+    title: {
+        type: String,
+        required: [true, 'Review title is required'],
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Review body is required'],
+        maxlength: [2000, 'Review cannot exceed 2000 characters']
+    },
+    // Set when the user has a paid order containing the product
+    verifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    // Hidden reviews are kept for moderators but left out of listings and ratings
+    status: {
+        type: String,
+        enum: ['published', 'hidden'],
+        default: 'published'
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    moderationNote: {
+        type: String,
+        maxlength: [500, 'Note cannot be more than 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// One review per user per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recompute Product.averageRating and reviewCount from published reviews
+reviewSchema.statics.updateProductRating = async function (productId) {
+    const [stats] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'published' } },
+        { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    await mongoose.model('Product').updateOne(
+        { _id: productId },
+        {
+            averageRating: stats ? Math.round(stats.average * 10) / 10 : 0,
+            reviewCount: stats ? stats.count : 0
+        }
+    ).withDeleted();
+};
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Stored roles: custom roles, and overrides of the built-in roles in config/roles.js
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]{1,29}$/, 'Role name may only contain lowercase letters, digits and underscores']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot be more than 200 characters']
+    },
+    permissions: {
+        type: [String],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { COUNTRIES } = require('../config/countries');
+
+const SHIPPING_BASES = ['weight', 'order_value'];
+
+// A country, or one region of it; regions are compared case-insensitively
+const areaSchema = new mongoose.Schema({
+    country: {
+        type: String,
+        required: [true, 'Country is required'],
+        uppercase: true,
+        trim: true,
+        enum: {
+            values: Object.keys(COUNTRIES),
+            message: 'Unsupported country: {VALUE}'
+        }
+    },
+    region: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Region cannot be more than 100 characters']
+    }
+}, {
+    _id: false
+});
+
+// Price for shipments up to `upTo` (grams or order value, following the
+// method's basis); a null `upTo` covers everything above the other rates
+const rateSchema = new mongoose.Schema({
+    upTo: {
+        type: Number,
+        min: [0, 'Rate bounds cannot be negative'],
+        default: null
+    },
+    price: {
+        type: Number,
+        required: [true, 'Rate price is required'],
+        min: [0, 'Rate price cannot be negative']
+    }
+}, {
+    _id: false
+});
+
+const methodSchema = new mongoose.Schema({
+    // Picked by customers at checkout, e.g. "standard" or "express"
+    code: {
+        type: String,
+        required: [true, 'Method code is required'],
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z0-9_]+$/, 'Method code may only contain letters, digits and underscores']
+    },
+    name: {
+        type: String,
+        required: [true, 'Method name is required'],
+        trim: true,
+        maxlength: [100, 'Method name cannot be more than 100 characters']
+    },
+    basis: {
+        type: String,
+        enum: SHIPPING_BASES,
+        default: 'weight'
+    },
+    rates: {
+        type: [rateSchema],
+        validate: [rates => rates.length > 0, 'Method must have at least one rate']
+    },
+    // Orders worth at least this much (after discounts) ship free
+    freeOver: {
+        type: Number,
+        min: [0, 'Free shipping threshold cannot be negative'],
+        default: null
+    },
+    estimatedDays: {
+        min: {
+            type: Number,
+            min: 0
+        },
+        max: {
+            type: Number,
+            min: 0
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    _id: false
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Zone name cannot be more than 100 characters']
+    },
+    areas: {
+        type: [areaSchema],
+        validate: [areas => areas.length > 0, 'Zone must cover at least one country']
+    },
+    methods: {
+        type: [methodSchema],
+        default: []
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+shippingZoneSchema.index({ 'areas.country': 1 });
+
+// Keep rates in ascending order (open-ended last) so the first one that fits
+// is the right one, and method codes unique within the zone
+shippingZoneSchema.pre('validate', function (next) {
+    const codes = new Set();
+    this.methods.forEach((method, index) => {
+        if (codes.has(method.code)) {
+            this.invalidate(`methods.${index}.code`, `Duplicate method code: ${method.code}`);
+        }
+        codes.add(method.code);
+
+        const sorted = [...method.rates].sort((a, b) => {
+            if (a.upTo === null) return 1;
+            if (b.upTo === null) return -1;
+            return a.upTo - b.upTo;
+        });
+        if (sorted.some((rate, position) => rate !== method.rates[position])) {
+            method.rates = sorted;
+        }
+    });
+    next();
+});
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
+module.exports.SHIPPING_BASES = SHIPPING_BASES;
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { COUNTRIES } = require('../config/countries');
+
+// A different rate for products of one category; 0 makes them exempt
+const categoryRateSchema = new mongoose.Schema({
+    category: {
+        type: String,
+        required: [true, 'Category is required'],
+        lowercase: true,
+        trim: true
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required'],
+        min: [0, 'Rate cannot be negative'],
+        max: [100, 'Rate cannot be more than 100']
+    }
+}, {
+    _id: false
+});
+
+/**
+ * One tax levied on sales shipped to a country, or to one region of it.
+ * Every active rule matching an address applies, so a country-wide rule and
+ * a regional one stack (e.g. a federal and a provincial sales tax). Rates are
+ * percentages.
+ */
+const taxRuleSchema = new mongoose.Schema({
+    country: {
+        type: String,
+        required: [true, 'Country is required'],
+        uppercase: true,
+        trim: true,
+        enum: {
+            values: Object.keys(COUNTRIES),
+            message: 'Unsupported country: {VALUE}'
+        }
+    },
+    // Empty for a rule covering the whole country; compared case-insensitively
+    region: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Region cannot be more than 100 characters'],
+        default: null
+    },
+    // Shown in breakdowns, e.g. "VAT" or "State sales tax"
+    name: {
+        type: String,
+        required: [true, 'Tax name is required'],
+        trim: true,
+        maxlength: [60, 'Tax name cannot be more than 60 characters']
+    },
+    rate: {
+        type: Number,
+        required: [true, 'Rate is required'],
+        min: [0, 'Rate cannot be negative'],
+        max: [100, 'Rate cannot be more than 100']
+    },
+    categoryRates: {
+        type: [categoryRateSchema],
+        default: []
+    },
+    appliesToShipping: {
+        type: Boolean,
+        default: true
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+taxRuleSchema.index({ country: 1, region: 1, name: 1 }, {
+    unique: true,
+    collation: { locale: 'en', strength: 2 }
+});
+
+taxRuleSchema.pre('validate', function (next) {
+    const categories = new Set();
+    this.categoryRates.forEach((override, index) => {
+        if (categories.has(override.category)) {
+            this.invalidate(`categoryRates.${index}.category`, `Duplicate category: ${override.category}`);
+        }
+        categories.add(override.category);
+    });
+    if (this.region === '') {
+        this.region = null;
+    }
+    next();
+});
+
+// The rate for products of a category. `category` is a slug, or the slugs
+// from the product's category up to its root: the nearest category with a
+// rate of its own wins, so sub-categories inherit their parent's rate.
+taxRuleSchema.methods.rateFor = function (category) {
+    for (const slug of [].concat(category)) {
+        const override = this.categoryRates.find(item => item.category === slug);
+        if (override) {
+            return override.rate;
+        }
+    }
+    return this.rate;
+};
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
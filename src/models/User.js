@@ -1,4 +1,97 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const { checkAddress } = require('../utils/address');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const wishlistItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  size: {
+    type: String,
+    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'ONESIZE']
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const MAX_ADDRESSES = 20;
+
+const addressSchema = new mongoose.Schema({
+  recipient: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true,
+    maxlength: [100, 'Recipient cannot be more than 100 characters']
+  },
+  line1: {
+    type: String,
+    required: [true, 'Address line 1 is required'],
+    trim: true,
+    maxlength: [100, 'Address line cannot be more than 100 characters']
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Address line cannot be more than 100 characters']
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: [60, 'City cannot be more than 60 characters']
+  },
+  // State, province or county
+  region: {
+    type: String,
+    trim: true,
+    maxlength: [60, 'Region cannot be more than 60 characters']
+  },
+  postalCode: {
+    type: String,
+    trim: true
+  },
+  // ISO 3166-1 alpha-2, one of config/countries.js
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true
+  },
+  // Stored in E.164 form
+  phone: {
+    type: String,
+    trim: true
+  },
+  isDefaultShipping: {
+    type: Boolean,
+    default: false
+  },
+  isDefaultBilling: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Per-country postal code, region and phone rules
+addressSchema.pre('validate', function () {
+  for (const { field, message } of checkAddress(this)) {
+    this.invalidate(field, message);
+  }
+});
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -22,9 +115,11 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters']
   },
+  // Name of a role from config/roles.js or the roles collection
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    lowercase: true,
+    trim: true,
     default: 'user'
   },
   phone: {
@@ -32,23 +127,90 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [15, 'Phone number cannot be more than 15 characters']
   },
-  address: {
+  addresses: {
+    type: [addressSchema],
+    default: [],
+    validate: [
+      addresses => addresses.length <= MAX_ADDRESSES,
+      `An address book holds at most ${MAX_ADDRESSES} addresses`
+    ]
+  },
+  // The free-text address from before the address book, kept when
+  // migrate:addresses could not turn it into a structured one
+  legacyAddress: {
     type: String,
-    trim: true,
-    maxlength: [255, 'Address cannot be more than 255 characters']
+    trim: true
   },
   wishlist: {
-    type: Array,
+    type: [wishlistItemSchema],
     default: []
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Only hashes of the emailed tokens are stored
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Generate a token for the verification email; returns the raw token
+userSchema.methods.createEmailVerificationToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  return token;
+};
+
+// Generate a token for the password reset email; returns the raw token
+userSchema.methods.createPasswordResetToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+// Exactly one default shipping and one default billing address while there are any
+userSchema.pre('validate', function () {
+  for (const flag of ['isDefaultShipping', 'isDefaultBilling']) {
+    const defaults = this.addresses.filter(address => address[flag]);
+    defaults.slice(1).forEach(address => { address[flag] = false; });
+    if (defaults.length === 0 && this.addresses.length > 0) {
+      this.addresses[0][flag] = true;
+    }
+  }
+});
+
+// The default address of a kind ('shipping' or 'billing'), if any
+userSchema.methods.defaultAddress = function (kind) {
+  const flag = kind === 'billing' ? 'isDefaultBilling' : 'isDefaultShipping';
+  return this.addresses.find(address => address[flag]) || null;
+};
+
+userSchema.statics.hashToken = hashToken;
+
+userSchema.plugin(softDelete);
 
 
 module.exports = mongoose.model('User', userSchema);
+module.exports.MAX_ADDRESSES = MAX_ADDRESSES;
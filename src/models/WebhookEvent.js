@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Provider webhook deliveries that have been handled. The unique index makes
+// a repeated delivery of the same event a no-op.
+const webhookEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    // What the delivery led to, e.g. "applied" or "ignored: unknown payment"
+    outcome: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Providers stop retrying after a few days; keep a month for reference
+webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
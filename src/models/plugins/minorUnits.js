@@ -0,0 +1,22 @@
+const { fromMinor } = require('../../utils/money');
+
+/**
+ * Major-unit views of amounts stored in minor units: for each name in
+ * `amounts`, a read-only virtual `<name>` showing `<name>Minor` (`total` for
+ * `totalMinor`) in the currency of the document, or of the document it is
+ * embedded in.
+ */
+const minorUnits = (schema, { amounts }) => {
+    for (const name of amounts) {
+        schema.virtual(name).get(function () {
+            const minor = this.get(`${name}Minor`);
+            if (minor == null) {
+                return minor;
+            }
+            const owner = this.$isSubdocument ? this.ownerDocument() : this;
+            return fromMinor(minor, owner.currency || undefined);
+        });
+    }
+};
+
+module.exports = minorUnits;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const FILTERED_QUERIES = [
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'countDocuments',
+    'distinct',
+    'updateOne',
+    'updateMany'
+];
+
+/**
+ * Soft delete for a schema: adds deletedAt/deletedBy, the softDelete() and
+ * restore() methods, and hides deleted documents from queries and aggregations.
+ *
+ * Deleted documents are still returned when the filter names deletedAt itself
+ * (e.g. `{ deletedAt: { $ne: null } }` for a trash view), when the query is
+ * chained with `.withDeleted()`, or for an aggregation whose first stage
+ * matches on deletedAt.
+ */
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null
+        }
+    });
+
+    schema.query.withDeleted = function () {
+        this._withDeleted = true;
+        return this;
+    };
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (!this._withDeleted && !('deletedAt' in this.getFilter())) {
+            this.where({ deletedAt: null });
+        }
+    });
+
+    // Folded into a leading $match rather than added before it, since a $text
+    // match has to stay the first stage
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        const [first] = pipeline;
+        if (first && first.$match) {
+            if (!('deletedAt' in first.$match)) {
+                pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
+            }
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+
+    schema.methods.softDelete = function (userId) {
+        this.deletedAt = new Date();
+        this.deletedBy = userId || null;
+        return this.save({ validateModifiedOnly: true });
+    };
+
+    schema.methods.restore = function () {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save({ validateModifiedOnly: true });
+    };
+
+    schema.virtual('isDeleted').get(function () {
+        return Boolean(this.deletedAt);
+    });
+};
+
+module.exports = softDelete;
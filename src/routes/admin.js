@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog } = require('../controllers/auditController');
+const {
+    getExchangeRates,
+    updateExchangeRate,
+    deleteExchangeRate
+} = require('../controllers/currencyController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+router.get('/audit', auth, requirePermission('audit:read'), getAuditLog);
+
+router.get('/exchange-rates', auth, requirePermission('currencies:manage'), getExchangeRates);
+router.put('/exchange-rates/:currency', auth, requirePermission('currencies:manage'), updateExchangeRate);
+router.delete('/exchange-rates/:currency', auth, requirePermission('currencies:manage'), deleteExchangeRate);
+
+module.exports = router;
@@ -1,5 +1,16 @@
 const express = require('express');
-const { register, login, getProfile } = require('../controllers/authController');
+const {
+  register,
+  login,
+  getProfile,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -7,6 +18,13 @@ const router = express.Router();
 router.post('/register', register);
 router.post('/login', login);
 router.get('/profile', auth, getProfile);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', auth, logoutAll);
+router.post('/verify-email', verifyEmail);
+router.post('/resend-verification', resendVerification);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
 
 module.exports = router;
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCart,
+    addItem,
+    updateItem,
+    removeItem,
+    clearCart,
+    applyCoupon,
+    removeCoupon
+} = require('../controllers/cartController');
+const auth = require('../middleware/auth');
+
+router.get('/', auth, getCart);
+router.delete('/', auth, clearCart);
+router.post('/items', auth, addItem);
+router.put('/items/:itemId', auth, updateItem);
+router.delete('/items/:itemId', auth, removeItem);
+router.post('/coupon', auth, applyCoupon);
+router.delete('/coupon', auth, removeCoupon);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCategories,
+    getCategory,
+    createCategory,
+    updateCategory,
+    deleteCategory,
+    migrateCategories
+} = require('../controllers/categoryController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+// Public routes
+router.get('/', getCategories);
+router.get('/:slug', getCategory);
+
+// Catalog management routes
+router.post('/', auth, requirePermission('products:write'), createCategory);
+router.post('/migrate-legacy', auth, requirePermission('products:write'), migrateCategories);
+router.put('/:id', auth, requirePermission('products:write'), updateCategory);
+router.delete('/:id', auth, requirePermission('products:write'), deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCoupons,
+    getCoupon,
+    createCoupon,
+    updateCoupon,
+    deleteCoupon
+} = require('../controllers/couponController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+router.use(auth, requirePermission('promotions:manage'));
+
+router.get('/', getCoupons);
+router.get('/:id', getCoupon);
+router.post('/', createCoupon);
+router.put('/:id', updateCoupon);
+router.delete('/:id', deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { getMovements, createMovement } = require('../controllers/inventoryController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+// Mounted at /api/products/:id/inventory
+router.use(auth, requirePermission('inventory:manage'));
+
+router.get('/', getMovements);
+router.post('/', createMovement);
+
+module.exports = router;
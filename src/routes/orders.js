@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const {
+    checkout,
+    getMyOrders,
+    getMyOrder,
+    getAllOrders,
+    updateOrderStatus,
+    addShipment,
+    removeShipment
+} = require('../controllers/orderController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+// Customer routes
+router.post('/checkout', auth, checkout);
+router.get('/', auth, getMyOrders);
+
+// Fulfilment routes
+router.get('/admin', auth, requirePermission('orders:read'), getAllOrders);
+router.put('/:id/status', auth, requirePermission('orders:fulfil'), updateOrderStatus);
+router.post('/:id/shipments', auth, requirePermission('orders:fulfil'), addShipment);
+router.delete('/:id/shipments/:shipmentId', auth, requirePermission('orders:fulfil'), removeShipment);
+
+router.get('/:id', auth, getMyOrder);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createPayment,
+    confirmPayment,
+    capturePayment,
+    refundPayment,
+    getPayments,
+    handleWebhook
+} = require('../controllers/paymentController');
+const auth = require('../middleware/auth');
+const { requirePermission, withPermissions } = require('../middleware/policy');
+
+// Signed by the provider instead of a user token
+router.post('/webhook', handleWebhook);
+
+router.post('/', auth, createPayment);
+router.get('/', auth, withPermissions, getPayments);
+router.post('/:id/confirm', auth, confirmPayment);
+router.post('/:id/capture', auth, requirePermission('payments:manage'), capturePayment);
+router.post('/:id/refund', auth, requirePermission('payments:manage'), refundPayment);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+    uploadImages,
+    updateImage,
+    reorderImages,
+    deleteImage
+} = require('../controllers/productImageController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+const { imageUpload } = require('../middleware/upload');
+
+// Mounted at /api/products/:id/images
+router.use(auth, requirePermission('products:write'));
+
+router.post('/', imageUpload, uploadImages);
+router.put('/order', reorderImages);
+router.put('/:imageId', updateImage);
+router.delete('/:imageId', deleteImage);
+
+module.exports = router;
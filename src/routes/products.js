@@ -3,20 +3,43 @@ const router = express.Router();
 const {
     createProduct,
     getProducts,
+    suggestProducts,
+    exportProducts,
+    importProducts,
     getProduct,
     updateProduct,
-    deleteProduct
+    deleteProduct,
+    getTrashedProducts,
+    restoreProduct,
+    purgeProduct
 } = require('../controllers/productController');
+const reviewRoutes = require('./reviews');
+const imageRoutes = require('./productImages');
+const inventoryRoutes = require('./inventory');
+const { getLowStock } = require('../controllers/inventoryController');
 const auth = require('../middleware/auth');
-const isAdmin = require('../middleware/admin');
+const { requirePermission } = require('../middleware/policy');
+const { importFileUpload } = require('../middleware/upload');
+
+router.use('/:id/reviews', reviewRoutes);
+router.use('/:id/images', imageRoutes);
+router.use('/:id/inventory', inventoryRoutes);
 
 // Public routes
 router.get('/', getProducts);
+router.get('/suggest', suggestProducts);
+// Before /:id so these paths are not taken for a product id
+router.get('/export', auth, requirePermission('products:write'), exportProducts);
+router.get('/trash', auth, requirePermission('products:write'), getTrashedProducts);
+router.get('/low-stock', auth, requirePermission('inventory:manage'), getLowStock);
 router.get('/:id', getProduct);
 
-// Admin routes
-router.post('/', auth, isAdmin, createProduct);
-router.put('/:id', auth, isAdmin, updateProduct);
-router.delete('/:id', auth, isAdmin, deleteProduct);
+// Catalog management routes
+router.post('/import', auth, requirePermission('products:write'), importFileUpload, importProducts);
+router.post('/', auth, requirePermission('products:write'), createProduct);
+router.put('/:id', auth, requirePermission('products:write'), updateProduct);
+router.delete('/:id', auth, requirePermission('products:write'), deleteProduct);
+router.post('/:id/restore', auth, requirePermission('products:write'), restoreProduct);
+router.delete('/:id/purge', auth, requirePermission('products:write'), purgeProduct);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion
+} = require('../controllers/promotionController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+router.use(auth, requirePermission('promotions:manage'));
+
+router.get('/', getPromotions);
+router.post('/', createPromotion);
+router.put('/:id', updatePromotion);
+router.delete('/:id', deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+    getReviews,
+    createReview,
+    updateReview,
+    deleteReview,
+    moderateReview
+} = require('../controllers/reviewController');
+const auth = require('../middleware/auth');
+const { withPermissions, requirePermission } = require('../middleware/policy');
+
+// Mounted at /api/products/:id/reviews
+router.get('/', getReviews);
+router.post('/', auth, createReview);
+router.put('/:reviewId', auth, updateReview);
+router.delete('/:reviewId', auth, withPermissions, deleteReview);
+router.put('/:reviewId/moderation', auth, requirePermission('reviews:moderate'), moderateReview);
+
+module.exports = router;
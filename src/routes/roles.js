@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRoles,
+    getPermissionList,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('../controllers/roleController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+router.use(auth, requirePermission('roles:manage'));
+
+router.get('/', getRoles);
+router.get('/permissions', getPermissionList);
+router.post('/', createRole);
+router.put('/:name', updateRole);
+router.delete('/:name', deleteRole);
+
+module.exports = router;
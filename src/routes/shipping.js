@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getZones,
+    createZone,
+    updateZone,
+    deleteZone,
+    getQuote
+} = require('../controllers/shippingController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+router.post('/quote', auth, getQuote);
+
+router.get('/zones', auth, requirePermission('shipping:manage'), getZones);
+router.post('/zones', auth, requirePermission('shipping:manage'), createZone);
+router.put('/zones/:id', auth, requirePermission('shipping:manage'), updateZone);
+router.delete('/zones/:id', auth, requirePermission('shipping:manage'), deleteZone);
+
+module.exports = router;
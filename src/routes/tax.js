@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    calculate
+} = require('../controllers/taxController');
+const auth = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+
+router.use(auth, requirePermission('tax:manage'));
+
+router.get('/rules', getRules);
+router.post('/rules', createRule);
+router.put('/rules/:id', updateRule);
+router.delete('/rules/:id', deleteRule);
+router.post('/calculate', calculate);
+
+module.exports = router;
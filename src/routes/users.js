@@ -1,12 +1,48 @@
 const express = require('express');
-const { getUsers, getUserById, updateUser, deleteUser } = require('../controllers/userController');
+const {
+  getUsers,
+  getUserById,
+  updateUser,
+  deleteUser,
+  getTrashedUsers,
+  restoreUser,
+  purgeUser,
+  assignRole
+} = require('../controllers/userController');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart
+} = require('../controllers/wishlistController');
+const {
+  getAddresses,
+  addAddress,
+  updateAddress,
+  removeAddress
+} = require('../controllers/addressController');
 const auth = require('../middleware/auth');
+const { requirePermission, selfOrPermission } = require('../middleware/policy');
 
 const router = express.Router();
 
-router.get('/', auth, getUsers);
-router.get('/:id', auth, getUserById);
-router.put('/:id', auth, updateUser);
-router.delete('/:id', auth, deleteUser);
+router.get('/me/wishlist', auth, getWishlist);
+router.post('/me/wishlist', auth, addToWishlist);
+router.delete('/me/wishlist/:itemId', auth, removeFromWishlist);
+router.post('/me/wishlist/:itemId/move-to-cart', auth, moveToCart);
+
+router.get('/me/addresses', auth, getAddresses);
+router.post('/me/addresses', auth, addAddress);
+router.put('/me/addresses/:addressId', auth, updateAddress);
+router.delete('/me/addresses/:addressId', auth, removeAddress);
+
+router.get('/', auth, requirePermission('users:read'), getUsers);
+router.get('/trash', auth, requirePermission('users:delete'), getTrashedUsers);
+router.get('/:id', auth, selfOrPermission('users:read'), getUserById);
+router.put('/:id', auth, selfOrPermission('users:write'), updateUser);
+router.put('/:id/role', auth, requirePermission('roles:manage'), assignRole);
+router.delete('/:id', auth, requirePermission('users:delete'), deleteUser);
+router.post('/:id/restore', auth, requirePermission('users:delete'), restoreUser);
+router.delete('/:id/purge', auth, requirePermission('users:delete'), purgeUser);
 
 module.exports = router;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { COUNTRIES } = require('../config/countries');
+const { fullMatch, normalizePhone, checkAddress } = require('../utils/address');
+
+/**
+ * Best-effort reading of a free-text address written as comma or newline
+ * separated parts ending in the city and postal code, e.g.
+ * "12 Main St, Springfield, IL 62704" or "Hauptstr. 5, 10115 Berlin".
+ * Resolves to the structured fields, or null when the text does not fit that
+ * shape or the result fails the rules of `country`.
+ */
+const parseLegacyAddress = (text, country) => {
+    const rule = COUNTRIES[country];
+    const parts = String(text).split(/[,\n]/).map(part => part.trim()).filter(Boolean);
+    if (!rule || !rule.postalCode || parts.length < 2) {
+        return null;
+    }
+
+    const last = parts[parts.length - 1].toLowerCase();
+    if (last === country.toLowerCase() || last === rule.name.toLowerCase()) {
+        parts.pop();
+    }
+
+    // "<city or region> <postal code>" or "<postal code> <city>"
+    const tail = parts.pop() || '';
+    const words = tail.split(/\s+/);
+    let postalCode;
+    let rest;
+    for (let size = 1; size <= Math.min(words.length, 2) && !postalCode; size++) {
+        if (fullMatch(rule.postalCode, words.slice(-size).join(' '))) {
+            postalCode = words.slice(-size).join(' ');
+            rest = words.slice(0, -size).join(' ');
+        } else if (fullMatch(rule.postalCode, words.slice(0, size).join(' '))) {
+            postalCode = words.slice(0, size).join(' ');
+            rest = words.slice(size).join(' ');
+        }
+    }
+    if (!postalCode) {
+        return null;
+    }
+
+    const address = { postalCode, country };
+    if (rule.regionRequired) {
+        address.region = rest;
+        address.city = parts.pop();
+    } else {
+        address.city = rest || parts.pop();
+    }
+    if (!address.city || parts.length === 0) {
+        return null;
+    }
+    address.line1 = parts[0];
+    if (parts.length > 1) {
+        address.line2 = parts.slice(1).join(', ');
+    }
+
+    return checkAddress(address).length === 0 ? address : null;
+};
+
+/**
+ * Move the old free-text `address` of every user (trashed ones included)
+ * into the address book. Addresses that parse under `country`'s format
+ * become the default shipping and billing address; the rest are kept as
+ * `legacyAddress` for the user to re-enter. Safe to run more than once.
+ */
+const migrateLegacyAddresses = async ({ country }) => {
+    if (!COUNTRIES[country]) {
+        throw new Error(`Unknown country: ${country}`);
+    }
+
+    // The raw collection, since `address` is no longer part of the schema
+    const cursor = User.collection.find({ address: { $exists: true } });
+    const report = { converted: 0, kept: 0 };
+
+    for await (const raw of cursor) {
+        const text = (raw.address || '').trim();
+        const parsed = text && !(raw.addresses || []).length ? parseLegacyAddress(text, country) : null;
+
+        const update = { $unset: { address: 1 } };
+        if (parsed) {
+            const phone = raw.phone && normalizePhone(raw.phone, country);
+            update.$push = {
+                addresses: {
+                    _id: new mongoose.Types.ObjectId(),
+                    recipient: raw.name,
+                    ...parsed,
+                    ...(phone ? { phone } : {}),
+                    isDefaultShipping: true,
+                    isDefaultBilling: true
+                }
+            };
+            report.converted++;
+        } else if (text) {
+            update.$set = { legacyAddress: text };
+            report.kept++;
+        }
+
+        await User.collection.updateOne({ _id: raw._id }, update);
+        if (text) {
+            logger.info(`Address of ${raw.email} ${parsed ? 'converted' : 'kept as legacy text'}`);
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    parseLegacyAddress,
+    migrateLegacyAddresses
+};
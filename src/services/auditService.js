@@ -0,0 +1,86 @@
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Secrets are never written to the log; a change to one shows as redacted
+const REDACTED_FIELDS = ['password', 'emailVerificationToken', 'passwordResetToken'];
+const REDACTED = '[redacted]';
+
+// Plain JSON copy of a document or object, so later changes to it don't leak in
+const snapshot = (value) => {
+    if (!value) {
+        return null;
+    }
+    const plain = typeof value.toObject === 'function'
+        ? value.toObject({ depopulate: true, virtuals: false })
+        : value;
+    return JSON.parse(JSON.stringify(plain));
+};
+
+const redact = (field, value) => (REDACTED_FIELDS.includes(field) && value !== undefined ? REDACTED : value);
+
+// Only the fields whose values differ, as { before, after }
+const diff = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = { before: before && {}, after: after && {} };
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) {
+            continue;
+        }
+        const from = before ? before[field] : undefined;
+        const to = after ? after[field] : undefined;
+        if (JSON.stringify(from) === JSON.stringify(to)) {
+            continue;
+        }
+        if (before) {
+            changes.before[field] = from === undefined ? null : redact(field, from);
+        }
+        if (after) {
+            changes.after[field] = to === undefined ? null : redact(field, to);
+        }
+    }
+    return changes;
+};
+
+/**
+ * Who is acting and from where. `actor` defaults to the caller loaded by the
+ * policy middleware; pass a user (or { _id }) for routes without one.
+ */
+const contextFor = (req, actor = req.currentUser) => ({
+    actor: actor ? actor._id : (req.user && req.user.userId) || null,
+    actorEmail: actor ? actor.email : undefined,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+/**
+ * Write an audit entry. `before` and `after` may be documents or plain
+ * objects, and either may be null (create, purge). Take `before` with
+ * snapshot() when the same document is changed in place.
+ *
+ * A failed write is logged rather than failing the request, since the change
+ * itself has already happened.
+ */
+const record = async (context, { action, targetType, targetId, before = null, after = null }) => {
+    try {
+        await AuditLog.create({
+            ...context,
+            action,
+            targetType,
+            targetId: targetId ? String(targetId) : undefined,
+            ...diff(snapshot(before), snapshot(after))
+        });
+    } catch (error) {
+        logger.error(`Audit log write failed for ${action} ${targetType} ${targetId}:`, error);
+    }
+};
+
+module.exports = {
+    snapshot,
+    diff,
+    contextFor,
+    record
+};
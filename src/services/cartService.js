@@ -0,0 +1,204 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { validateCoupon, priceLines } = require('./discountService');
+const { calculateTax } = require('./taxService');
+const { fromMinor } = require('../utils/money');
+
+const cartError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// The user's cart, or a new unsaved one
+const loadCart = async (userId) => {
+    let cart = await Cart.findOne({ user: userId });
+    if (!cart) {
+        cart = new Cart({ user: userId, items: [] });
+    }
+    return cart;
+};
+
+// Returns an error message when the size/color pair is not offered by the product
+const checkOptions = (product, size, color) => {
+    if (product.variants.length) {
+        return product.findVariant(size, color)
+            ? null
+            : 'This size/color combination is not available';
+    }
+    if (product.sizes.length && !product.sizes.includes(size)) {
+        return `Size must be one of: ${product.sizes.join(', ')}`;
+    }
+    if (!product.sizes.length && size) {
+        return 'This product does not come in sizes';
+    }
+    if (product.colors.length && !product.colors.includes(color)) {
+        return `Color must be one of: ${product.colors.join(', ')}`;
+    }
+    if (!product.colors.length && color) {
+        return 'This product does not come in colors';
+    }
+    return null;
+};
+
+// Units of this line's product/variant already held in the cart, excluding the line itself
+const heldElsewhere = (cart, product, line) => {
+    if (product.variants.length) {
+        return 0;
+    }
+    return cart.quantityOf(product._id, line && line._id);
+};
+
+/**
+ * Add units of a product to the user's cart, merging with an existing line of
+ * the same size/color. Throws an error carrying statusCode when the product is
+ * unavailable, the options are invalid or there is not enough stock.
+ */
+const addToCart = async (userId, { productId, size, color, quantity }) => {
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+        throw cartError('Product not found', 404);
+    }
+
+    const optionError = checkOptions(product, size, color);
+    if (optionError) {
+        throw cartError(optionError, 400);
+    }
+
+    const cart = await loadCart(userId);
+    const line = cart.findLine(product._id, size, color);
+    const available = product.availableFor(size, color);
+    const requested = heldElsewhere(cart, product, line) + (line ? line.quantity : 0) + quantity;
+    if (requested > available) {
+        throw cartError(`Only ${available} unit(s) of ${product.name} available`, 400);
+    }
+
+    if (line) {
+        line.quantity += quantity;
+    } else {
+        cart.items.push({ product: product._id, size, color, quantity });
+    }
+    await cart.save();
+
+    return cart;
+};
+
+/**
+ * Summarize a cart with items.product populated, including promotion and
+ * coupon discounts per line. A coupon that no longer applies is reported in
+ * couponError instead of failing the whole cart. Given an address, tax is
+ * estimated for it and included in the total; without one, tax is null.
+ * Amounts are in minor units of the base currency; see cartInMajorUnits.
+ */
+const priceCart = async (cart, { address } = {}) => {
+    const summary = cart.summarize();
+    const lines = summary.items
+        .filter(item => item.available)
+        .map(item => ({
+            id: String(item.id),
+            category: item.product.category,
+            brand: item.product.brand,
+            unitPrice: item.unitPrice,
+            quantity: item.quantity,
+            subtotal: item.subtotal
+        }));
+
+    let coupon = null;
+    let couponError = null;
+    if (cart.couponCode) {
+        try {
+            coupon = await validateCoupon(cart.couponCode, cart.user, lines);
+        } catch (error) {
+            if (!error.statusCode) {
+                throw error;
+            }
+            couponError = error.message;
+        }
+    }
+
+    const pricing = await priceLines(lines, coupon);
+    const byLine = new Map(pricing.lines.map(line => [line.id, line]));
+
+    summary.items.forEach(item => {
+        const line = byLine.get(String(item.id));
+        item.promotion = line ? line.promotion : null;
+        item.discount = line ? line.discount : 0;
+        item.total = item.subtotal - item.discount;
+    });
+
+    const total = summary.subtotal - pricing.discount;
+    let tax = null;
+    if (address) {
+        const available = summary.items.filter(item => item.available);
+        const taxed = await calculateTax({
+            lines: available.map(item => ({
+                id: String(item.id),
+                category: item.product.category,
+                amount: item.total
+            })),
+            address
+        });
+        taxed.lines.forEach((line, index) => {
+            available[index].tax = line.tax;
+        });
+        tax = {
+            country: address.country,
+            region: address.region || null,
+            pricesIncludeTax: taxed.pricesIncludeTax,
+            amount: taxed.tax,
+            rates: taxed.rates,
+            total: taxed.total
+        };
+    }
+
+    return {
+        ...summary,
+        couponCode: cart.couponCode || null,
+        coupon: pricing.coupon,
+        couponError,
+        promotionDiscount: pricing.promotionDiscount,
+        couponDiscount: pricing.couponDiscount,
+        discount: pricing.discount,
+        freeShipping: pricing.freeShipping,
+        tax,
+        total: tax ? tax.total : total
+    };
+};
+
+// A priceCart result with its amounts in major units, for API responses
+const cartInMajorUnits = (priced) => ({
+    ...priced,
+    items: priced.items.map(item => ({
+        ...item,
+        product: item.product && { ...item.product, price: fromMinor(item.product.price) },
+        unitPrice: fromMinor(item.unitPrice),
+        subtotal: fromMinor(item.subtotal),
+        discount: fromMinor(item.discount),
+        total: fromMinor(item.total),
+        ...(item.tax !== undefined && { tax: fromMinor(item.tax) })
+    })),
+    subtotal: fromMinor(priced.subtotal),
+    promotionDiscount: fromMinor(priced.promotionDiscount),
+    couponDiscount: fromMinor(priced.couponDiscount),
+    discount: fromMinor(priced.discount),
+    tax: priced.tax && {
+        ...priced.tax,
+        amount: fromMinor(priced.tax.amount),
+        rates: priced.tax.rates.map(rate => ({
+            ...rate,
+            taxable: fromMinor(rate.taxable),
+            tax: fromMinor(rate.tax)
+        })),
+        total: fromMinor(priced.tax.total)
+    },
+    total: fromMinor(priced.total)
+});
+
+module.exports = {
+    loadCart,
+    priceCart,
+    cartInMajorUnits,
+    checkOptions,
+    heldElsewhere,
+    addToCart
+};
@@ -0,0 +1,104 @@
+const Category = require('../models/Category');
+const { slugify } = require('../models/Category');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const Promotion = require('../models/Promotion');
+const logger = require('../utils/logger');
+
+const byOrder = (a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name);
+
+// Nest a flat list of categories under their parents, sorted by sortOrder then
+// name. A category whose parent is not in the list (e.g. an inactive one) is
+// left out together with everything below it.
+const buildTree = (categories) => {
+    const nodes = new Map(categories.map(category => [String(category._id), {
+        id: category._id,
+        name: category.name,
+        slug: category.slug,
+        description: category.description,
+        sortOrder: category.sortOrder,
+        children: []
+    }]));
+
+    const roots = [];
+    for (const category of categories) {
+        const node = nodes.get(String(category._id));
+        if (!category.parent) {
+            roots.push(node);
+        } else if (nodes.has(String(category.parent))) {
+            nodes.get(String(category.parent)).children.push(node);
+        }
+    }
+
+    const sortDeep = (list) => {
+        list.sort(byOrder);
+        list.forEach(node => sortDeep(node.children));
+        return list;
+    };
+    return sortDeep(roots);
+};
+
+// After a category moved, rewrite the ancestors of everything below it
+const syncDescendants = async (category) => {
+    const descendants = await Category.find({ ancestors: category._id });
+    if (!descendants.length) {
+        return;
+    }
+
+    await Category.bulkWrite(descendants.map(descendant => {
+        const below = descendant.ancestors.slice(
+            descendant.ancestors.findIndex(id => id.equals(category._id)) + 1
+        );
+        return {
+            updateOne: {
+                filter: { _id: descendant._id },
+                update: { ancestors: [...category.ancestors, category._id, ...below] }
+            }
+        };
+    }));
+};
+
+// Point everything that references a category slug at its new slug, trashed products included
+const renameCategoryReferences = async (from, to) => {
+    await Product.updateMany({ category: from }, { category: to }).withDeleted();
+    await Coupon.updateMany({ categories: from }, { $set: { 'categories.$': to } });
+    await Promotion.updateMany({ categories: from }, { $set: { 'categories.$': to } });
+};
+
+/**
+ * Convert products still carrying one of the old hard-coded category names
+ * ("Men", "Women", ...) or any other free-text value to category slugs,
+ * creating a top-level Category for each value that has no match yet.
+ * Safe to run more than once.
+ */
+const migrateLegacyCategories = async () => {
+    const values = await Product.distinct('category').withDeleted();
+    const known = new Set((await Category.find().select('slug')).map(category => category.slug));
+    const report = { created: [], renamed: [] };
+
+    for (const value of values) {
+        if (!value || known.has(value)) {
+            continue;
+        }
+
+        const slug = slugify(value);
+        if (!known.has(slug)) {
+            await Category.create({ name: value, slug });
+            known.add(slug);
+            report.created.push(slug);
+        }
+
+        await renameCategoryReferences(value, slug);
+        report.renamed.push({ from: value, to: slug });
+        logger.info(`Category migrated: ${value} -> ${slug}`);
+    }
+
+    return report;
+};
+
+module.exports = {
+    buildTree,
+    syncDescendants,
+    renameCategoryReferences,
+    migrateLegacyCategories
+};
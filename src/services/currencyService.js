@@ -0,0 +1,220 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const ExchangeRate = require('../models/ExchangeRate');
+const { CURRENCIES, baseCurrency } = require('../config/currencies');
+const { toMinor, fromMinor, priceIn, listPricesFor } = require('../utils/money');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 500;
+
+const currencyError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * The stored exchange rates, checking that prices can be shown in
+ * `currency`: the base currency always can, others need a stored rate.
+ * Throws an error carrying statusCode 400 otherwise.
+ */
+const ratesFor = async (currency) => {
+    const rates = await ExchangeRate.current();
+    if (currency !== baseCurrency() && !rates.has(currency)) {
+        throw currencyError(`Prices are not available in ${currency}`, 400);
+    }
+    return rates;
+};
+
+/**
+ * A product as returned by the API with its price and variant prices in
+ * `currency`: the product's own price for that currency when it has one,
+ * else the base price converted at the stored rate.
+ */
+const localizeProduct = (product, currency, rates) => {
+    const json = product.toJSON();
+    if (currency === baseCurrency()) {
+        return json;
+    }
+
+    const minor = priceIn(product.priceMinor, product.priceOverrides, currency, rates);
+    json.currency = currency;
+    json.priceMinor = minor;
+    json.price = minor == null ? minor : fromMinor(minor, currency);
+
+    if (Array.isArray(json.variants)) {
+        json.variants = json.variants.map((variant, index) => {
+            const source = product.variants[index];
+            if (source.priceMinor == null) {
+                return variant;
+            }
+            const variantMinor = priceIn(source.priceMinor, source.priceOverrides, currency, rates);
+            return {
+                ...variant,
+                priceMinor: variantMinor,
+                price: variantMinor == null ? variantMinor : fromMinor(variantMinor, currency)
+            };
+        });
+    }
+    return json;
+};
+
+/**
+ * Recompute every product's listPrices from the current rates, trashed
+ * products included. Run after a rate changes; resolves to the number of
+ * products updated.
+ */
+const refreshListPrices = async () => {
+    const rates = await ExchangeRate.current();
+    const cursor = Product.find().withDeleted().select('priceMinor priceOverrides').cursor();
+
+    let batch = [];
+    let updated = 0;
+    const flush = async () => {
+        if (batch.length) {
+            await Product.collection.bulkWrite(batch, { ordered: false });
+            updated += batch.length;
+            batch = [];
+        }
+    };
+
+    for await (const product of cursor) {
+        const listPrices = listPricesFor(product.priceMinor, product.priceOverrides, rates);
+        batch.push({
+            updateOne: {
+                filter: { _id: product._id },
+                update: { $set: { listPrices: Object.fromEntries(listPrices) } }
+            }
+        });
+        if (batch.length === BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    return updated;
+};
+
+/**
+ * Store the rate for a currency and reprice the catalog with it. Resolves to
+ * { rate, previous }, previous being the rate it replaced (or null).
+ */
+const setExchangeRate = async (currency, rate, actor = null) => {
+    if (currency === baseCurrency()) {
+        throw currencyError(`${baseCurrency()} is the base currency`, 400);
+    }
+    if (!CURRENCIES[currency]) {
+        throw currencyError(`Unsupported currency: ${currency}`, 400);
+    }
+
+    const previous = await ExchangeRate.findOneAndUpdate(
+        { base: baseCurrency(), currency },
+        { $set: { rate, updatedBy: actor } },
+        { upsert: true, runValidators: true }
+    );
+    const stored = await ExchangeRate.findOne({ base: baseCurrency(), currency });
+
+    const updated = await refreshListPrices();
+    logger.info(`Exchange rate ${baseCurrency()}/${currency} set to ${rate}, ${updated} product(s) repriced`);
+    return { rate: stored, previous: previous ? previous.rate : null };
+};
+
+/**
+ * Remove the rate for a currency, so products can no longer be listed in
+ * it. Resolves to the removed rate, or null when there was none.
+ */
+const removeExchangeRate = async (currency) => {
+    const removed = await ExchangeRate.findOneAndDelete({ base: baseCurrency(), currency });
+    if (removed) {
+        await refreshListPrices();
+        logger.info(`Exchange rate ${baseCurrency()}/${currency} removed`);
+    }
+    return removed;
+};
+
+/**
+ * Move products from the old float `price` to integer priceMinor in the base
+ * currency, variant prices included, then fill in listPrices. Products that
+ * already have priceMinor are left alone, so it can be run again safely.
+ * Resolves to the number of products converted.
+ */
+const migratePrices = async () => {
+    // The raw collection, since `price` is no longer a stored path
+    const cursor = Product.collection.find({ priceMinor: { $exists: false } });
+    let converted = 0;
+
+    for await (const raw of cursor) {
+        const variants = (raw.variants || []).map(({ price, ...variant }) =>
+            (price != null ? { ...variant, priceMinor: toMinor(price) } : variant));
+
+        await Product.collection.updateOne({ _id: raw._id }, {
+            $set: { priceMinor: toMinor(raw.price || 0), currency: baseCurrency(), variants },
+            $unset: { price: 1 }
+        });
+        converted++;
+    }
+
+    await refreshListPrices();
+    return converted;
+};
+
+// Replace the float amounts named in `amounts` on a stored order, or on a
+// line, rate or shipping entry of one, with `<name>Minor`
+const amountsToMinor = (raw, amounts, currency) => {
+    const converted = { ...raw };
+    for (const name of amounts) {
+        if (converted[name] != null) {
+            converted[`${name}Minor`] = toMinor(converted[name], currency);
+        }
+        delete converted[name];
+    }
+    return converted;
+};
+
+/**
+ * Move orders from float amounts to integer minor units of the currency they
+ * were placed in, lines, tax rates and shipping included. Orders that already
+ * have totalMinor are left alone, so it can be run again safely. Resolves to
+ * the number of orders converted.
+ */
+const migrateOrderAmounts = async () => {
+    // The raw collection, since the float amounts are no longer stored paths
+    const cursor = Order.collection.find({ totalMinor: { $exists: false } });
+    let converted = 0;
+
+    for await (const raw of cursor) {
+        const currency = raw.currency || baseCurrency();
+        const order = amountsToMinor(raw, ['subtotal', 'discount', 'tax', 'total'], currency);
+        const items = (raw.items || []).map(item =>
+            amountsToMinor(item, ['price', 'subtotal', 'discount', 'tax'], currency));
+        const taxRates = (raw.taxRates || []).map(rate => amountsToMinor(rate, ['taxable', 'tax'], currency));
+        const shipping = raw.shipping ? amountsToMinor(raw.shipping, ['cost', 'tax'], currency) : null;
+
+        await Order.collection.updateOne({ _id: raw._id }, {
+            $set: {
+                subtotalMinor: order.subtotalMinor,
+                discountMinor: order.discountMinor || 0,
+                taxMinor: order.taxMinor || 0,
+                totalMinor: order.totalMinor || 0,
+                currency,
+                items,
+                taxRates,
+                shipping
+            },
+            $unset: { subtotal: 1, discount: 1, tax: 1, total: 1 }
+        });
+        converted++;
+    }
+
+    return converted;
+};
+
+module.exports = {
+    ratesFor,
+    localizeProduct,
+    refreshListPrices,
+    setExchangeRate,
+    removeExchangeRate,
+    migratePrices,
+    migrateOrderAmounts
+};
@@ -0,0 +1,206 @@
+const Coupon = require('../models/Coupon');
+const Promotion = require('../models/Promotion');
+const Order = require('../models/Order');
+const Category = require('../models/Category');
+const { roundClean, toMinor, percentOf } = require('../utils/money');
+
+const discountError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Promotions/coupons limited to categories or brands only apply to matching lines
+const inScope = (line, scope) =>
+    (!scope.categories.length || scope.categories.includes(line.category)) &&
+    (!scope.brands.length || scope.brands.includes(line.brand));
+
+// A scope limited to a category also covers the categories below it
+const withSubcategories = async (scope) => {
+    if (!scope.categories.length) {
+        return scope;
+    }
+    const slugs = await Promise.all(scope.categories.map(async slug => (await Category.subtreeSlugs(slug)) || [slug]));
+    return { categories: slugs.flat(), brands: scope.brands };
+};
+
+const activeWindow = (now) => ({
+    isActive: true,
+    $and: [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+    ]
+});
+
+/**
+ * Load a coupon by code and check that `userId` may use it on a cart with the
+ * given lines ({ category, brand, subtotal }, subtotal in minor units). Throws
+ * an error carrying statusCode when it cannot be applied.
+ */
+const validateCoupon = async (code, userId, lines) => {
+    const now = new Date();
+    const coupon = await Coupon.findOne({ code: String(code).toUpperCase() });
+
+    if (!coupon || !coupon.isActive) {
+        throw discountError('Coupon code is not valid', 404);
+    }
+    if ((coupon.startsAt && coupon.startsAt > now) || (coupon.endsAt && coupon.endsAt < now)) {
+        throw discountError('Coupon is not valid at this time');
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        throw discountError('Coupon has reached its usage limit');
+    }
+    if (coupon.usageLimitPerUser) {
+        const used = await Order.countDocuments({
+            user: userId,
+            'coupon.code': coupon.code,
+            status: { $ne: 'cancelled' }
+        });
+        if (used >= coupon.usageLimitPerUser) {
+            throw discountError('You have already used this coupon the maximum number of times');
+        }
+    }
+
+    const scope = await withSubcategories(coupon);
+    const subtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    if (subtotal < toMinor(coupon.minOrderValue)) {
+        throw discountError(`Coupon requires a minimum order value of ${coupon.minOrderValue}`);
+    }
+    if (!lines.some(line => inScope(line, scope))) {
+        throw discountError('Coupon does not apply to any item in your cart');
+    }
+
+    return coupon;
+};
+
+// Spread the free units of one buy-X-get-Y promotion over its eligible lines.
+// Returns the ids of every line that took part in a complete group.
+const applyBuyXGetY = (promotion, lines, result) => {
+    const units = [];
+    for (const line of lines) {
+        for (let i = 0; i < line.quantity; i++) {
+            units.push(line);
+        }
+    }
+    // Most expensive first, so each group's free units are its cheapest
+    units.sort((a, b) => b.unitPrice - a.unitPrice);
+
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    const groups = Math.floor(units.length / groupSize);
+    const used = new Set();
+    for (let g = 0; g < groups; g++) {
+        const group = units.slice(g * groupSize, (g + 1) * groupSize);
+        group.forEach(line => used.add(line.id));
+        for (const line of group.slice(promotion.buyQuantity)) {
+            const entry = result.get(line.id);
+            entry.promotionDiscount += line.unitPrice;
+            entry.promotion = promotion.name;
+        }
+    }
+    return used;
+};
+
+// Split a fixed amount (in minor units) over lines in proportion to what is
+// left to pay on each; the last line takes the rounding remainder
+const spreadFixed = (amount, lines, result) => {
+    const remaining = lines.map(line => line.subtotal - result.get(line.id).promotionDiscount);
+    const base = remaining.reduce((sum, value) => sum + value, 0);
+    const total = Math.min(amount, base);
+    if (base <= 0) {
+        return;
+    }
+
+    let given = 0;
+    lines.forEach((line, index) => {
+        const share = index === lines.length - 1
+            ? total - given
+            : roundClean(total * remaining[index] / base);
+        result.get(line.id).couponDiscount = share;
+        given += share;
+    });
+};
+
+/**
+ * Work out the discounts for a set of cart lines.
+ *
+ * `lines` are { id, category, brand, unitPrice, quantity, subtotal }, amounts
+ * in minor units of the base currency. Automatic promotions are applied
+ * first, then the coupon (if any) on what is left. Resolves to per-line
+ * discounts plus totals, also in minor units; `coupon` must already have
+ * been checked with validateCoupon.
+ */
+const priceLines = async (lines, coupon = null) => {
+    const result = new Map(lines.map(line => [line.id, {
+        id: line.id,
+        promotion: null,
+        promotionDiscount: 0,
+        couponDiscount: 0
+    }]));
+
+    const promotions = await Promotion.find(activeWindow(new Date())).sort({ priority: 1, createdAt: 1 });
+    const promoted = new Set();
+    for (const promotion of promotions) {
+        const scope = await withSubcategories(promotion);
+        const eligible = lines.filter(line => !promoted.has(line.id) && inScope(line, scope));
+        applyBuyXGetY(promotion, eligible, result).forEach(id => promoted.add(id));
+    }
+
+    if (coupon && coupon.type !== 'free_shipping') {
+        const scope = await withSubcategories(coupon);
+        const eligible = lines.filter(line => inScope(line, scope));
+        if (coupon.type === 'percentage') {
+            for (const line of eligible) {
+                const entry = result.get(line.id);
+                entry.couponDiscount = percentOf(line.subtotal - entry.promotionDiscount, Math.min(coupon.value, 100));
+            }
+        } else {
+            spreadFixed(toMinor(coupon.value), eligible, result);
+        }
+    }
+
+    const breakdown = [...result.values()].map(entry => ({
+        ...entry,
+        discount: entry.promotionDiscount + entry.couponDiscount
+    }));
+    const sum = (key) => breakdown.reduce((total, entry) => total + entry[key], 0);
+
+    return {
+        lines: breakdown,
+        promotionDiscount: sum('promotionDiscount'),
+        couponDiscount: sum('couponDiscount'),
+        discount: sum('discount'),
+        freeShipping: Boolean(coupon && coupon.type === 'free_shipping'),
+        coupon: coupon ? { code: coupon.code, type: coupon.type, value: coupon.value } : null
+    };
+};
+
+/**
+ * Count one use of a coupon, atomically refusing once usageLimit is reached.
+ * Resolves to false when the coupon ran out in the meantime.
+ */
+const redeemCoupon = async (coupon) => {
+    const updated = await Coupon.findOneAndUpdate(
+        {
+            _id: coupon._id,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } }
+    );
+    return Boolean(updated);
+};
+
+// Give back a use, e.g. when the order that used the coupon is cancelled
+const releaseCoupon = (code) => Coupon.updateOne(
+    { code, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+);
+
+module.exports = {
+    validateCoupon,
+    priceLines,
+    redeemCoupon,
+    releaseCoupon
+};
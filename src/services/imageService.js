@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storageService');
+const logger = require('../utils/logger');
+
+// Formats accepted for upload, checked against the decoded file rather than the client's mimetype
+const IMAGE_FORMATS = {
+    jpeg: { contentType: 'image/jpeg', extension: 'jpg' },
+    png: { contentType: 'image/png', extension: 'png' },
+    webp: { contentType: 'image/webp', extension: 'webp' }
+};
+
+// Read from UPLOAD_MAX_BYTES on each upload
+const maxImageBytes = () => Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Resized copies stored next to the original, always as webp
+const RENDITIONS = {
+    thumbnail: { width: 150, height: 150, fit: 'cover' },
+    medium: { width: 600, height: 600, fit: 'inside' }
+};
+
+const imageError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Validate an uploaded image and store it with its renditions under
+ * products/<productId>/. Resolves to the fields of a Product image entry.
+ * Throws an error carrying statusCode 400 for files that are not a supported image.
+ */
+const storeProductImage = async (productId, buffer) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw imageError('File is not a valid image');
+    }
+    const format = IMAGE_FORMATS[metadata.format];
+    if (!format) {
+        throw imageError('Only JPEG, PNG and WebP images are allowed');
+    }
+
+    const storage = getStorage();
+    const prefix = `products/${productId}/${crypto.randomBytes(8).toString('hex')}`;
+    const stored = [];
+
+    try {
+        // Apply EXIF orientation and drop metadata (camera details, location) from the original
+        const original = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+        const originalKey = `${prefix}/original.${format.extension}`;
+        const image = {
+            contentType: format.contentType,
+            original: {
+                key: originalKey,
+                url: await storage.put(originalKey, original.data, format.contentType),
+                width: original.info.width,
+                height: original.info.height,
+                size: original.info.size
+            }
+        };
+        stored.push(originalKey);
+
+        for (const [name, options] of Object.entries(RENDITIONS)) {
+            const resized = await sharp(original.data)
+                .resize({ ...options, withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer({ resolveWithObject: true });
+            const key = `${prefix}/${name}.webp`;
+            image[name] = {
+                key,
+                url: await storage.put(key, resized.data, 'image/webp'),
+                width: resized.info.width,
+                height: resized.info.height,
+                size: resized.info.size
+            };
+            stored.push(key);
+        }
+
+        return image;
+    } catch (error) {
+        await Promise.all(stored.map(key => storage.remove(key).catch(() => {})));
+        throw error;
+    }
+};
+
+// Delete every stored rendition of an image; failures are logged, not thrown
+const removeProductImage = async (image) => {
+    const storage = getStorage();
+    const keys = ['original', ...Object.keys(RENDITIONS)]
+        .map(name => image[name] && image[name].key)
+        .filter(Boolean);
+
+    await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+        logger.error(`Failed to remove stored image ${key}:`, error);
+    })));
+};
+
+module.exports = {
+    IMAGE_FORMATS,
+    maxImageBytes,
+    storeProductImage,
+    removeProductImage
+};
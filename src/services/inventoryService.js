@@ -0,0 +1,318 @@
+const { EventEmitter } = require('events');
+const Product = require('../models/Product');
+const InventoryMovement = require('../models/InventoryMovement');
+const { sendLowStockAlert } = require('./mailService');
+const logger = require('../utils/logger');
+
+/**
+ * Emits 'low-stock' with { product, name, sku, size, color, stock, threshold }
+ * when a recorded movement takes an item down to its product's lowStockThreshold.
+ */
+const inventoryEvents = new EventEmitter();
+
+inventoryEvents.on('low-stock', (alert) => {
+    logger.warn(`Low stock: ${alert.name} ${alert.sku || ''} has ${alert.stock} left (threshold ${alert.threshold})`);
+    if (process.env.LOW_STOCK_ALERT_EMAIL) {
+        sendLowStockAlert(process.env.LOW_STOCK_ALERT_EMAIL, alert).catch(error => {
+            logger.error('Low-stock alert email failed:', error);
+        });
+    }
+});
+
+const inventoryError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Collapse lines that share a product/size/color so each is decremented once
+const groupLines = (lines) => {
+    const totals = new Map();
+    for (const line of lines) {
+        const key = [String(line.product), line.size || '', line.color || ''].join('|');
+        const entry = totals.get(key) || {
+            product: String(line.product),
+            size: line.size || null,
+            color: line.color || null,
+            quantity: 0
+        };
+        entry.quantity += line.quantity;
+        totals.set(key, entry);
+    }
+    return [...totals.values()];
+};
+
+// The stock a size/color choice draws from: its variant, or the product itself
+const levelFor = (product, size, color) => {
+    if (product.variants.length === 0) {
+        return { variant: null, sku: product.sku, stock: product.stock };
+    }
+    const variant = product.findVariant(size, color);
+    return variant && {
+        variant: variant._id,
+        size: variant.size,
+        color: variant.color,
+        sku: product.skuFor(variant),
+        stock: variant.stock
+    };
+};
+
+/**
+ * Current stock of every item of a product, keyed by "size|color" ("" for a
+ * product without variants). Take one before and after an edit and pass both
+ * to recordStockChanges.
+ */
+const stockLevels = (product) => {
+    if (product.variants.length === 0) {
+        return new Map([['', levelFor(product)]]);
+    }
+    return new Map(product.variants.map(variant => [
+        `${variant.size || ''}|${variant.color || ''}`,
+        levelFor(product, variant.size, variant.color)
+    ]));
+};
+
+/**
+ * Append ledger entries for one product. Each change is { level, quantity }
+ * where `level` is the item's state after the change. Emits 'low-stock' for
+ * items that crossed the product's threshold.
+ */
+const recordMovements = async (product, changes, { type, reason, actor = null, order }) => {
+    const entries = changes.filter(change => change.quantity !== 0);
+    if (entries.length === 0) {
+        return;
+    }
+
+    await InventoryMovement.insertMany(entries.map(({ level, quantity }) => ({
+        product: product._id,
+        variant: level.variant,
+        size: level.size,
+        color: level.color,
+        sku: level.sku,
+        type,
+        quantity,
+        balance: level.stock,
+        reason,
+        actor,
+        order
+    })));
+
+    const threshold = product.lowStockThreshold;
+    if (threshold === null || threshold === undefined) {
+        return;
+    }
+    for (const { level, quantity } of entries) {
+        if (level.stock <= threshold && level.stock - quantity > threshold) {
+            inventoryEvents.emit('low-stock', {
+                product: product._id,
+                name: product.name,
+                sku: level.sku,
+                size: level.size,
+                color: level.color,
+                stock: level.stock,
+                threshold
+            });
+        }
+    }
+};
+
+// Ledger entries for the difference between a stockLevels() snapshot and the product now
+const recordStockChanges = (before, product, { reason, actor }) => {
+    const after = stockLevels(product);
+    const changes = [...after].map(([key, level]) => ({
+        level,
+        quantity: level.stock - (before.has(key) ? before.get(key).stock : 0)
+    }));
+    for (const [key, level] of before) {
+        if (!after.has(key)) {
+            changes.push({ level: { ...level, stock: 0 }, quantity: -level.stock });
+        }
+    }
+    return recordMovements(product, changes, { type: 'adjustment', reason, actor });
+};
+
+// Conditional change of either the matching variant or, for products without
+// variants, the product-level stock. Never takes stock below zero, and only
+// touches products on sale unless `activeOnly` is false.
+const changeStock = async ({ product, size, color, quantity }, { activeOnly = true } = {}) => {
+    const enough = { $gte: Math.max(-quantity, 0) };
+    const onSale = activeOnly ? { isActive: true } : {};
+    const withVariant = await Product.findOneAndUpdate(
+        {
+            _id: product,
+            ...onSale,
+            variants: { $elemMatch: { size, color, stock: enough } }
+        },
+        { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+        { new: true }
+    );
+    if (withVariant) {
+        return withVariant;
+    }
+
+    return Product.findOneAndUpdate(
+        { _id: product, ...onSale, 'variants.0': { $exists: false }, stock: enough },
+        { $inc: { stock: quantity } },
+        { new: true }
+    );
+};
+
+/**
+ * Take units out of stock for a set of { product, size, color, quantity } lines.
+ *
+ * Each decrement is a conditional update that only matches while enough stock
+ * is left, so concurrent checkouts can never push stock below zero. If any
+ * line cannot be reserved, units already taken are put back and an error
+ * with statusCode 409 is thrown.
+ *
+ * Once every line is reserved the sale is written to the ledger when `sale`
+ * ({ order, actor }) is given.
+ *
+ * Resolves to a Map of productId -> product document as it was after the decrement.
+ */
+const reserveStock = async (lines, sale = null) => {
+    const reserved = [];
+    const products = new Map();
+
+    for (const line of groupLines(lines)) {
+        const updated = await changeStock({ ...line, quantity: -line.quantity });
+
+        if (!updated) {
+            await releaseStock(reserved.map(entry => entry.line));
+            const current = await Product.findById(line.product);
+            throw inventoryError(current && current.isActive
+                ? `Only ${current.availableFor(line.size, line.color)} unit(s) of ${current.name} available`
+                : 'A product in your order is no longer available', 409);
+        }
+
+        reserved.push({ line, updated });
+        products.set(line.product, updated);
+    }
+
+    if (sale) {
+        for (const { line, updated } of reserved) {
+            const level = levelFor(updated, line.size, line.color);
+            await recordMovements(updated, [{ level, quantity: -line.quantity }], {
+                type: 'sale',
+                reason: 'Checkout',
+                actor: sale.actor,
+                order: sale.order
+            });
+        }
+    }
+
+    return products;
+};
+
+/**
+ * Put units back into stock, e.g. after a failed checkout or a cancelled order.
+ * Products in the trash are restocked too so their counts are right if restored.
+ * `movement` ({ type, reason, actor, order }) is written to the ledger when given.
+ */
+const releaseStock = async (lines, movement = null) => {
+    for (const { product, size, color, quantity } of groupLines(lines)) {
+        let updated = await Product.findOneAndUpdate(
+            { _id: product, variants: { $elemMatch: { size, color } } },
+            { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+            { new: true }
+        ).withDeleted();
+        if (!updated) {
+            updated = await Product.findOneAndUpdate(
+                { _id: product },
+                { $inc: { stock: quantity } },
+                { new: true }
+            ).withDeleted();
+        }
+        logger.info(`Stock released: ${quantity} unit(s) of product ${product}`);
+
+        const level = updated && levelFor(updated, size, color);
+        if (movement && level) {
+            await recordMovements(updated, [{ level, quantity }], movement);
+        }
+    }
+};
+
+/**
+ * Manually restock, return or adjust one item of a product and record it,
+ * inactive products included. `quantity` is the signed change. Throws errors carrying statusCode: 404 for
+ * an unknown product or size/color, 409 when stock would go below zero.
+ */
+const adjustStock = async (productId, { size, color, quantity, type, reason }, actor) => {
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw inventoryError('Product not found', 404);
+    }
+    if (!levelFor(product, size, color)) {
+        throw inventoryError('The product has no variant with that size and color', 404);
+    }
+
+    const updated = await changeStock({ product: product._id, size, color, quantity }, { activeOnly: false });
+    if (!updated) {
+        const current = await Product.findById(product._id);
+        throw inventoryError(current
+            ? `Only ${current.availableFor(size, color)} unit(s) in stock`
+            : 'Product not found', current ? 409 : 404);
+    }
+
+    const level = levelFor(updated, size, color);
+    await recordMovements(updated, [{ level, quantity }], { type, reason, actor });
+    return { product: updated, level };
+};
+
+// Items of active products at or below their product's lowStockThreshold, lowest stock first
+const lowStockReport = () => Product.aggregate([
+    { $match: { isActive: true, lowStockThreshold: { $ne: null } } },
+    {
+        $project: {
+            name: 1,
+            category: 1,
+            lowStockThreshold: 1,
+            items: {
+                $cond: [
+                    { $gt: [{ $size: '$variants' }, 0] },
+                    {
+                        $map: {
+                            input: '$variants',
+                            as: 'v',
+                            in: {
+                                variant: '$$v._id',
+                                size: '$$v.size',
+                                color: '$$v.color',
+                                sku: { $ifNull: ['$$v.sku', '$sku'] },
+                                stock: '$$v.stock'
+                            }
+                        }
+                    },
+                    [{ variant: null, sku: '$sku', stock: '$stock' }]
+                ]
+            }
+        }
+    },
+    { $unwind: '$items' },
+    { $match: { $expr: { $lte: ['$items.stock', '$lowStockThreshold'] } } },
+    { $sort: { 'items.stock': 1, name: 1 } },
+    {
+        $project: {
+            _id: 0,
+            product: '$_id',
+            name: 1,
+            category: 1,
+            variant: '$items.variant',
+            size: '$items.size',
+            color: '$items.color',
+            sku: '$items.sku',
+            stock: '$items.stock',
+            threshold: '$lowStockThreshold'
+        }
+    }
+]);
+
+module.exports = {
+    inventoryEvents,
+    reserveStock,
+    releaseStock,
+    adjustStock,
+    stockLevels,
+    recordStockChanges,
+    lowStockReport
+};
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Mail transports expose a single `send({ to, subject, text, html })` method
+ * returning a promise. The active transport is picked from MAIL_TRANSPORT
+ * ("console" or "file") and can be swapped with setTransport(), e.g. for an
+ * SMTP or API-backed transport in production or a stub in tests.
+ */
+
+// Writes messages to the application log
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        logger.info(`[mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+        return { accepted: [message.to] };
+    }
+});
+
+// Appends messages as JSON lines to a file, handy for inspecting mail in development
+const createFileTransport = (filePath = process.env.MAIL_FILE || path.join('logs', 'mail.ndjson')) => ({
+    name: 'file',
+    send: async (message) => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const entry = { ...message, sentAt: new Date().toISOString() };
+        await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n');
+        return { accepted: [message.to] };
+    }
+});
+
+const transports = {
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        const factory = transports[name];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+const sendMail = async (message) => {
+    const from = process.env.MAIL_FROM || 'no-reply@example.com';
+    return getTransport().send({ from, ...message });
+};
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = (user, token) => sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n` +
+        `${appUrl()}/verify-email?token=${token}\n\nThe link expires in 24 hours.`
+});
+
+const sendPasswordResetEmail = (user, token) => sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse the link below to choose a new password:\n` +
+        `${appUrl()}/reset-password?token=${token}\n\n` +
+        'The link expires in 1 hour. If you did not ask for a reset you can ignore this email.'
+});
+
+// Sent to LOW_STOCK_ALERT_EMAIL when an item drops to its low-stock threshold
+const sendLowStockAlert = (to, alert) => sendMail({
+    to,
+    subject: `Low stock: ${alert.name}${alert.sku ? ` (${alert.sku})` : ''}`,
+    text: `${alert.name}${alert.size || alert.color ? ` [${[alert.size, alert.color].filter(Boolean).join(' / ')}]` : ''} ` +
+        `is down to ${alert.stock} unit(s); the threshold is ${alert.threshold}.`
+});
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+    getTransport,
+    setTransport,
+    sendMail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendLowStockAlert
+};
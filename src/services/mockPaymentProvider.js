@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const MockPaymentIntent = require('../models/MockPaymentIntent');
+
+/**
+ * Payment provider for development and tests. It never talks to a network:
+ * intents are stored in the MockPaymentIntent collection.
+ *
+ * Confirming with MOCK_DECLINED_METHOD fails the payment as a declined card;
+ * any other payment method is authorised. Webhooks are signed like this:
+ * the "x-mock-signature" header is "t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * `${t}.${rawBody}` with the webhook secret>". signWebhook() builds one.
+ * The secret comes from PAYMENT_WEBHOOK_SECRET and has no default.
+ */
+
+const MOCK_DECLINED_METHOD = 'mock_card_declined';
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+const providerError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const sign = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+const createMockProvider = ({
+    secret = process.env.PAYMENT_WEBHOOK_SECRET,
+    toleranceSeconds = 300
+} = {}) => {
+    if (!secret) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider');
+    }
+
+    const find = async (id) => {
+        const intent = await MockPaymentIntent.findOne({ intentId: id });
+        if (!intent) {
+            throw providerError(`Unknown payment intent: ${id}`, 404);
+        }
+        return intent;
+    };
+
+    // Conditional on the intent being unchanged since `intent` was loaded, so
+    // two calls racing on the same intent cannot both apply
+    const update = async (intent, set) => {
+        const updated = await MockPaymentIntent.findOneAndUpdate(
+            { _id: intent._id, status: intent.status, amountRefunded: intent.amountRefunded },
+            { $set: set },
+            { new: true }
+        );
+        if (!updated) {
+            throw providerError('Payment intent was changed by another request', 409);
+        }
+        return updated;
+    };
+
+    const view = (intent) => ({
+        id: intent.intentId,
+        status: intent.status,
+        amountCaptured: intent.amountCaptured,
+        amountRefunded: intent.amountRefunded,
+        failureReason: intent.failureReason
+    });
+
+    return {
+        name: 'mock',
+
+        createIntent: async ({ amount, currency }) => {
+            const intent = await MockPaymentIntent.create({
+                intentId: `mock_pi_${crypto.randomBytes(12).toString('hex')}`,
+                amount,
+                currency
+            });
+            return { ...view(intent), clientSecret: `${intent.intentId}_secret_${crypto.randomBytes(12).toString('hex')}` };
+        },
+
+        confirm: async (id, { paymentMethod }) => {
+            const intent = await find(id);
+            if (intent.status !== 'requires_confirmation') {
+                throw providerError(`Payment cannot be confirmed while ${intent.status}`, 409);
+            }
+            const declined = paymentMethod === MOCK_DECLINED_METHOD;
+            return view(await update(intent, declined
+                ? { status: 'failed', failureReason: 'card_declined' }
+                : { status: 'authorized' }));
+        },
+
+        capture: async (id, amount) => {
+            const intent = await find(id);
+            if (intent.status !== 'authorized') {
+                throw providerError(`Payment cannot be captured while ${intent.status}`, 409);
+            }
+            if (amount > intent.amount) {
+                throw providerError('Cannot capture more than was authorised', 400);
+            }
+            return view(await update(intent, { status: 'captured', amountCaptured: amount }));
+        },
+
+        refund: async (id, amount) => {
+            const intent = await find(id);
+            if (!['captured', 'partially_refunded'].includes(intent.status)) {
+                throw providerError(`Payment cannot be refunded while ${intent.status}`, 409);
+            }
+            if (intent.amountRefunded + amount > intent.amountCaptured) {
+                throw providerError('Cannot refund more than was captured', 400);
+            }
+            const amountRefunded = intent.amountRefunded + amount;
+            return view(await update(intent, {
+                amountRefunded,
+                status: amountRefunded === intent.amountCaptured ? 'refunded' : 'partially_refunded'
+            }));
+        },
+
+        /**
+         * Check the signature of a delivery and turn it into
+         * { id, type, paymentId, amountCaptured, amountRefunded, failureReason }.
+         * Throws an error with statusCode 400 when it cannot be trusted.
+         */
+        parseWebhook: (rawBody, headers) => {
+            const header = headers[SIGNATURE_HEADER] || '';
+            const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+            const timestamp = Number(parts.t);
+            if (!rawBody || !timestamp || !parts.v1) {
+                throw providerError('Missing webhook signature', 400);
+            }
+            if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+                throw providerError('Webhook timestamp is outside the tolerance window', 400);
+            }
+
+            const expected = Buffer.from(sign(secret, timestamp, rawBody));
+            const given = Buffer.from(String(parts.v1));
+            if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+                throw providerError('Invalid webhook signature', 400);
+            }
+
+            const event = JSON.parse(rawBody.toString('utf8'));
+            const data = event.data || {};
+            return {
+                id: event.id,
+                type: event.type,
+                paymentId: data.paymentId,
+                amountCaptured: data.amountCaptured,
+                amountRefunded: data.amountRefunded,
+                failureReason: data.failureReason
+            };
+        },
+
+        // Build a signed delivery of `event`, e.g. to post to the webhook in tests
+        signWebhook: (event, timestamp = Math.floor(Date.now() / 1000)) => {
+            const body = JSON.stringify(event);
+            return {
+                body,
+                headers: {
+                    'content-type': 'application/json',
+                    [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(secret, timestamp, body)}`
+                }
+            };
+        }
+    };
+};
+
+module.exports = {
+    MOCK_DECLINED_METHOD,
+    createMockProvider
+};
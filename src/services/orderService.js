@@ -0,0 +1,48 @@
+const Order = require('../models/Order');
+const { RESTOCK_STATUSES } = require('../models/Order');
+const { releaseStock } = require('./inventoryService');
+const { releaseCoupon } = require('./discountService');
+
+/**
+ * Move `order` to status `to`, recording who did it (`by` is null for the
+ * system, e.g. a payment webhook). Only matches while the order is still in
+ * the status it was loaded with, so two concurrent changes cannot both apply
+ * (and restock twice). Resolves to the updated order, or null when it had
+ * already moved on.
+ *
+ * Entering cancelled or refunded puts the units back in stock; cancelling
+ * also frees the coupon. The caller checks canTransitionTo() first.
+ */
+const changeOrderStatus = async (order, to, { by = null, note } = {}) => {
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        {
+            $set: { status: to },
+            $push: {
+                statusHistory: { from: order.status, to, by, note }
+            }
+        },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        return null;
+    }
+
+    if (RESTOCK_STATUSES.includes(to)) {
+        await releaseStock(updated.items, {
+            type: 'return',
+            reason: `Order ${to}`,
+            actor: by,
+            order: updated._id
+        });
+    }
+    if (to === 'cancelled' && updated.coupon && updated.coupon.code) {
+        await releaseCoupon(updated.coupon.code);
+    }
+
+    return updated;
+};
+
+module.exports = {
+    changeOrderStatus
+};
@@ -0,0 +1,316 @@
+const Payment = require('../models/Payment');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const logger = require('../utils/logger');
+const { createMockProvider } = require('./mockPaymentProvider');
+const { changeOrderStatus } = require('./orderService');
+const { baseCurrency } = require('../config/currencies');
+
+/**
+ * Payment providers expose:
+ *   createIntent({ amount, currency, metadata }) -> { id, status, clientSecret }
+ *   confirm(id, { paymentMethod })               -> { id, status, failureReason }
+ *   capture(id, amount)                          -> { id, status, amountCaptured }
+ *   refund(id, amount)                           -> { id, status, amountRefunded }
+ *   parseWebhook(rawBody, headers)               -> { id, type, paymentId, ... }
+ * Amounts are in minor units, statuses are those of the Payment model and
+ * failures throw errors carrying statusCode. The active provider is picked
+ * from PAYMENT_PROVIDER ("mock") and can be swapped with setProvider().
+ * It is set up on first use, so a misconfigured provider only takes the
+ * payment routes down: getProvider() logs why and throws an error carrying
+ * statusCode 503 instead.
+ */
+
+// Payments are taken in the currency the order was priced in
+const paymentCurrency = (order) => (order.currency || baseCurrency()).toLowerCase();
+
+// "automatic" captures as soon as a payment is authorised; "manual" leaves
+// the capture to staff, e.g. when the order ships. Read from PAYMENT_CAPTURE.
+const captureMode = () => (process.env.PAYMENT_CAPTURE === 'manual' ? 'manual' : 'automatic');
+
+// Provider-neutral webhook event types and the payment status each one reports
+const WEBHOOK_EVENTS = {
+    'payment.authorized': 'authorized',
+    'payment.captured': 'captured',
+    'payment.failed': 'failed',
+    'payment.cancelled': 'cancelled',
+    'payment.partially_refunded': 'partially_refunded',
+    'payment.refunded': 'refunded'
+};
+
+const providers = {
+    mock: createMockProvider
+};
+
+let provider = null;
+
+const paymentError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const createProvider = () => {
+    const name = process.env.PAYMENT_PROVIDER || 'mock';
+    const factory = providers[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    // The mock provider authorises any payment method, so it has to be
+    // switched on explicitly before it can take real orders
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        if (process.env.PAYMENT_ALLOW_MOCK !== 'true') {
+            throw new Error('The mock payment provider cannot be used in production unless PAYMENT_ALLOW_MOCK is true');
+        }
+        logger.warn('The mock payment provider is active in production');
+    }
+    return factory();
+};
+
+const getProvider = () => {
+    if (!provider) {
+        try {
+            provider = createProvider();
+        } catch (error) {
+            logger.error('Payment provider is not configured:', error);
+            throw paymentError('Payments are currently unavailable', 503);
+        }
+    }
+    return provider;
+};
+
+const setProvider = (custom) => {
+    provider = custom;
+};
+
+/**
+ * A payment of the order that has taken money not yet given back in full
+ * (captured or partially refunded), or null when there is none. Staff refund
+ * it rather than cancel or refund the order by hand; a full refund then moves
+ * the order to refunded.
+ */
+const unrefundedPayment = (orderId) => Payment.findOne({
+    order: orderId,
+    status: { $in: ['captured', 'partially_refunded'] }
+});
+
+// Carry a status change of a payment into its order
+const syncOrder = async (payment) => {
+    const order = await Order.findById(payment.order);
+    if (!order) {
+        return;
+    }
+    const target = { captured: 'paid', refunded: 'refunded' }[payment.status];
+    if (!target || order.status === target) {
+        return;
+    }
+    if (!order.canTransitionTo(target)) {
+        logger.warn(`Payment ${payment._id} is ${payment.status} but order ${order._id} is ${order.status}`);
+        return;
+    }
+    await changeOrderStatus(order, target, { note: `Payment ${payment.status}` });
+};
+
+/**
+ * Apply a status reported by the provider (from an API call or a webhook)
+ * to a payment, recording it in the payment's history. Conditional on the
+ * payment being unchanged since it was loaded, and never moves a payment back
+ * to an earlier status, so webhooks racing API calls or arriving out of order
+ * are harmless. Resolves to the updated payment, or null when nothing applied.
+ */
+const applyUpdate = async (payment, update, { source, eventId }) => {
+    if (!payment.canMoveTo(update.status)) {
+        return null;
+    }
+
+    const set = { status: update.status };
+    if (update.amountCaptured !== undefined) {
+        set.amountCaptured = update.amountCaptured;
+    }
+    if (update.amountRefunded !== undefined) {
+        set.amountRefunded = update.amountRefunded;
+    }
+    if (update.failureReason) {
+        set.failureReason = update.failureReason;
+    }
+
+    const updated = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: payment.status, amountRefunded: payment.amountRefunded },
+        {
+            $set: set,
+            $push: {
+                history: {
+                    status: update.status,
+                    source,
+                    eventId,
+                    amount: update.status.endsWith('refunded') ? set.amountRefunded
+                        : update.status === 'captured' ? set.amountCaptured : undefined,
+                    message: update.failureReason
+                }
+            }
+        },
+        { new: true }
+    );
+    if (updated) {
+        logger.info(`Payment ${updated._id} ${payment.status} -> ${updated.status} (${source})`);
+        await syncOrder(updated);
+    }
+    return updated;
+};
+
+// The payment as it is now, after a conditional update that did not apply
+const current = async (payment, updated) => updated || Payment.findById(payment._id);
+
+/**
+ * Start paying a pending order. An unconfirmed payment for the same amount is
+ * reused, so retrying the call does not open a second intent. Throws errors
+ * carrying statusCode 409 when the order is not awaiting payment.
+ */
+const createPayment = async (order) => {
+    if (order.status !== 'pending') {
+        throw paymentError('Order is not awaiting payment', 409);
+    }
+
+    const amount = order.totalMinor;
+    const currency = paymentCurrency(order);
+    const open = await Payment.find({
+        order: order._id,
+        status: { $in: ['requires_confirmation', 'authorized'] }
+    }).select('+clientSecret');
+    if (open.some(payment => payment.status === 'authorized')) {
+        throw paymentError('Order already has an authorised payment', 409);
+    }
+    const reusable = open.find(payment => payment.amount === amount && payment.currency === currency);
+    if (reusable) {
+        return reusable;
+    }
+
+    const active = getProvider();
+    const intent = await active.createIntent({
+        amount,
+        currency,
+        metadata: { orderId: String(order._id) }
+    });
+
+    return Payment.create({
+        order: order._id,
+        user: order.user,
+        provider: active.name,
+        providerPaymentId: intent.id,
+        amount,
+        currency,
+        status: intent.status,
+        clientSecret: intent.clientSecret,
+        history: [{ status: intent.status, source: 'api' }]
+    });
+};
+
+/**
+ * Capture an authorised payment, by default for its full amount. Called by
+ * confirmPayment in automatic capture mode and by staff otherwise.
+ */
+const capturePayment = async (payment, amount = payment.amount) => {
+    if (payment.status !== 'authorized') {
+        throw paymentError(`Payment cannot be captured while ${payment.status}`, 409);
+    }
+    const result = await getProvider().capture(payment.providerPaymentId, amount);
+    return current(payment, await applyUpdate(payment, result, { source: 'api' }));
+};
+
+// Confirm a payment with the customer's payment method
+const confirmPayment = async (payment, { paymentMethod }) => {
+    if (payment.status !== 'requires_confirmation') {
+        throw paymentError(`Payment cannot be confirmed while ${payment.status}`, 409);
+    }
+    const result = await getProvider().confirm(payment.providerPaymentId, { paymentMethod });
+    const confirmed = await current(payment, await applyUpdate(payment, result, { source: 'api' }));
+
+    if (confirmed.status === 'authorized' && captureMode() === 'automatic') {
+        return capturePayment(confirmed);
+    }
+    return confirmed;
+};
+
+/**
+ * Refund a captured payment, by default whatever has not been refunded yet.
+ * A full refund moves the order to refunded (and restocks it).
+ */
+const refundPayment = async (payment, amount = payment.amountCaptured - payment.amountRefunded) => {
+    if (!['captured', 'partially_refunded'].includes(payment.status)) {
+        throw paymentError(`Payment cannot be refunded while ${payment.status}`, 409);
+    }
+    if (amount <= 0 || payment.amountRefunded + amount > payment.amountCaptured) {
+        throw paymentError('Refund amount exceeds what is left to refund', 400);
+    }
+    const result = await getProvider().refund(payment.providerPaymentId, amount);
+    return current(payment, await applyUpdate(payment, result, { source: 'api' }));
+};
+
+/**
+ * Handle a webhook delivery. The signature is checked by the provider
+ * (throwing statusCode 400 when it fails). Each event is handled once:
+ * repeated deliveries resolve to { duplicate: true } without side effects.
+ */
+const handleWebhook = async (rawBody, headers) => {
+    const active = getProvider();
+    let event;
+    try {
+        event = active.parseWebhook(rawBody, headers);
+    } catch (error) {
+        if (error.statusCode) {
+            throw error;
+        }
+        throw paymentError('Malformed webhook payload', 400);
+    }
+    if (!event.id || !event.type) {
+        throw paymentError('Webhook event has no id or type', 400);
+    }
+
+    let record;
+    try {
+        record = await WebhookEvent.create({ provider: active.name, eventId: event.id, type: event.type });
+    } catch (error) {
+        if (error.code === 11000) {
+            return { duplicate: true };
+        }
+        throw error;
+    }
+
+    try {
+        let outcome;
+        const status = WEBHOOK_EVENTS[event.type];
+        const payment = status && await Payment.findOne({
+            provider: active.name,
+            providerPaymentId: event.paymentId
+        });
+        if (!status) {
+            outcome = 'ignored: unhandled event type';
+        } else if (!payment) {
+            outcome = 'ignored: unknown payment';
+        } else {
+            const updated = await applyUpdate(payment, { ...event, status }, { source: 'webhook', eventId: event.id });
+            outcome = updated ? 'applied' : `ignored: payment already ${payment.status}`;
+        }
+
+        record.outcome = outcome;
+        await record.save();
+        return { duplicate: false, outcome };
+    } catch (error) {
+        // Forget the delivery so the provider's retry is handled
+        await WebhookEvent.deleteOne({ _id: record._id });
+        throw error;
+    }
+};
+
+module.exports = {
+    paymentCurrency,
+    captureMode,
+    getProvider,
+    setProvider,
+    unrefundedPayment,
+    createPayment,
+    confirmPayment,
+    capturePayment,
+    refundPayment,
+    handleWebhook
+};
@@ -0,0 +1,319 @@
+const Product = require('../models/Product');
+const { SIZES } = require('../models/Product');
+const Category = require('../models/Category');
+const { baseCurrency } = require('../config/currencies');
+const { toMinor, fromMinor } = require('../utils/money');
+
+// Upper bounds of the price-range facet in the base currency; anything above
+// the last is grouped together
+const PRICE_BOUNDARIES = [0, 25, 50, 100, 200, 500];
+
+// Prices are filtered and sorted on the product's price in the listing's currency
+const pricePath = (currency = baseCurrency()) => `listPrices.${currency}`;
+
+const priceSort = (currency, direction) => ({ [pricePath(currency)]: direction, _id: direction });
+
+// Every listing sort ends on _id so ties (same price, same name) have a fixed order.
+// Price sorts depend on the listing's currency and are built by sortFor.
+const SORT_OPTIONS = {
+    newest: { createdAt: -1, _id: -1 },
+    price_asc: null,
+    price_desc: null,
+    name_asc: { name: 1, _id: 1 },
+    name_desc: { name: -1, _id: -1 },
+    rating: { averageRating: -1, reviewCount: -1, _id: -1 }
+};
+
+// Fields a listing may be narrowed to with ?fields=
+const PROJECTABLE_FIELDS = [
+    'name', 'description', 'price', 'currencyPrices', 'stock', 'category', 'brand', 'sizes', 'colors',
+    'sku', 'variants', 'imageUrl', 'images', 'averageRating', 'reviewCount', 'createdAt', 'updatedAt'
+];
+
+// Stored paths behind the fields that are computed from minor units
+const STORED_PATHS = {
+    price: ['priceMinor', 'priceOverrides', 'currency'],
+    currencyPrices: ['priceOverrides']
+};
+
+// The paths to select for a ?fields= list
+const selectionFor = (fields) => fields.flatMap(field => STORED_PATHS[field] || [field]);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactInsensitive = (value) => ({ $regex: `^${escapeRegex(value)}$`, $options: 'i' });
+
+/**
+ * Build the MongoDB filter for a product listing from its query params.
+ *
+ * `omit` leaves out one of the facet filters ('category', 'brand', 'price',
+ * 'size' or 'color'), so a facet's counts can respect every filter but its own.
+ */
+const buildProductFilter = async (params, omit = null) => {
+    const { category, brand, search, minPrice, maxPrice, inStock, minRating, currency = baseCurrency() } = params;
+    const size = omit === 'size' ? null : params.size;
+    const color = omit === 'color' ? null : params.color;
+    const query = { isActive: true };
+
+    // A category slug also matches every category below it; unknown values are matched literally
+    if (category && omit !== 'category') {
+        const slugs = await Category.subtreeSlugs(category);
+        query.category = slugs ? { $in: slugs } : category;
+    }
+    if (brand && omit !== 'brand') query.brand = { $regex: escapeRegex(brand), $options: 'i' };
+    // Bounds are in the listing's currency, compared in its minor units;
+    // finer bounds than the currency has are rounded inwards
+    if ((minPrice || maxPrice) && omit !== 'price') {
+        const range = {};
+        if (minPrice) range.$gte = toMinor(Number(minPrice), currency, Math.ceil);
+        if (maxPrice) range.$lte = toMinor(Number(maxPrice), currency, Math.floor);
+        query[pricePath(currency)] = range;
+    }
+    if (inStock === 'true') query.stock = { $gt: 0 };
+    if (minRating) query.averageRating = { $gte: Number(minRating) };
+
+    // Size/color only match variants that still have stock; products
+    // without variants fall back to their flat sizes/colors and stock
+    if (size || color) {
+        const variantMatch = { stock: { $gt: 0 } };
+        if (size) variantMatch.size = size;
+        if (color) variantMatch.color = exactInsensitive(color);
+
+        const flatMatch = { 'variants.0': { $exists: false }, stock: { $gt: 0 } };
+        if (size) flatMatch.sizes = size;
+        if (color) flatMatch.colors = exactInsensitive(color);
+
+        query.$or = [{ variants: { $elemMatch: variantMatch } }, flatMatch];
+    }
+
+    if (search) {
+        query.$text = { $search: search };
+    }
+
+    return query;
+};
+
+const countBy = (filter, field) => Product.aggregate([
+    { $match: filter },
+    { $match: { [field]: { $nin: [null, ''] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+]);
+
+/**
+ * Count products per in-stock size or color. For products with variants only
+ * variants that have stock (and match the other option's filter) count; for
+ * the rest the flat sizes/colors arrays are used while the product has stock.
+ */
+const countByOption = (filter, option, otherFilter) => {
+    const [field, flatField, otherField] = option === 'size'
+        ? ['size', 'sizes', 'color']
+        : ['color', 'colors', 'size'];
+
+    let otherCondition = true;
+    if (otherFilter) {
+        otherCondition = otherField === 'color'
+            ? { $regexMatch: { input: { $ifNull: ['$$v.color', ''] }, regex: `^${escapeRegex(otherFilter)}$`, options: 'i' } }
+            : { $eq: ['$$v.size', otherFilter] };
+    }
+
+    return Product.aggregate([
+        { $match: filter },
+        {
+            $project: {
+                options: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+                        {
+                            $map: {
+                                input: {
+                                    $filter: {
+                                        input: '$variants',
+                                        as: 'v',
+                                        cond: { $and: [{ $gt: ['$$v.stock', 0] }, otherCondition] }
+                                    }
+                                },
+                                as: 'v',
+                                in: `$$v.${field}`
+                            }
+                        },
+                        { $cond: [{ $gt: ['$stock', 0] }, { $ifNull: [`$${flatField}`, []] }, []] }
+                    ]
+                }
+            }
+        },
+        // One count per product even when several variants share the option
+        { $project: { options: { $setUnion: ['$options', []] } } },
+        { $unwind: '$options' },
+        { $match: { options: { $nin: [null, ''] } } },
+        { $group: { _id: '$options', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+    ]);
+};
+
+// Facet boundaries for a currency: the base ones at the exchange rate,
+// rounded to two significant figures so they read as round prices
+const priceBoundaries = (rate = 1) => PRICE_BOUNDARIES.map(bound => Number((bound * rate).toPrecision(2)));
+
+const countByPrice = (filter, currency, boundaries) => Product.aggregate([
+    { $match: filter },
+    {
+        $bucket: {
+            groupBy: `$${pricePath(currency)}`,
+            boundaries: [...boundaries.map(bound => toMinor(bound, currency)), Number.MAX_SAFE_INTEGER],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+        }
+    }
+]);
+
+/**
+ * Facet counts for a product listing: categories, brands, sizes, colors and
+ * price ranges. Each facet applies every active filter except its own. Price
+ * ranges are in params.currency, whose exchange rate is `rate`.
+ */
+const getFacets = async (params, { rate = 1 } = {}) => {
+    const currency = params.currency || baseCurrency();
+    const boundaries = priceBoundaries(rate);
+
+    const [categoryFilter, brandFilter, sizeFilter, colorFilter, priceFilter] = await Promise.all(
+        ['category', 'brand', 'size', 'color', 'price'].map(omit => buildProductFilter(params, omit))
+    );
+
+    const [categories, brands, sizes, colors, prices] = await Promise.all([
+        countBy(categoryFilter, 'category'),
+        countBy(brandFilter, 'brand'),
+        countByOption(sizeFilter, 'size', params.color),
+        countByOption(colorFilter, 'color', params.size),
+        countByPrice(priceFilter, currency, boundaries)
+    ]);
+
+    const names = new Map(
+        (await Category.find({ slug: { $in: categories.map(entry => entry._id) } }).select('slug name'))
+            .map(category => [category.slug, category.name])
+    );
+
+    return {
+        categories: categories.map(entry => ({ value: entry._id, name: names.get(entry._id) || entry._id, count: entry.count })),
+        brands: brands.map(entry => ({ value: entry._id, count: entry.count })),
+        sizes: sizes
+            .sort((a, b) => SIZES.indexOf(a._id) - SIZES.indexOf(b._id))
+            .map(entry => ({ value: entry._id, count: entry.count })),
+        colors: colors.map(entry => ({ value: entry._id, count: entry.count })),
+        priceRanges: prices
+            .filter(entry => entry._id !== 'other')
+            .map(entry => {
+                const index = boundaries.indexOf(fromMinor(entry._id, currency));
+                return {
+                    min: boundaries[index],
+                    max: index < boundaries.length - 1 ? boundaries[index + 1] : null,
+                    count: entry.count
+                };
+            })
+    };
+};
+
+/**
+ * Resolve a listing's sort name to a Mongo sort. Relevance orders by text
+ * score and needs a search; without one it falls back to newest first.
+ * Price sorts use the price in `currency`.
+ */
+const sortFor = (sort, query, currency = baseCurrency()) => {
+    if (sort === 'relevance') {
+        return query.$text
+            ? { score: { $meta: 'textScore' }, createdAt: -1, _id: -1 }
+            : SORT_OPTIONS.newest;
+    }
+    if (sort === 'price_asc' || sort === 'price_desc') {
+        return priceSort(currency, sort === 'price_asc' ? 1 : -1);
+    }
+    return SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+};
+
+// Opaque cursor holding the sort key values of the last product on a page
+const encodeCursor = (product, sort, currency = baseCurrency()) => Buffer.from(JSON.stringify({
+    s: sort,
+    c: currency,
+    v: Object.keys(sortFor(sort, {}, currency)).map(key => product.get(key))
+})).toString('base64url');
+
+/**
+ * Condition on `key` matching values sorted after `value`. MongoDB sorts a
+ * missing or null key before any value, and $gt/$lt never match null, so
+ * products without the key (e.g. no rating yet) are handled explicitly.
+ * Null when nothing can come after `value`.
+ */
+const afterValue = (key, direction, value) => {
+    if (direction === 1) {
+        return { [key]: value === null ? { $ne: null } : { $gt: value } };
+    }
+    if (value === null) {
+        return null;
+    }
+    // _id is never missing, so it needs no null branch
+    return key === '_id'
+        ? { [key]: { $lt: value } }
+        : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+/**
+ * Turn a cursor back into a filter matching only products after it in the
+ * given sort. Returns null when the cursor is malformed or was issued
+ * for a different sort or currency.
+ */
+const cursorFilter = (cursor, sort, currency = baseCurrency()) => {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+
+    const sortOption = sortFor(sort, {}, currency);
+    const keys = Object.keys(sortOption);
+    if (!decoded || decoded.s !== sort || decoded.c !== currency || !Array.isArray(decoded.v) || decoded.v.length !== keys.length) {
+        return null;
+    }
+
+    // (k1 > v1) or (k1 = v1 and k2 > v2) or ... with > flipped for descending keys
+    return {
+        $or: keys
+            .map((key, index) => {
+                const after = afterValue(key, sortOption[key], decoded.v[index]);
+                if (!after) {
+                    return null;
+                }
+                const condition = {};
+                keys.slice(0, index).forEach((previous, i) => {
+                    condition[previous] = decoded.v[i];
+                });
+                return { ...condition, ...after };
+            })
+            .filter(Boolean)
+    };
+};
+
+/**
+ * Parse a comma separated ?fields= list. Returns { fields, unknown } where
+ * `unknown` lists names that cannot be projected.
+ */
+const parseFields = (value) => {
+    const requested = [...new Set(String(value).split(',').map(field => field.trim()).filter(Boolean))];
+    return {
+        fields: requested.filter(field => PROJECTABLE_FIELDS.includes(field)),
+        unknown: requested.filter(field => !PROJECTABLE_FIELDS.includes(field))
+    };
+};
+
+module.exports = {
+    SORT_OPTIONS,
+    PROJECTABLE_FIELDS,
+    selectionFor,
+    buildProductFilter,
+    getFacets,
+    sortFor,
+    encodeCursor,
+    cursorFilter,
+    parseFields,
+    escapeRegex
+};
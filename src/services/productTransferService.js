@@ -0,0 +1,270 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const csv = require('../utils/csv');
+const { resetVocabulary } = require('./searchService');
+const { stockLevels, recordStockChanges } = require('./inventoryService');
+const { snapshot, record } = require('./auditService');
+
+// Columns of an export, in order; an import accepts the same ones
+const COLUMNS = [
+    'sku', 'name', 'description', 'price', 'stock', 'category',
+    'brand', 'sizes', 'colors', 'imageUrl', 'lowStockThreshold', 'weight',
+    'dimensions', 'variants'
+];
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Separator for list cells (sizes, colors) in CSV
+const LIST_SEPARATOR = '|';
+
+// Dimensions are written "LxWxH" in CSV
+const DIMENSIONS_PATTERN = /^(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)$/i;
+
+const transferError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// The importable fields of a product, as written to an export
+const toRecord = (product) => ({
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    stock: product.stock,
+    category: product.category,
+    brand: product.brand,
+    sizes: product.sizes,
+    colors: product.colors,
+    imageUrl: product.imageUrl,
+    lowStockThreshold: product.lowStockThreshold,
+    weight: product.weight,
+    dimensions: product.dimensions && product.dimensions.length != null
+        ? { length: product.dimensions.length, width: product.dimensions.width, height: product.dimensions.height }
+        : null,
+    variants: product.variants.map(variant => ({
+        _id: String(variant._id),
+        size: variant.size,
+        color: variant.color,
+        sku: variant.sku,
+        stock: variant.stock,
+        price: variant.price
+    }))
+});
+
+const csvHeader = () => csv.formatRow(COLUMNS);
+
+const toCsvRow = (product) => {
+    const record = toRecord(product);
+    return csv.formatRow(COLUMNS.map(column => {
+        const value = record[column];
+        if (column === 'variants') {
+            return value.length ? JSON.stringify(value) : '';
+        }
+        if (column === 'dimensions') {
+            return value ? `${value.length}x${value.width}x${value.height}` : '';
+        }
+        return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+    }));
+};
+
+const toNdjsonLine = (product) => JSON.stringify(toRecord(product));
+
+// Turn CSV cells into typed values; anything that does not convert is left
+// as text so validation reports it against the column
+const fromCsvCells = (header, cells) => {
+    const data = {};
+    header.forEach((column, index) => {
+        const text = csv.unescapeCell((cells[index] || '').trim());
+        if (text === '') {
+            return;
+        }
+        if (['price', 'stock', 'lowStockThreshold', 'weight'].includes(column)) {
+            data[column] = Number.isNaN(Number(text)) ? text : Number(text);
+        } else if (column === 'dimensions') {
+            const match = text.match(DIMENSIONS_PATTERN);
+            data[column] = match
+                ? { length: Number(match[1]), width: Number(match[2]), height: Number(match[3]) }
+                : text;
+        } else if (column === 'sizes' || column === 'colors') {
+            data[column] = text.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+        } else if (column === 'variants') {
+            try {
+                data[column] = JSON.parse(text);
+            } catch (error) {
+                data[column] = text;
+            }
+        } else {
+            data[column] = text;
+        }
+    });
+    return data;
+};
+
+/**
+ * Read an uploaded CSV or NDJSON file into { row, data, error } records,
+ * `row` being the 1-based line (CSV counts the header as row 1). Throws an
+ * error carrying statusCode 400 when the file as a whole cannot be read.
+ */
+const parseImport = (buffer, format) => {
+    const text = buffer.toString('utf8');
+    let records;
+
+    if (format === 'ndjson') {
+        records = text.split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), row: index + 1 }))
+            .filter(({ line }) => line)
+            .map(({ line, row }) => {
+                try {
+                    const data = JSON.parse(line);
+                    return data && typeof data === 'object' && !Array.isArray(data)
+                        ? { row, data }
+                        : { row, error: 'Each line must be a JSON object' };
+                } catch (error) {
+                    return { row, error: 'Invalid JSON' };
+                }
+            });
+    } else {
+        const [header, ...rows] = csv.parse(text);
+        if (!header) {
+            throw transferError('The file is empty');
+        }
+        const columns = header.map(column => column.trim());
+        const unknown = columns.filter(column => !COLUMNS.includes(column));
+        if (unknown.length) {
+            throw transferError(`Unknown column(s): ${unknown.join(', ')}`);
+        }
+        if (!columns.includes('sku')) {
+            throw transferError('The sku column is required');
+        }
+        records = rows.map((cells, index) => ({ row: index + 2, data: fromCsvCells(columns, cells) }));
+    }
+
+    if (records.length === 0) {
+        throw transferError('The file has no rows');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw transferError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+    return records;
+};
+
+const saveErrors = (error) => {
+    if (error.name === 'ValidationError') {
+        return Object.values(error.errors).map(item => item.message);
+    }
+    if (error.code === 11000) {
+        return [`Duplicate value for ${Object.keys(error.keyValue || {}).join(', ') || 'a unique field'}`];
+    }
+    throw error;
+};
+
+/**
+ * Upsert parsed records by sku. Each record is validated with `schema` (the
+ * product creation schema) and must name an active category. With `dryRun`
+ * nothing is written, but every row still goes through model validation.
+ * Written rows are audited with `audit`, an auditService context.
+ *
+ * Resolves to a report of what happened (or would happen) to every row.
+ */
+const importProducts = async (records, { schema, dryRun = false, actor = null, audit = null }) => {
+    const skus = records.map(record => record.data && record.data.sku).filter(sku => typeof sku === 'string');
+    const [existing, categories] = await Promise.all([
+        Product.find({ sku: { $in: skus } }).withDeleted(),
+        Category.find({ isActive: true }).distinct('slug')
+    ]);
+    const bySku = new Map(existing.map(product => [product.sku, product]));
+    const activeCategories = new Set(categories);
+    const firstSeen = new Map();
+
+    const rows = [];
+    for (const record of records) {
+        const sku = record.data && typeof record.data.sku === 'string' ? record.data.sku : undefined;
+        const result = { row: record.row, sku, action: 'reject', errors: [] };
+        rows.push(result);
+
+        if (record.error) {
+            result.errors.push(record.error);
+            continue;
+        }
+
+        const { error, value } = schema.validate(record.data, { abortEarly: false });
+        if (error) {
+            result.errors.push(...error.details.map(detail => detail.message));
+        }
+        if (!sku) {
+            result.errors.push('"sku" is required');
+        } else if (firstSeen.has(sku)) {
+            result.errors.push(`Duplicate sku, already on row ${firstSeen.get(sku)}`);
+        } else {
+            firstSeen.set(sku, record.row);
+        }
+        if (!error && !activeCategories.has(value.category)) {
+            result.errors.push(`Unknown category: ${value.category}`);
+        }
+        if (result.errors.length) {
+            continue;
+        }
+
+        let product = bySku.get(sku);
+        if (product && product.deletedAt) {
+            result.errors.push('A product with this sku is in the trash; restore it first');
+            continue;
+        }
+        const action = product ? 'update' : 'create';
+        const before = product ? stockLevels(product) : new Map();
+        const previous = snapshot(product);
+        if (product) {
+            product.set(value);
+        } else {
+            product = new Product(value);
+        }
+
+        try {
+            if (dryRun) {
+                await product.validate();
+            } else {
+                await product.save();
+                await recordStockChanges(before, product, { reason: 'Import', actor });
+                if (audit) {
+                    await record(audit, {
+                        action: `product.${action}`,
+                        targetType: 'products',
+                        targetId: product._id,
+                        before: previous,
+                        after: product
+                    });
+                }
+            }
+            result.action = action;
+            delete result.errors;
+        } catch (saveError) {
+            result.errors.push(...saveErrors(saveError));
+        }
+    }
+
+    const count = (action) => rows.filter(row => row.action === action).length;
+    const summary = {
+        total: rows.length,
+        created: count('create'),
+        updated: count('update'),
+        rejected: count('reject')
+    };
+
+    if (!dryRun && summary.created + summary.updated > 0) {
+        resetVocabulary();
+    }
+
+    return { dryRun, summary, rows };
+};
+
+module.exports = {
+    COLUMNS,
+    MAX_IMPORT_ROWS,
+    csvHeader,
+    toCsvRow,
+    toNdjsonLine,
+    parseImport,
+    importProducts
+};
@@ -0,0 +1,68 @@
+const Role = require('../models/Role');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/roles');
+
+const isBuiltIn = (name) => Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, name);
+
+// Built-in roles merged with stored roles; stored documents win, except that
+// admin always keeps full access
+const listRoles = async () => {
+    const stored = await Role.find().lean();
+    const roles = new Map();
+
+    for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+        roles.set(name, { name, ...role, builtIn: true });
+    }
+    for (const role of stored) {
+        roles.set(role.name, {
+            name: role.name,
+            description: role.description,
+            permissions: role.permissions,
+            builtIn: isBuiltIn(role.name)
+        });
+    }
+    roles.get('admin').permissions = ['*'];
+
+    return [...roles.values()];
+};
+
+const getRole = async (name) => {
+    if (name === 'admin') {
+        return { name, ...DEFAULT_ROLES.admin, builtIn: true };
+    }
+    const stored = await Role.findOne({ name }).lean();
+    if (stored) {
+        return {
+            name: stored.name,
+            description: stored.description,
+            permissions: stored.permissions,
+            builtIn: isBuiltIn(name)
+        };
+    }
+    return isBuiltIn(name) ? { name, ...DEFAULT_ROLES[name], builtIn: true } : null;
+};
+
+const getPermissions = async (roleName) => {
+    const role = await getRole(roleName);
+    return role ? role.permissions : [];
+};
+
+// Supports exact matches, "*" and "<resource>:*"
+const grants = (permissions, permission) => permissions.some(granted =>
+    granted === '*' ||
+    granted === permission ||
+    (granted.endsWith(':*') && permission.startsWith(granted.slice(0, -1)))
+);
+
+const isKnownPermission = (permission) =>
+    permission === '*' ||
+    PERMISSIONS.includes(permission) ||
+    (permission.endsWith(':*') && PERMISSIONS.some(known => known.startsWith(permission.slice(0, -1))));
+
+module.exports = {
+    listRoles,
+    getRole,
+    getPermissions,
+    grants,
+    isBuiltIn,
+    isKnownPermission
+};
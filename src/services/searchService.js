@@ -0,0 +1,218 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { searchKeysFor } = require('../models/Product');
+const { escapeRegex } = require('./productQueryService');
+const { MIN_CORRECTABLE_LENGTH, normalize, tokenize, tokenOf, wordSuffixes } = require('../utils/search');
+
+// How long the in-process vocabulary used for typo correction is reused
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+
+// Most common product words kept in the vocabulary, which bounds its memory
+const VOCABULARY_SIZE = 5000;
+
+const BATCH_SIZE = 500;
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+// Edit distance that gives up once it exceeds `max`
+const distance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Short words tolerate one typo, longer ones two
+const allowedDistance = (term) => (term.length <= 4 ? 1 : 2);
+
+/**
+ * Words found in active product names and brands and in category names, as a
+ * Map of token -> { word, count }. Products contribute their VOCABULARY_SIZE
+ * most common words, counted by the database. Rebuilt at most every
+ * VOCABULARY_TTL_MS.
+ */
+const getVocabulary = async () => {
+    if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+        return vocabulary;
+    }
+
+    const [productWords, categories] = await Promise.all([
+        Product.aggregate([
+            { $match: { isActive: true } },
+            { $unwind: '$searchKeys.words' },
+            { $group: { _id: '$searchKeys.words', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: VOCABULARY_SIZE }
+        ]),
+        Category.find({ isActive: true }).select('name').lean()
+    ]);
+
+    const words = new Map();
+    const add = (word, count) => {
+        const token = tokenOf(word);
+        const entry = words.get(token) || { word, count: 0 };
+        entry.count += count;
+        words.set(token, entry);
+    };
+    productWords.forEach(entry => add(entry._id, entry.count));
+    categories.forEach(category => tokenize(category.name)
+        .filter(([token]) => token.length >= MIN_CORRECTABLE_LENGTH)
+        .forEach(([, word]) => add(word, 1)));
+
+    vocabulary = words;
+    vocabularyBuiltAt = Date.now();
+    return vocabulary;
+};
+
+// Drop the cached vocabulary, e.g. after products are imported
+const resetVocabulary = () => {
+    vocabulary = null;
+};
+
+// Closest known word to `term`, preferring the most common one on a tie
+const closestWord = (term, words) => {
+    let best = null;
+    let bestDistance = allowedDistance(term) + 1;
+    let bestCount = 0;
+    for (const [token, { word, count }] of words) {
+        const d = distance(term, token, allowedDistance(term));
+        if (d < bestDistance || (d === bestDistance && count > bestCount)) {
+            best = word;
+            bestDistance = d;
+            bestCount = count;
+        }
+    }
+    return bestDistance <= allowedDistance(term) ? best : null;
+};
+
+/**
+ * Rewrite a search with every unknown word replaced by its closest known word.
+ * Resolves to null when nothing could be corrected.
+ */
+const correctSearch = async (search) => {
+    const words = await getVocabulary();
+    let corrected = false;
+
+    const rewritten = normalize(search).split(' ').filter(Boolean).map(raw => {
+        const term = raw.replace(/[^a-z0-9]/g, '');
+        if (term.length < MIN_CORRECTABLE_LENGTH || words.has(term)) {
+            return raw;
+        }
+        const match = closestWord(term, words);
+        if (!match) {
+            return raw;
+        }
+        corrected = true;
+        return match;
+    });
+
+    return corrected ? rewritten.join(' ') : null;
+};
+
+/**
+ * Prefix suggestions for a search box: product names, brands and categories
+ * whose name (or one of its words) starts with `q`, ignoring case and
+ * accents. Matched against the stored searchKeys with an anchored regex, so
+ * the lookups use their indexes. Falls back to the closest known words when
+ * nothing starts with it.
+ */
+const suggest = async (q, limit) => {
+    const prefix = { $regex: `^${escapeRegex(normalize(q))}` };
+
+    const [products, brands, categories] = await Promise.all([
+        Product.find({ isActive: true, 'searchKeys.name': prefix })
+            .select('name brand priceMinor currency imageUrl')
+            .sort({ reviewCount: -1, name: 1 })
+            .limit(limit),
+        Product.distinct('brand', { isActive: true, 'searchKeys.brand': prefix }),
+        Category.find({ isActive: true, searchKeys: prefix })
+            .select('name slug')
+            .sort({ sortOrder: 1, name: 1 })
+            .limit(limit)
+    ]);
+
+    const result = {
+        products: products.map(product => ({
+            id: product._id,
+            name: product.name,
+            brand: product.brand,
+            price: product.price,
+            imageUrl: product.imageUrl
+        })),
+        brands: brands.sort().slice(0, limit),
+        categories: categories.map(category => ({ slug: category.slug, name: category.name })),
+        didYouMean: null
+    };
+
+    if (!products.length && !brands.length && !categories.length) {
+        result.didYouMean = await correctSearch(q);
+    }
+
+    return result;
+};
+
+/**
+ * Fill in searchKeys for products and categories saved before they existed,
+ * trashed ones included. Safe to run again; resolves to the number of
+ * { products, categories } updated.
+ */
+const rebuildSearchKeys = async () => {
+    const missing = { searchKeys: { $exists: false } };
+    const backfill = async (query, keysFor) => {
+        const Model = query.model;
+        const cursor = query.lean().cursor();
+        let batch = [];
+        let updated = 0;
+        const flush = async () => {
+            if (batch.length) {
+                await Model.collection.bulkWrite(batch, { ordered: false });
+                updated += batch.length;
+                batch = [];
+            }
+        };
+
+        for await (const doc of cursor) {
+            batch.push({
+                updateOne: {
+                    filter: { _id: doc._id },
+                    update: { $set: { searchKeys: keysFor(doc) } }
+                }
+            });
+            if (batch.length === BATCH_SIZE) {
+                await flush();
+            }
+        }
+        await flush();
+        return updated;
+    };
+
+    const products = await backfill(Product.find(missing).withDeleted().select('name brand'), searchKeysFor);
+    const categories = await backfill(Category.find(missing).select('name'), category => wordSuffixes(category.name));
+    resetVocabulary();
+    return { products, categories };
+};
+
+module.exports = {
+    suggest,
+    correctSearch,
+    resetVocabulary,
+    rebuildSearchKeys
+};
@@ -0,0 +1,147 @@
+const ShippingZone = require('../models/ShippingZone');
+const { loadCart, priceCart } = require('./cartService');
+const { toMinor, fromMinor } = require('../utils/money');
+
+// Cubic centimetres per kilogram of volumetric weight, the usual courier divisor
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Chargeable weight of one unit in grams: the larger of what it weighs and
+// what its packed size counts for
+const unitWeight = (product) => {
+    const actual = product.weight || 0;
+    const { length, width, height } = product.dimensions || {};
+    const volumetric = length && width && height
+        ? (length * width * height / VOLUMETRIC_DIVISOR) * 1000
+        : 0;
+    return Math.max(actual, volumetric);
+};
+
+// How well an area covers an address: 2 for its region, 1 for the whole
+// country, 0 when it does not apply
+const coverage = (area, address) => {
+    if (area.country !== address.country) {
+        return 0;
+    }
+    if (!area.region) {
+        return 1;
+    }
+    return (address.region || '').trim().toLowerCase() === area.region.toLowerCase() ? 2 : 0;
+};
+
+/**
+ * The active zone covering an address ({ country, region }). A zone naming
+ * the address's region wins over one covering its whole country; between
+ * equals the oldest zone wins. Resolves to null when no zone ships there.
+ */
+const findZone = async (address) => {
+    if (!address || !address.country) {
+        return null;
+    }
+    const zones = await ShippingZone.find({ isActive: true, 'areas.country': address.country })
+        .sort({ createdAt: 1 });
+
+    let best = null;
+    let bestScore = 0;
+    zones.forEach(zone => {
+        const score = Math.max(...zone.areas.map(area => coverage(area, address)));
+        if (score > bestScore) {
+            best = zone;
+            bestScore = score;
+        }
+    });
+    return best;
+};
+
+// Whether any zone is set up; without one, orders ship without a charge
+const shippingConfigured = async () => Boolean(await ShippingZone.exists({ isActive: true }));
+
+// Price of a method for a shipment in minor units, or null when it is beyond
+// the method's rates. Rates are set in major units; an order value is
+// compared in minor units.
+const priceFor = (method, { weight, orderValue }) => {
+    const byValue = method.basis === 'order_value';
+    const measure = byValue ? orderValue : weight;
+    const rate = method.rates.find(candidate => candidate.upTo === null ||
+        measure <= (byValue ? toMinor(candidate.upTo) : candidate.upTo));
+    return rate ? toMinor(rate.price) : null;
+};
+
+/**
+ * Quote every method available for shipping `lines` ([{ product, quantity }])
+ * to `address`, cheapest first. `orderValue` is the order total after
+ * discounts, checked against the rates of order-value methods and their
+ * free-shipping thresholds; `freeShipping` (from a coupon) makes every
+ * method free. Amounts are in minor units of the base currency. Resolves to
+ * { zone, weight, methods }, zone being null when nothing ships to the address.
+ */
+const quoteShipping = async (address, { lines, orderValue, freeShipping = false }) => {
+    const weight = Math.round(lines.reduce(
+        (sum, line) => sum + unitWeight(line.product) * line.quantity, 0
+    ));
+
+    const zone = await findZone(address);
+    if (!zone) {
+        return { zone: null, weight, methods: [] };
+    }
+
+    const methods = zone.methods
+        .filter(method => method.isActive)
+        .map(method => {
+            const price = priceFor(method, { weight, orderValue });
+            if (price === null) {
+                return null;
+            }
+            const freeOver = method.freeOver === null ? null : toMinor(method.freeOver);
+            const free = freeShipping || (freeOver !== null && orderValue >= freeOver);
+            return {
+                code: method.code,
+                name: method.name,
+                price: free ? 0 : price,
+                free,
+                freeOver,
+                estimatedDays: method.estimatedDays && method.estimatedDays.max != null
+                    ? { min: method.estimatedDays.min, max: method.estimatedDays.max }
+                    : null
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.price - b.price);
+
+    return { zone: { id: zone._id, name: zone.name }, weight, methods };
+};
+
+// Quote shipping the available items of a user's cart to an address, in
+// major units as shown to the customer
+const quoteCart = async (userId, address) => {
+    const cart = await loadCart(userId);
+    await cart.populate('items.product');
+    const summary = await priceCart(cart);
+
+    const lines = cart.items
+        .filter((item, index) => summary.items[index].available)
+        .map(item => ({ product: item.product, quantity: item.quantity }));
+
+    const quote = await quoteShipping(address, {
+        lines,
+        orderValue: summary.total,
+        freeShipping: summary.freeShipping
+    });
+    return {
+        ...quote,
+        methods: quote.methods.map(method => ({
+            ...method,
+            price: fromMinor(method.price),
+            freeOver: method.freeOver === null ? null : fromMinor(method.freeOver)
+        })),
+        itemCount: summary.itemCount,
+        orderValue: fromMinor(summary.total)
+    };
+};
+
+module.exports = {
+    unitWeight,
+    findZone,
+    shippingConfigured,
+    quoteShipping,
+    quoteCart
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Storage adapters expose `put(key, buffer, contentType)` resolving to the
+ * public URL of the stored object, and `remove(key)`. The active adapter is
+ * picked from STORAGE_DRIVER ("local") and can be swapped with setStorage(),
+ * e.g. for an object-store adapter in production or an in-memory one in tests.
+ */
+
+// Keys are slash separated and must stay inside the storage root
+const safeKey = (key) => {
+    const normalized = path.posix.normalize(String(key)).replace(/^\/+/, '');
+    if (!normalized || normalized.startsWith('..')) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return normalized;
+};
+
+// Writes files under UPLOAD_DIR, served by the app at UPLOAD_BASE_URL
+const createLocalStorage = ({
+    root = process.env.UPLOAD_DIR || 'uploads',
+    baseUrl = process.env.UPLOAD_BASE_URL || '/uploads'
+} = {}) => ({
+    name: 'local',
+    root,
+    baseUrl,
+    put: async (key, buffer) => {
+        const filePath = path.join(root, safeKey(key));
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer);
+        return `${baseUrl.replace(/\/+$/, '')}/${safeKey(key)}`;
+    },
+    remove: async (key) => {
+        await fs.promises.rm(path.join(root, safeKey(key)), { force: true });
+    }
+});
+
+const drivers = {
+    local: createLocalStorage
+};
+
+let storage = null;
+
+const getStorage = () => {
+    if (!storage) {
+        const name = process.env.STORAGE_DRIVER || 'local';
+        const factory = drivers[name];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        storage = factory();
+    }
+    return storage;
+};
+
+const setStorage = (custom) => {
+    storage = custom;
+};
+
+module.exports = {
+    createLocalStorage,
+    getStorage,
+    setStorage
+};
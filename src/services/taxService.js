@@ -0,0 +1,147 @@
+const TaxRule = require('../models/TaxRule');
+const Category = require('../models/Category');
+const { roundClean, fromMinor, percentOf } = require('../utils/money');
+
+// Whether catalog prices and shipping rates already include tax (as is usual
+// with VAT) or have it added on top (as with US sales tax). Read from
+// PRICES_INCLUDE_TAX on each call.
+const storePricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX === 'true';
+
+const jurisdictionOf = (rule) => (rule.region ? `${rule.country}-${rule.region}` : rule.country);
+
+/**
+ * The active rules for an address ({ country, region }): those covering its
+ * whole country plus those of its region. Resolves to [] when there is no
+ * address or nothing is levied there.
+ */
+const findRules = async (address) => {
+    if (!address || !address.country) {
+        return [];
+    }
+    const region = (address.region || '').trim().toLowerCase();
+    const rules = await TaxRule.find({ isActive: true, country: address.country.toUpperCase() })
+        .sort({ region: 1, name: 1 });
+    return rules.filter(rule => !rule.region || rule.region.toLowerCase() === region);
+};
+
+/**
+ * Tax on one amount (in minor units) at several rates. Exclusive amounts are
+ * taxed on top; inclusive ones have the tax taken out, the rounding remainder
+ * going to the largest rate so net plus tax is exactly the amount charged.
+ */
+const taxAmount = (amount, rates, pricesIncludeTax) => {
+    const combined = rates.reduce((sum, entry) => sum + entry.rate, 0);
+    const net = pricesIncludeTax ? roundClean(amount * 100 / (100 + combined)) : amount;
+    const parts = rates.map(entry => ({ ...entry, tax: percentOf(net, entry.rate) }));
+
+    if (pricesIncludeTax && combined > 0) {
+        const remainder = amount - net - parts.reduce((sum, part) => sum + part.tax, 0);
+        if (remainder) {
+            const largest = parts.reduce((best, part) => (part.rate > best.rate ? part : best));
+            largest.tax += remainder;
+        }
+    }
+
+    return {
+        net,
+        tax: parts.reduce((sum, part) => sum + part.tax, 0),
+        rates: parts
+    };
+};
+
+/**
+ * Work out the tax on a sale shipped to `address`.
+ *
+ * `lines` are [{ id, category, amount }], amount being what the line costs
+ * after discounts; `shipping` is the shipping charge. Amounts are in minor
+ * units of the base currency, and are taken to include tax when
+ * pricesIncludeTax is set. Resolves to
+ *   { pricesIncludeTax, lines, shipping, rates, tax, total }
+ * where each line (and shipping, when charged) carries its net amount, tax
+ * and per-rate split, `rates` sums the sale up per rate (taxable amount and
+ * tax) and `total` is what the customer pays, all in minor units. Used for
+ * carts, checkout and the documents printed from orders, so they all agree
+ * to the cent.
+ */
+const calculateTax = async ({ lines, shipping = 0, address, pricesIncludeTax = storePricesIncludeTax() }) => {
+    const rules = await findRules(address);
+    const breakdown = new Map();
+
+    const apply = (amount, entries) => {
+        const result = taxAmount(amount, entries, pricesIncludeTax);
+        result.rates.forEach(part => {
+            const key = `${part.jurisdiction}:${part.name}:${part.rate}`;
+            const total = breakdown.get(key) ||
+                { name: part.name, jurisdiction: part.jurisdiction, rate: part.rate, taxable: 0, tax: 0 };
+            total.taxable += result.net;
+            total.tax += part.tax;
+            breakdown.set(key, total);
+        });
+        return result;
+    };
+
+    const entryFor = (rule, rate) => ({ name: rule.name, jurisdiction: jurisdictionOf(rule), rate });
+
+    // Category rates also cover the categories below them
+    const lineages = rules.some(rule => rule.categoryRates.length)
+        ? await Category.lineageSlugs([...new Set(lines.map(line => line.category).filter(Boolean))])
+        : new Map();
+
+    const taxedLines = lines.map(line => {
+        const lineage = lineages.get(line.category) || line.category;
+        const result = apply(line.amount, rules.map(rule => entryFor(rule, rule.rateFor(lineage))));
+        return { id: line.id, amount: line.amount, ...result };
+    });
+
+    let taxedShipping = null;
+    if (shipping > 0) {
+        const result = apply(shipping, rules
+            .filter(rule => rule.appliesToShipping)
+            .map(rule => entryFor(rule, rule.rate)));
+        taxedShipping = { amount: shipping, ...result };
+    }
+
+    const charged = [...taxedLines, ...(taxedShipping ? [taxedShipping] : [])];
+    const amount = charged.reduce((sum, item) => sum + item.amount, 0);
+    const tax = charged.reduce((sum, item) => sum + item.tax, 0);
+
+    return {
+        pricesIncludeTax,
+        lines: taxedLines,
+        shipping: taxedShipping,
+        rates: [...breakdown.values()],
+        tax,
+        total: pricesIncludeTax ? amount : amount + tax
+    };
+};
+
+// A calculateTax result with its amounts in major units, for API responses
+const taxInMajorUnits = (result) => {
+    const major = ({ amount, net, tax, rates, ...rest }) => ({
+        ...rest,
+        amount: fromMinor(amount),
+        net: fromMinor(net),
+        tax: fromMinor(tax),
+        rates: rates.map(part => ({ ...part, tax: fromMinor(part.tax) }))
+    });
+
+    return {
+        pricesIncludeTax: result.pricesIncludeTax,
+        lines: result.lines.map(major),
+        shipping: result.shipping && major(result.shipping),
+        rates: result.rates.map(entry => ({
+            ...entry,
+            taxable: fromMinor(entry.taxable),
+            tax: fromMinor(entry.tax)
+        })),
+        tax: fromMinor(result.tax),
+        total: fromMinor(result.total)
+    };
+};
+
+module.exports = {
+    storePricesIncludeTax,
+    findRules,
+    calculateTax,
+    taxInMajorUnits
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const logger = require('../utils/logger');
+
+// Read on each call rather than at load, so values from .env always apply
+const jwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+const accessTokenTtl = () => process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const refreshTokenTtlDays = () => Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenError = (message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+};
+
+const signAccessToken = (userId, family) => jwt.sign(
+    { userId, sid: family },
+    jwtSecret(),
+    { expiresIn: accessTokenTtl() }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, jwtSecret());
+
+// Only the hash is stored; the raw token is handed to the client once
+const createRefreshToken = async (userId, family, req) => {
+    const token = crypto.randomBytes(48).toString('hex');
+    const doc = await RefreshToken.create({
+        user: userId,
+        family,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + refreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+        userAgent: req && req.get('User-Agent'),
+        ip: req && req.ip
+    });
+    return { token, doc };
+};
+
+// Start a new session (token family) for a user, e.g. on login or register
+const issueTokens = async (user, req) => {
+    const family = crypto.randomUUID();
+    const { token } = await createRefreshToken(user._id, family, req);
+    return {
+        token: signAccessToken(user._id, family),
+        refreshToken: token,
+        expiresIn: accessTokenTtl()
+    };
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+);
+
+const revokeAllForUser = (userId, reason) => RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+);
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ *
+ * The presented token is marked as replaced, so presenting it a second time
+ * means it leaked: the whole family is revoked and the caller gets a 401.
+ * `isUserActive` is called with the token's user id and must resolve to a boolean.
+ */
+const rotateRefreshToken = async (token, req, isUserActive) => {
+    const current = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+    if (!current || current.expiresAt <= new Date()) {
+        throw tokenError('Invalid refresh token');
+    }
+    if (current.revokedAt) {
+        throw tokenError('Session has been revoked');
+    }
+    if (current.replacedBy) {
+        await revokeFamily(current.family, 'reuse_detected');
+        logger.warn(`Refresh token reuse detected for user ${current.user}, family ${current.family} revoked`);
+        throw tokenError('Refresh token reuse detected, please log in again');
+    }
+    if (!(await isUserActive(current.user))) {
+        await revokeFamily(current.family, 'user_inactive');
+        throw tokenError('Account is inactive');
+    }
+
+    const { token: nextToken, doc } = await createRefreshToken(current.user, current.family, req);
+
+    // Conditional so two concurrent refreshes with the same token cannot both win
+    const claimed = await RefreshToken.findOneAndUpdate(
+        { _id: current._id, replacedBy: null, revokedAt: null },
+        { replacedBy: doc._id }
+    );
+    if (!claimed) {
+        await revokeFamily(current.family, 'reuse_detected');
+        logger.warn(`Refresh token reuse detected for user ${current.user}, family ${current.family} revoked`);
+        throw tokenError('Refresh token reuse detected, please log in again');
+    }
+
+    return {
+        token: signAccessToken(current.user, current.family),
+        refreshToken: nextToken,
+        expiresIn: accessTokenTtl()
+    };
+};
+
+// Revoke the session a refresh token belongs to. Unknown tokens are ignored.
+const revokeRefreshToken = async (token, reason = 'logout') => {
+    const current = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    if (current) {
+        await revokeFamily(current.family, reason);
+    }
+    return current;
+};
+
+// A session is live while its family still holds an unused, unrevoked, unexpired token
+const isSessionActive = async (family) => Boolean(await RefreshToken.exists({
+    family,
+    revokedAt: null,
+    replacedBy: null,
+    expiresAt: { $gt: new Date() }
+}));
+
+module.exports = {
+    issueTokens,
+    verifyAccessToken,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeFamily,
+    revokeAllForUser,
+    isSessionActive
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Cart = require('../models/Cart');
+const RefreshToken = require('../models/RefreshToken');
+const { removeProductImage } = require('./imageService');
+
+const trashError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+// Paginated listing of soft-deleted documents, most recently deleted first
+const listTrash = async (Model, { page = 1, limit = 20, select } = {}) => {
+    const query = { deletedAt: { $ne: null } };
+    const [items, total] = await Promise.all([
+        Model.find(query)
+            .select(select)
+            .populate('deletedBy', 'name email')
+            .sort({ deletedAt: -1 })
+            .limit(limit)
+            .skip((page - 1) * limit),
+        Model.countDocuments(query)
+    ]);
+    return { items, total };
+};
+
+// A document from the trash, or null when it does not exist or is not deleted
+const findInTrash = (Model, id) => {
+    if (!mongoose.isValidObjectId(id)) {
+        return null;
+    }
+    return Model.findOne({ _id: id, deletedAt: { $ne: null } });
+};
+
+/**
+ * Permanently delete a trashed product with its reviews, images and cart and
+ * wishlist entries. Throws an error with statusCode 409 while orders still
+ * reference it, since they keep pointing at the product.
+ */
+const purgeProduct = async (product) => {
+    if (await Order.exists({ 'items.product': product._id })) {
+        throw trashError('Product is referenced by orders and cannot be permanently deleted', 409);
+    }
+
+    await Review.deleteMany({ product: product._id });
+    await Cart.updateMany({ 'items.product': product._id }, { $pull: { items: { product: product._id } } });
+    await User.updateMany(
+        { 'wishlist.product': product._id },
+        { $pull: { wishlist: { product: product._id } } }
+    ).withDeleted();
+    await product.deleteOne();
+    await Promise.all(product.images.map(removeProductImage));
+};
+
+/**
+ * Permanently delete a trashed user with their reviews, cart and sessions.
+ * Throws an error with statusCode 409 while they have orders.
+ */
+const purgeUser = async (user) => {
+    if (await Order.exists({ user: user._id })) {
+        throw trashError('User has orders and cannot be permanently deleted', 409);
+    }
+
+    const reviewed = await Review.find({ user: user._id }).distinct('product');
+    await Review.deleteMany({ user: user._id });
+    await Promise.all(reviewed.map(productId => Review.updateProductRating(productId)));
+    await Cart.deleteOne({ user: user._id });
+    await RefreshToken.deleteMany({ user: user._id });
+    await user.deleteOne();
+};
+
+module.exports = {
+    listTrash,
+    findInTrash,
+    purgeProduct,
+    purgeUser
+};
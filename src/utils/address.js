@@ -0,0 +1,87 @@
+const { COUNTRIES } = require('../config/countries');
+
+const fullMatch = (pattern, value) => new RegExp(`^(?:${pattern})$`, 'i').test(value);
+
+/**
+ * Normalise a phone number to E.164 ("+14155550100") for `country`, or null
+ * when it is not a valid number there. Accepts international ("+44 20 ...",
+ * "0044 20 ...") and national ("020 ...") forms.
+ */
+const normalizePhone = (phone, country) => {
+    const rule = COUNTRIES[country];
+    const compact = String(phone).replace(/[\s().\-/]/g, '');
+    if (!rule || !/^(\+|00)?\d+$/.test(compact)) {
+        return null;
+    }
+
+    let national;
+    if (/^(\+|00)/.test(compact)) {
+        const digits = compact.replace(/^(\+|00)/, '');
+        if (!digits.startsWith(rule.callingCode)) {
+            return null;
+        }
+        national = digits.slice(rule.callingCode.length);
+    } else if (rule.callingCode === '1' && compact.length === 11 && compact.startsWith('1')) {
+        national = compact.slice(1);
+    } else {
+        national = compact;
+    }
+    // Drop the trunk prefix, also when written as "+44 (0)20 ..."
+    if (!rule.keepsTrunkPrefix && national.startsWith('0')) {
+        national = national.slice(1);
+    }
+
+    return fullMatch(rule.phone, national) ? `+${rule.callingCode}${national}` : null;
+};
+
+const normalizePostalCode = (postalCode) => String(postalCode).trim().toUpperCase().replace(/\s+/g, ' ');
+
+/**
+ * Check an address against the rules of its country, normalising its
+ * country, postal code and phone in place. Returns [{ field, message }],
+ * empty when the address is valid.
+ */
+const checkAddress = (address) => {
+    const country = String(address.country || '').toUpperCase();
+    const rule = COUNTRIES[country];
+    if (!rule) {
+        return [{ field: 'country', message: `We do not ship to ${address.country || 'this country'}` }];
+    }
+    address.country = country;
+
+    const errors = [];
+    if (address.postalCode) {
+        address.postalCode = normalizePostalCode(address.postalCode);
+    }
+    if (rule.postalCode === null) {
+        address.postalCode = undefined;
+    } else if (!address.postalCode) {
+        if (!rule.postalCodeOptional) {
+            errors.push({ field: 'postalCode', message: `A postal code is required for ${rule.name}` });
+        }
+    } else if (!fullMatch(rule.postalCode, address.postalCode)) {
+        errors.push({ field: 'postalCode', message: `Invalid postal code for ${rule.name}` });
+    }
+
+    if (rule.regionRequired && !address.region) {
+        errors.push({ field: 'region', message: `A region is required for ${rule.name}` });
+    }
+
+    if (address.phone) {
+        const phone = normalizePhone(address.phone, country);
+        if (phone) {
+            address.phone = phone;
+        } else {
+            errors.push({ field: 'phone', message: `Invalid phone number for ${rule.name}` });
+        }
+    }
+
+    return errors;
+};
+
+module.exports = {
+    fullMatch,
+    normalizePhone,
+    normalizePostalCode,
+    checkAddress
+};
@@ -0,0 +1,76 @@
+// Minimal RFC 4180 CSV reading and writing
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into an array of rows, each an array of cell strings.
+ * Handles quoted cells with commas, quotes and line breaks, CRLF line endings
+ * and a leading byte order mark. Blank lines are skipped.
+ */
+const parse = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = String(text).replace(/^\uFEFF/, '');
+
+    const endCell = () => {
+        row.push(cell);
+        cell = '';
+    };
+    const endRow = () => {
+        endCell();
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            endCell();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length) {
+        endRow();
+    }
+
+    return rows;
+};
+
+/**
+ * Format one row of values as a CSV line. Text that a spreadsheet would treat
+ * as a formula is prefixed with a quote; `unescapeCell` reverses it.
+ */
+const formatRow = (values) => values.map(value => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',');
+
+const unescapeCell = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+module.exports = { parse, formatRow, unescapeCell };
@@ -0,0 +1,72 @@
+const { CURRENCIES, baseCurrency } = require('../config/currencies');
+
+const scaleOf = (currency) => 10 ** CURRENCIES[currency].exponent;
+
+// Strip the binary floating point noise of a product like 19.99 * 100 before rounding
+const roundClean = (value, round = Math.round) => round(Number(value.toPrecision(15)));
+
+// 19.99 -> 1999 (in USD). Amounts with more decimals than the currency has
+// are rounded half up, or with `round` (e.g. Math.floor) when given.
+const toMinor = (amount, currency = baseCurrency(), round = Math.round) =>
+    roundClean(amount * scaleOf(currency), round);
+
+// 1999 -> 19.99 (in USD)
+const fromMinor = (minor, currency = baseCurrency()) => minor / scaleOf(currency);
+
+// `percent` per cent of an amount in minor units, rounded half up to a whole
+// minor unit: 10% of 1005 is 101, 10% of 999 (yen) is 100
+const percentOf = (minor, percent) => roundClean(minor * percent / 100);
+
+/**
+ * Convert an amount in minor units of the base currency to minor units of
+ * `currency` at `rate` (units of `currency` per unit of the base currency),
+ * rounding half up to the nearest minor unit.
+ */
+const convertMinor = (minor, currency, rate) =>
+    roundClean(minor * rate * scaleOf(currency) / scaleOf(baseCurrency()));
+
+/**
+ * Price in `currency`, in its minor units, of something costing `minor` in
+ * the base currency: its own price for that currency when `overrides` (a Map
+ * of currency -> minor units) has one, else the base price converted with
+ * `rates` (a Map of currency -> rate). null when the currency has neither.
+ */
+const priceIn = (minor, overrides, currency, rates) => {
+    if (minor == null || currency === baseCurrency()) {
+        return minor;
+    }
+    const own = overrides && overrides.get(currency);
+    if (own != null) {
+        return own;
+    }
+    return rates.has(currency) ? convertMinor(minor, currency, rates.get(currency)) : null;
+};
+
+// Price in every currency that has a rate or an override, base currency included
+const listPricesFor = (minor, overrides, rates) => {
+    const currencies = new Set([baseCurrency(), ...rates.keys(), ...(overrides ? overrides.keys() : [])]);
+    return new Map([...currencies]
+        .map(currency => [currency, priceIn(minor, overrides, currency, rates)])
+        .filter(([, price]) => price != null));
+};
+
+// { EUR: 1999 } -> { EUR: 19.99 } for per-currency price maps
+const mapFromMinor = (prices) => Object.fromEntries(
+    [...(prices || new Map())].map(([currency, minor]) => [currency, fromMinor(minor, currency)])
+);
+
+const mapToMinor = (prices) => new Map(
+    Object.entries(prices || {}).map(([currency, amount]) => [currency, toMinor(amount, currency)])
+);
+
+module.exports = {
+    roundClean,
+    toMinor,
+    fromMinor,
+    percentOf,
+    convertMinor,
+    priceIn,
+    listPricesFor,
+    mapFromMinor,
+    mapToMinor
+};
@@ -0,0 +1,47 @@
+// Words shorter than this are never corrected nor offered as corrections
+const MIN_CORRECTABLE_LENGTH = 3;
+
+// Lowercased, without accents and with single spaces: "Café  Noir" -> "cafe noir"
+const normalize = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Lowercased [token, word] pairs of a text. "T-Shirt" yields both the joined
+// token "tshirt" (spelled as "t-shirt") and its parts "t" and "shirt".
+const tokenize = (text) => {
+    const tokens = new Map();
+    for (const word of String(text || '').toLowerCase().split(/\s+/)) {
+        word.split(/[^a-z0-9]+/).filter(Boolean).forEach(part => tokens.set(part, part));
+        const joined = word.replace(/[^a-z0-9]/g, '');
+        if (joined && !tokens.has(joined)) tokens.set(joined, word.replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, ''));
+    }
+    return [...tokens];
+};
+
+// The token a vocabulary word is looked up by: "t-shirt" -> "tshirt"
+const tokenOf = (word) => word.replace(/[^a-z0-9]/g, '');
+
+// "Blue Cotton Shirt" -> ["blue cotton shirt", "cotton shirt", "shirt"], so
+// an anchored (and so index-backed) regex finds text by any word's prefix
+const wordSuffixes = (text) => {
+    const words = normalize(text).split(' ').filter(Boolean);
+    return words.map((_, index) => words.slice(index).join(' '));
+};
+
+// Words of the texts worth offering as typo corrections, each once
+const correctableWords = (...texts) => [...new Set(texts
+    .flatMap(text => tokenize(normalize(text)))
+    .filter(([token]) => token.length >= MIN_CORRECTABLE_LENGTH)
+    .map(([, word]) => word))];
+
+module.exports = {
+    MIN_CORRECTABLE_LENGTH,
+    normalize,
+    tokenize,
+    tokenOf,
+    wordSuffixes,
+    correctableWords
+};
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../index');
+const User = require('../src/models/User');
+const { parseLegacyAddress } = require('../src/services/addressService');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('address book', () => {
+    let users;
+    let user;
+    let headers;
+
+    const home = (fields = {}) => ({
+        recipient: 'Ada Lovelace',
+        line1: '12 Main St',
+        city: 'Springfield',
+        region: 'IL',
+        postalCode: '62704',
+        country: 'us',
+        phone: '(217) 555-0142',
+        ...fields
+    });
+
+    const addAddress = (body) => request(app).post('/api/users/me/addresses').set(headers).send(body);
+
+    beforeEach(async () => {
+        users = memoryDatabase().collection(User);
+        user = users.insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+        headers = await authHeader(user);
+    });
+
+    it('normalises an address that fits its country', async () => {
+        const { body } = await addAddress(home({ phone: '+1 217 555 0142' })).expect(201);
+
+        expect(body.data).toMatchObject({
+            country: 'US',
+            postalCode: '62704',
+            phone: '+12175550142',
+            isDefaultShipping: true,
+            isDefaultBilling: true
+        });
+    });
+
+    it.each([
+        [home({ postalCode: '6270' }), 'Invalid postal code for United States'],
+        [home({ region: undefined }), 'A region is required for United States'],
+        [home({ phone: '555-0142' }), 'Invalid phone number for United States'],
+        [home({ country: 'GB', region: undefined, postalCode: '62704', phone: '020 7946 0018' }), 'Invalid postal code for United Kingdom'],
+        [home({ country: 'ZZ' }), 'We do not ship to ZZ']
+    ])('refuses an address against its country rules (%#)', async (address, message) => {
+        const { body } = await addAddress(address).expect(400);
+
+        expect(body.message).toBe(message);
+        expect(users.get(user._id).addresses).toHaveLength(0);
+    });
+
+    it('applies the rules to edits as well', async () => {
+        const { body: added } = await addAddress(home()).expect(201);
+        const path = `/api/users/me/addresses/${added.data._id}`;
+
+        const { body } = await request(app).put(path).set(headers).send({ country: 'DE' }).expect(400);
+
+        expect(body.message).toBe('Invalid phone number for Germany');
+        expect(users.get(user._id).addresses[0].country).toBe('US');
+    });
+
+    it('keeps one default of each kind', async () => {
+        const { body: first } = await addAddress(home()).expect(201);
+        const { body: second } = await addAddress(home({ line1: '1 Office Park', isDefaultBilling: true })).expect(201);
+
+        const defaults = () => users.get(user._id).addresses.map(address => [address.isDefaultShipping, address.isDefaultBilling]);
+        expect(defaults()).toEqual([[true, false], [false, true]]);
+
+        await request(app).delete(`/api/users/me/addresses/${second.data._id}`).set(headers).expect(200);
+        expect(defaults()).toEqual([[true, true]]);
+        await request(app).delete(`/api/users/me/addresses/${first.data._id}`).set(headers).expect(200);
+        expect(defaults()).toEqual([]);
+    });
+
+    it('only reaches the caller\'s own addresses', async () => {
+        const other = users.insert({
+            name: 'Grace',
+            email: 'grace@example.com',
+            password: 'secret123',
+            addresses: [home({ recipient: 'Grace Hopper', country: 'US' })]
+        });
+        const theirs = other.addresses[0]._id;
+
+        await request(app).put(`/api/users/me/addresses/${theirs}`).set(headers).send({ city: 'Elsewhere' }).expect(404);
+        await request(app).delete(`/api/users/me/addresses/${theirs}`).set(headers).expect(404);
+        expect(users.get(other._id).addresses[0].city).toBe('Springfield');
+    });
+
+    it('needs a signed-in user', async () => {
+        await request(app).get('/api/users/me/addresses').expect(401);
+    });
+});
+
+describe('parseLegacyAddress', () => {
+    it('reads free text ending in the city and postal code', () => {
+        expect(parseLegacyAddress('Hauptstr. 5, 10115 Berlin', 'DE')).toEqual({
+            line1: 'Hauptstr. 5',
+            city: 'Berlin',
+            postalCode: '10115',
+            country: 'DE'
+        });
+        expect(parseLegacyAddress('12 Main St, Apt 4, Springfield, IL 62704, US', 'US')).toMatchObject({
+            line1: '12 Main St',
+            line2: 'Apt 4',
+            city: 'Springfield',
+            region: 'IL',
+            postalCode: '62704'
+        });
+    });
+
+    it('gives up on text that does not fit the country', () => {
+        expect(parseLegacyAddress('somewhere near the station', 'GB')).toBeNull();
+        expect(parseLegacyAddress('12 Main St, Springfield 1234', 'US')).toBeNull();
+    });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const app = require('../index');
+const Cart = require('../src/models/Cart');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('cart', () => {
+    let products;
+    let carts;
+    let user;
+    let headers;
+
+    const productData = (fields = {}) => ({
+        name: 'Cotton Tee',
+        description: 'A plain tee',
+        category: 'Unisex',
+        price: 10,
+        stock: 10,
+        ...fields
+    });
+
+    const addItem = (body) => request(app).post('/api/cart/items').set(headers).send(body);
+
+    beforeEach(async () => {
+        const db = memoryDatabase();
+        products = db.collection(Product);
+        carts = db.collection(Cart);
+        user = db.collection(User).insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+        headers = await authHeader(user);
+    });
+
+    describe('GET /api/cart', () => {
+        it('adds up the lines that can be bought', async () => {
+            const tee = products.insert(productData({ price: 19.99 }));
+            const cap = products.insert(productData({ name: 'Cap', price: 0.1 }));
+            const gone = products.insert(productData({ name: 'Scarf', isActive: false }));
+            const scarce = products.insert(productData({ name: 'Sock', stock: 1 }));
+            carts.insert({
+                user: user._id,
+                items: [
+                    { product: tee._id, quantity: 2 },
+                    { product: cap._id, quantity: 3 },
+                    { product: gone._id, quantity: 1 },
+                    { product: scarce._id, quantity: 2 }
+                ]
+            });
+
+            const { body } = await request(app).get('/api/cart').set(headers).expect(200);
+
+            expect(body.data.items.map(item => [item.available, item.subtotal]))
+                .toEqual([[true, 39.98], [true, 0.3], [false, 0], [false, 0]]);
+            expect(body.data.subtotal).toBe(40.28);
+            expect(body.data.itemCount).toBe(5);
+        });
+
+        it('flags lines whose product no longer exists', async () => {
+            const tee = products.insert(productData());
+            carts.insert({ user: user._id, items: [{ product: tee._id, quantity: 1 }] });
+            await Product.deleteOne({ _id: tee._id });
+
+            const { body } = await request(app).get('/api/cart').set(headers).expect(200);
+
+            expect(body.data.items[0]).toMatchObject({ product: null, available: false, subtotal: 0 });
+            expect(body.data.subtotal).toBe(0);
+        });
+
+        it('needs a signed-in user', async () => {
+            await request(app).get('/api/cart').expect(401);
+        });
+    });
+
+    describe('POST /api/cart/items', () => {
+        it('merges units of the same size and color into one line', async () => {
+            const tee = products.insert(productData({ sizes: ['S', 'M'] }));
+
+            await addItem({ productId: String(tee._id), size: 'S', quantity: 2 }).expect(201);
+            await addItem({ productId: String(tee._id), size: 'S', quantity: 1 }).expect(201);
+            const { body } = await addItem({ productId: String(tee._id), size: 'M' }).expect(201);
+
+            expect(body.data.items.map(item => [item.size, item.quantity])).toEqual([['S', 3], ['M', 1]]);
+            expect(body.data.subtotal).toBe(40);
+            expect(carts.all()).toHaveLength(1);
+        });
+
+        it('counts units already held on other lines against the stock', async () => {
+            const tee = products.insert(productData({ sizes: ['S', 'M'], stock: 3 }));
+            await addItem({ productId: String(tee._id), size: 'S', quantity: 2 }).expect(201);
+
+            const { body } = await addItem({ productId: String(tee._id), size: 'M', quantity: 2 }).expect(400);
+
+            expect(body.message).toBe('Only 3 unit(s) of Cotton Tee available');
+            expect(carts.all()[0].items).toHaveLength(1);
+        });
+
+        it('checks the size and color against the product', async () => {
+            const tee = products.insert(productData({ sizes: ['S', 'M'] }));
+
+            const { body } = await addItem({ productId: String(tee._id), size: 'L' }).expect(400);
+
+            expect(body.message).toBe('Size must be one of: S, M');
+        });
+
+        it('refuses products that are not for sale', async () => {
+            const tee = products.insert(productData({ isActive: false }));
+
+            await addItem({ productId: String(tee._id) }).expect(404);
+            expect(carts.all()).toHaveLength(0);
+        });
+    });
+
+    describe('PUT /api/cart/items/:itemId', () => {
+        it('changes the quantity within the stock', async () => {
+            const tee = products.insert(productData({ stock: 4 }));
+            const cart = carts.insert({ user: user._id, items: [{ product: tee._id, quantity: 1 }] });
+            const path = `/api/cart/items/${cart.items[0]._id}`;
+
+            const { body } = await request(app).put(path).set(headers).send({ quantity: 4 }).expect(200);
+            expect(body.data.subtotal).toBe(40);
+
+            await request(app).put(path).set(headers).send({ quantity: 5 }).expect(400);
+            expect(carts.all()[0].items[0].quantity).toBe(4);
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const request = require('supertest');
+const app = require('../index');
+const Cart = require('../src/models/Cart');
+const Coupon = require('../src/models/Coupon');
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const logger = require('../src/utils/logger');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('POST /api/orders/checkout', () => {
+    let db;
+    let products;
+    let carts;
+    let orders;
+    let user;
+    let headers;
+
+    const productData = (fields) => ({
+        description: 'For the tests',
+        category: 'Unisex',
+        price: 10,
+        stock: 10,
+        ...fields
+    });
+
+    const stockOf = (id) => products.get(id).stock;
+
+    const checkout = (as = headers) => request(app).post('/api/orders/checkout').set(as).send({});
+
+    const customer = async (name) => {
+        const someone = db.collection(User).insert({ name, email: `${name.toLowerCase()}@example.com`, password: 'secret123' });
+        return { user: someone, headers: await authHeader(someone) };
+    };
+
+    beforeEach(async () => {
+        db = memoryDatabase();
+        products = db.collection(Product);
+        carts = db.collection(Cart);
+        orders = db.collection(Order);
+        ({ user, headers } = await customer('Ada'));
+    });
+
+    it('takes the units out of stock, records the order and empties the cart', async () => {
+        const tee = products.insert(productData({ name: 'Tee', price: 0.1, stock: 5 }));
+        const hoodie = products.insert(productData({ name: 'Hoodie', price: 40.2, stock: 2 }));
+        carts.insert({
+            user: user._id,
+            items: [
+                { product: tee._id, quantity: 3 },
+                { product: hoodie._id, quantity: 2 }
+            ]
+        });
+
+        const { body } = await checkout().expect(201);
+
+        expect(body.data.items.map(item => [item.name, item.price, item.subtotal]))
+            .toEqual([['Tee', 0.1, 0.3], ['Hoodie', 40.2, 80.4]]);
+        expect(body.data.subtotal).toBe(80.7);
+        expect(stockOf(tee._id)).toBe(2);
+        expect(stockOf(hoodie._id)).toBe(0);
+        expect(orders.all()).toHaveLength(1);
+        expect(carts.all()[0].items).toHaveLength(0);
+    });
+
+    it('puts back the units it took when a later line is short of stock', async () => {
+        const tee = products.insert(productData({ name: 'Tee', stock: 5 }));
+        const cap = products.insert(productData({ name: 'Cap', stock: 1 }));
+        carts.insert({
+            user: user._id,
+            items: [
+                { product: tee._id, quantity: 2 },
+                { product: cap._id, quantity: 2 }
+            ]
+        });
+
+        const { body } = await checkout().expect(409);
+
+        expect(body.message).toBe('Only 1 unit(s) of Cap available');
+        expect(stockOf(tee._id)).toBe(5);
+        expect(stockOf(cap._id)).toBe(1);
+        expect(orders.all()).toHaveLength(0);
+        expect(carts.all()[0].items).toHaveLength(2);
+    });
+
+    it('sells the last unit only once when two customers check out together', async () => {
+        const cap = products.insert(productData({ name: 'Cap', stock: 1 }));
+        const other = await customer('Grace');
+        carts.insert({ user: user._id, items: [{ product: cap._id, quantity: 1 }] });
+        carts.insert({ user: other.user._id, items: [{ product: cap._id, quantity: 1 }] });
+
+        const responses = await Promise.all([checkout(), checkout(other.headers)]);
+
+        expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+        expect(stockOf(cap._id)).toBe(0);
+        expect(orders.all()).toHaveLength(1);
+    });
+
+    it('puts the stock back when the order cannot be saved', async () => {
+        const tee = products.insert(productData({ name: 'Tee', stock: 5 }));
+        carts.insert({ user: user._id, items: [{ product: tee._id, quantity: 2 }] });
+        jest.spyOn(Order, 'create').mockRejectedValue(new Error('write failed'));
+
+        await checkout().expect(500);
+
+        expect(stockOf(tee._id)).toBe(5);
+        expect(carts.all()[0].items).toHaveLength(1);
+    });
+
+    it('keeps the order when the cart cannot be cleared afterwards', async () => {
+        const tee = products.insert(productData({ name: 'Tee', stock: 5 }));
+        carts.insert({ user: user._id, items: [{ product: tee._id, quantity: 2 }] });
+        jest.spyOn(Cart.prototype, 'save').mockRejectedValue(new Error('write failed'));
+        const logError = jest.spyOn(logger, 'error');
+
+        await checkout().expect(201);
+
+        expect(stockOf(tee._id)).toBe(3);
+        expect(orders.all()).toHaveLength(1);
+        expect(logError).toHaveBeenCalledWith(expect.stringContaining('Could not clear the cart'), expect.any(Error));
+    });
+
+    describe('amounts', () => {
+        let baseCurrency;
+
+        beforeEach(() => {
+            baseCurrency = process.env.BASE_CURRENCY;
+            db.collection(Coupon).insert({ code: 'TENOFF', type: 'percentage', value: 10 });
+        });
+
+        afterEach(() => {
+            if (baseCurrency === undefined) {
+                delete process.env.BASE_CURRENCY;
+            } else {
+                process.env.BASE_CURRENCY = baseCurrency;
+            }
+        });
+
+        it('rounds a percentage discount to the cent and stores minor units', async () => {
+            const tee = products.insert(productData({ name: 'Tee', price: 10.05 }));
+            carts.insert({ user: user._id, items: [{ product: tee._id, quantity: 1 }], couponCode: 'TENOFF' });
+
+            const { body } = await checkout().expect(201);
+
+            expect(body.data).toMatchObject({ subtotal: 10.05, discount: 1.01, total: 9.04 });
+            expect(orders.raw()[0]).toMatchObject({
+                currency: 'USD',
+                subtotalMinor: 1005,
+                discountMinor: 101,
+                totalMinor: 904,
+                items: [expect.objectContaining({ priceMinor: 1005, subtotalMinor: 1005, discountMinor: 101 })]
+            });
+            expect(orders.raw()[0].total).toBeUndefined();
+        });
+
+        it('rounds to whole units of a currency without minor units', async () => {
+            process.env.BASE_CURRENCY = 'JPY';
+            const tee = products.insert(productData({ name: 'Tee', price: 999 }));
+            carts.insert({ user: user._id, items: [{ product: tee._id, quantity: 1 }], couponCode: 'TENOFF' });
+
+            const { body } = await checkout().expect(201);
+
+            expect(body.data).toMatchObject({ currency: 'JPY', subtotal: 999, discount: 100, total: 899 });
+            expect(orders.raw()[0]).toMatchObject({ subtotalMinor: 999, discountMinor: 100, totalMinor: 899 });
+        });
+    });
+
+    it('refuses an empty cart', async () => {
+        const { body } = await checkout().expect(400);
+
+        expect(body).toEqual({ success: false, message: 'Cart is empty' });
+    });
+});
@@ -0,0 +1,35 @@
+const request = require('supertest');
+const app = require('../index');
+const Coupon = require('../src/models/Coupon');
+const User = require('../src/models/User');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('GET /api/coupons', () => {
+    let headers;
+
+    const list = (query) => request(app).get('/api/coupons').set(headers).query(query);
+
+    beforeEach(async () => {
+        const db = memoryDatabase();
+        const admin = db.collection(User).insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        headers = await authHeader(admin);
+        const coupons = db.collection(Coupon);
+        ['SPRING10', 'SUMMER10', 'SUMMER20'].forEach(code => coupons.insert({ code, type: 'percentage', value: 10 }));
+    });
+
+    it('pages through the coupons matching the filters', async () => {
+        const { body } = await list({ code: 'summer', limit: 1, page: 2 }).expect(200);
+
+        expect(body.data).toHaveLength(1);
+        expect(body.pagination).toEqual({ total: 2, page: 2, pages: 2 });
+    });
+
+    it('refuses pages and filters that are out of bounds', async () => {
+        const { body } = await list({ limit: 1000 }).expect(400);
+        expect(body.message).toBe('"limit" must be less than or equal to 100');
+
+        await list({ page: 'last' }).expect(400);
+        await list({ code: '.*(a+)+$' }).expect(400);
+    });
+});
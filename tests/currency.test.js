@@ -0,0 +1,90 @@
+const request = require('supertest');
+const app = require('../index');
+const Category = require('../src/models/Category');
+const ExchangeRate = require('../src/models/ExchangeRate');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const { toMinor, fromMinor, percentOf, convertMinor } = require('../src/utils/money');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('money', () => {
+    it('turns amounts into whole minor units of their currency', () => {
+        expect(toMinor(19.99)).toBe(1999);
+        expect(toMinor(0.1 + 0.2)).toBe(30);
+        // 1.005 * 100 is 100.49999999999999 in floating point
+        expect(toMinor(1.005)).toBe(101);
+        expect(toMinor(999, 'JPY')).toBe(999);
+        expect(toMinor(99.9, 'JPY')).toBe(100);
+        expect(toMinor(12.349, 'EUR', Math.floor)).toBe(1234);
+        expect(fromMinor(1999)).toBe(19.99);
+        expect(fromMinor(999, 'JPY')).toBe(999);
+    });
+
+    it('takes percentages of minor units to the nearest whole unit', () => {
+        expect(percentOf(1005, 10)).toBe(101);
+        expect(percentOf(999, 10)).toBe(100);
+        expect(percentOf(1999, 8.25)).toBe(165);
+    });
+
+    it('converts between currencies with different exponents', () => {
+        expect(convertMinor(1999, 'EUR', 0.92)).toBe(1839);
+        expect(convertMinor(1999, 'JPY', 151.37)).toBe(3026);
+        expect(convertMinor(1, 'JPY', 151.37)).toBe(2);
+    });
+});
+
+describe('product prices', () => {
+    let products;
+    let headers;
+
+    beforeEach(async () => {
+        const db = memoryDatabase();
+        products = db.collection(Product);
+        db.collection(Category).insert({ name: 'Tops', slug: 'tops' });
+        db.collection(ExchangeRate).insert({ currency: 'EUR', rate: 0.92 });
+        db.collection(ExchangeRate).insert({ currency: 'JPY', rate: 151.37 });
+        const admin = db.collection(User).insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        headers = await authHeader(admin);
+    });
+
+    const createProduct = (fields = {}) => request(app)
+        .post('/api/products')
+        .set(headers)
+        .send({ name: 'Cotton Tee', description: 'A plain tee', category: 'tops', price: 19.99, stock: 5, ...fields })
+        .expect(201);
+
+    it('stores the price in minor units with a price for every currency', async () => {
+        const { body } = await createProduct({ currencyPrices: { EUR: 17.5 } });
+
+        expect(body.data).toMatchObject({ price: 19.99, currency: 'USD', currencyPrices: { EUR: 17.5 } });
+        expect(body.data.listPrices).toBeUndefined();
+        expect(products.raw()[0]).toMatchObject({
+            priceMinor: 1999,
+            priceOverrides: { EUR: 1750 },
+            listPrices: { USD: 1999, EUR: 1750, JPY: 3026 }
+        });
+    });
+
+    it('shows a product in the currency asked for', async () => {
+        const { body: created } = await createProduct();
+
+        const { body: yen } = await request(app).get(`/api/products/${created.data._id}?currency=jpy`).expect(200);
+        expect(yen.data).toMatchObject({ price: 3026, priceMinor: 3026, currency: 'JPY' });
+
+        const { body: euro } = await request(app).get(`/api/products/${created.data._id}?currency=EUR`).expect(200);
+        expect(euro.data).toMatchObject({ price: 18.39, currency: 'EUR' });
+
+        const { body } = await request(app).get(`/api/products/${created.data._id}?currency=GBP`).expect(400);
+        expect(body.message).toBe('Prices are not available in GBP');
+    });
+
+    it('filters listings on the price in their currency', async () => {
+        await createProduct({ name: 'Cheap Tee', price: 9.99 });
+        await createProduct({ name: 'Dear Tee', price: 19.99 });
+
+        const { body } = await request(app).get('/api/products?currency=EUR&minPrice=9.20&maxPrice=18.39').expect(200);
+
+        expect(body.data.map(product => [product.name, product.price])).toEqual([['Dear Tee', 18.39]]);
+    });
+});
@@ -0,0 +1,11 @@
+const { issueTokens } = require('../../src/services/tokenService');
+
+// The Authorization header of a signed-in `user`, from a session of their own
+const authHeader = async (user) => {
+    const { token } = await issueTokens(user);
+    return { Authorization: `Bearer ${token}` };
+};
+
+module.exports = {
+    authHeader
+};
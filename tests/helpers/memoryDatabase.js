@@ -0,0 +1,682 @@
+const mongoose = require('mongoose');
+
+/**
+ * The tests run without MongoDB. memoryDatabase() swaps the collection behind
+ * every registered model for an in-memory one that understands the filters,
+ * updates, unique indexes and aggregation stages the app uses. Mongoose itself
+ * (casting, validation, middleware, populate, versioning) runs as it would
+ * against a server, and every read hands out a copy, so a document loaded
+ * before someone else's write is stale just as it would be.
+ *
+ *   const db = memoryDatabase();
+ *   const products = db.collection(Product);
+ *   const tee = products.insert({ name: 'Tee', ... });   // no validation or hooks
+ *   products.get(tee._id).stock;
+ *
+ * Anything it does not support throws, rather than quietly matching nothing.
+ */
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' &&
+    !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value) && !Buffer.isBuffer(value);
+
+const isMissing = (value) => value === null || value === undefined;
+
+// Deep copy of a stored value; ObjectIds are immutable and shared
+const clone = (value) => {
+    if (value instanceof mongoose.Document) {
+        return clone(value.toObject({ depopulate: true, virtuals: false, getters: false, transform: false }));
+    }
+    if (Array.isArray(value)) {
+        return Array.from(value, clone);
+    }
+    // Stored as an embedded document, as the driver serialises a Map
+    if (value instanceof Map) {
+        return Object.fromEntries(Array.from(value, ([key, item]) => [key, clone(item)]));
+    }
+    if (value instanceof Date) {
+        return new Date(value);
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const sameValue = (a, b) => {
+    if (isMissing(a) || isMissing(b)) {
+        return isMissing(a) && isMissing(b);
+    }
+    if (isObjectId(a) || isObjectId(b)) {
+        return String(a) === String(b);
+    }
+    if (a instanceof Date || b instanceof Date) {
+        return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length &&
+            a.every((item, index) => sameValue(item, b[index]));
+    }
+    if (isPlainObject(a) || isPlainObject(b)) {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return isPlainObject(a) && isPlainObject(b) && [...keys].every(key => sameValue(a[key], b[key]));
+    }
+    return a === b;
+};
+
+// Sort order across types, close enough to MongoDB's for the app's fields
+const rank = (value) => {
+    if (isMissing(value)) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (isPlainObject(value)) return 3;
+    if (Array.isArray(value)) return 4;
+    if (isObjectId(value)) return 5;
+    if (typeof value === 'boolean') return 6;
+    return 7;
+};
+
+const compare = (a, b) => {
+    if (rank(a) !== rank(b)) {
+        return rank(a) - rank(b);
+    }
+    if (isMissing(a)) return 0;
+    if (isObjectId(a)) return String(a).localeCompare(String(b));
+    const left = a instanceof Date ? a.getTime() : a;
+    const right = b instanceof Date ? b.getTime() : b;
+    if (left < right) return -1;
+    return left > right ? 1 : 0;
+};
+
+// Values at a dotted path, descending into arrays on the way:
+// "items.product" on { items: [{ product: 1 }, { product: 2 }] } -> [1, 2]
+const valuesAt = (value, parts) => {
+    if (parts.length === 0) {
+        return [value];
+    }
+    const [head, ...rest] = parts;
+    if (Array.isArray(value)) {
+        if (/^\d+$/.test(head)) {
+            return valuesAt(value[Number(head)], rest);
+        }
+        return value.flatMap(item => valuesAt(item, parts));
+    }
+    if (!isPlainObject(value)) {
+        return [undefined];
+    }
+    return valuesAt(value[head], rest);
+};
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => (isMissing(value) ? undefined : value[key]), doc);
+
+const toRegExp = (pattern, options) => (pattern instanceof RegExp ? pattern : new RegExp(pattern, options));
+
+// Does one candidate value (or, for arrays, one of its elements) equal `expected`?
+const equalsOrContains = (value, expected) => sameValue(value, expected) ||
+    (Array.isArray(value) && value.some(item => sameValue(item, expected)));
+
+const matchesValue = (value, expected) => {
+    if (expected instanceof RegExp) {
+        return [value].flat().some(item => typeof item === 'string' && expected.test(item));
+    }
+    return equalsOrContains(value, expected);
+};
+
+const OPERATORS = {
+    $eq: (values, expected) => values.some(value => matchesValue(value, expected)),
+    $ne: (values, expected) => !values.some(value => matchesValue(value, expected)),
+    $in: (values, list) => list.some(expected => values.some(value => matchesValue(value, expected))),
+    $nin: (values, list) => !list.some(expected => values.some(value => matchesValue(value, expected))),
+    $exists: (values, exists) => values.some(value => value !== undefined) === Boolean(exists),
+    $gt: (values, bound) => values.flat().some(value => !isMissing(value) && rank(value) === rank(bound) && compare(value, bound) > 0),
+    $gte: (values, bound) => values.flat().some(value => !isMissing(value) && rank(value) === rank(bound) && compare(value, bound) >= 0),
+    $lt: (values, bound) => values.flat().some(value => !isMissing(value) && rank(value) === rank(bound) && compare(value, bound) < 0),
+    $lte: (values, bound) => values.flat().some(value => !isMissing(value) && rank(value) === rank(bound) && compare(value, bound) <= 0),
+    $size: (values, size) => values.some(value => Array.isArray(value) && value.length === size),
+    $all: (values, list) => list.every(expected => values.some(value => matchesValue(value, expected))),
+    $elemMatch: (values, filter) => values.some(value => Array.isArray(value) && value.some(item => (isPlainObject(item)
+        ? matches(item, filter)
+        : matchesCondition([item], filter)))),
+    $not: (values, condition) => !matchesCondition(values, condition)
+};
+
+const isOperatorObject = (condition) => isPlainObject(condition) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+const matchesCondition = (values, condition) => {
+    if (isOperatorObject(condition)) {
+        return Object.entries(condition).every(([operator, operand]) => {
+            if (operator === '$regex') {
+                const pattern = toRegExp(operand, condition.$options);
+                return values.some(value => matchesValue(value, pattern));
+            }
+            if (operator === '$options') {
+                return true;
+            }
+            if (!OPERATORS[operator]) {
+                throw new Error(`memoryDatabase: unsupported query operator ${operator}`);
+            }
+            return OPERATORS[operator](values, operand);
+        });
+    }
+    return OPERATORS.$eq(values, condition);
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([path, condition]) => {
+    if (path === '$or') {
+        return condition.some(part => matches(doc, part));
+    }
+    if (path === '$and') {
+        return condition.every(part => matches(doc, part));
+    }
+    if (path === '$nor') {
+        return !condition.some(part => matches(doc, part));
+    }
+    if (path.startsWith('$')) {
+        throw new Error(`memoryDatabase: unsupported query operator ${path}`);
+    }
+    return matchesCondition(valuesAt(doc, path.split('.')), condition);
+});
+
+const setAt = (doc, path, value) => {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, key) => {
+        if (isMissing(node[key])) {
+            node[key] = {};
+        }
+        return node[key];
+    }, doc);
+    parent[last] = value;
+};
+
+const unsetAt = (doc, path) => {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = valueAt(doc, parts.join('.')) || (parts.length ? undefined : doc);
+    if (parent && typeof parent === 'object') {
+        delete parent[last];
+    }
+};
+
+// "items.$.stock" -> "items.2.stock", after the element the filter matched;
+// "items.$[].stock" -> one path per element
+const resolvePaths = (doc, filter, path) => {
+    if (path.includes('.$[].')) {
+        const [arrayPath, rest] = path.split('.$[].');
+        return (valueAt(doc, arrayPath) || []).flatMap((_, index) => resolvePaths(doc, filter, `${arrayPath}.${index}.${rest}`));
+    }
+    const marker = path.indexOf('.$');
+    if (marker === -1 || !['.', undefined].includes(path[marker + 2])) {
+        return [path];
+    }
+    const arrayPath = path.slice(0, marker);
+    const array = valueAt(doc, arrayPath) || [];
+    const index = array.findIndex(item => Object.entries(filter).some(([key, condition]) => {
+        if (key === arrayPath) {
+            return isOperatorObject(condition) && condition.$elemMatch
+                ? matches(item, condition.$elemMatch)
+                : matchesCondition([item], condition);
+        }
+        return key.startsWith(`${arrayPath}.`) &&
+            matchesCondition(valuesAt(item, key.slice(arrayPath.length + 1).split('.')), condition);
+    }));
+    if (index === -1) {
+        throw new Error(`memoryDatabase: the filter matched no element of ${arrayPath} for ${path}`);
+    }
+    return [path.replace(/\.\$(?=\.|$)/, `.${index}`)];
+};
+
+const pullMatches = (item, condition) => (isPlainObject(item) && isPlainObject(condition) && !isOperatorObject(condition)
+    ? matches(item, condition)
+    : matchesCondition([item], condition));
+
+const UPDATES = {
+    $set: (doc, path, value) => setAt(doc, path, clone(value)),
+    $unset: (doc, path) => unsetAt(doc, path),
+    $inc: (doc, path, by) => setAt(doc, path, (valueAt(doc, path) || 0) + by),
+    $min: (doc, path, value) => {
+        const current = valueAt(doc, path);
+        if (isMissing(current) || compare(value, current) < 0) setAt(doc, path, clone(value));
+    },
+    $max: (doc, path, value) => {
+        const current = valueAt(doc, path);
+        if (isMissing(current) || compare(value, current) > 0) setAt(doc, path, clone(value));
+    },
+    $push: (doc, path, value) => {
+        const array = valueAt(doc, path) || [];
+        const each = isPlainObject(value) && '$each' in value ? value.$each : [value];
+        const position = isPlainObject(value) && '$position' in value ? value.$position : array.length;
+        let next = [...array.slice(0, position), ...clone(each), ...array.slice(position)];
+        if (isPlainObject(value) && '$slice' in value) {
+            next = value.$slice < 0 ? next.slice(value.$slice) : next.slice(0, value.$slice);
+        }
+        setAt(doc, path, next);
+    },
+    $addToSet: (doc, path, value) => {
+        const array = valueAt(doc, path) || [];
+        const each = isPlainObject(value) && '$each' in value ? value.$each : [value];
+        each.forEach(item => {
+            if (!array.some(existing => sameValue(existing, item))) {
+                array.push(clone(item));
+            }
+        });
+        setAt(doc, path, array);
+    },
+    $pull: (doc, path, condition) => {
+        const array = valueAt(doc, path);
+        if (Array.isArray(array)) {
+            setAt(doc, path, array.filter(item => !pullMatches(item, condition)));
+        }
+    },
+    $pullAll: (doc, path, values) => {
+        const array = valueAt(doc, path);
+        if (Array.isArray(array)) {
+            setAt(doc, path, array.filter(item => !values.some(value => sameValue(item, value))));
+        }
+    }
+};
+
+const applyUpdate = (doc, update, filter, { inserting = false } = {}) => {
+    const next = clone(doc);
+    if (Array.isArray(update)) {
+        throw new Error('memoryDatabase: update pipelines are not supported');
+    }
+    const operators = Object.keys(update);
+    if (!operators.every(key => key.startsWith('$'))) {
+        // A replacement document
+        return { _id: doc._id, ...clone(update) };
+    }
+    for (const [operator, fields] of Object.entries(update)) {
+        if (operator === '$setOnInsert') {
+            if (inserting) {
+                Object.entries(fields).forEach(([path, value]) => setAt(next, path, clone(value)));
+            }
+            continue;
+        }
+        if (!UPDATES[operator]) {
+            throw new Error(`memoryDatabase: unsupported update operator ${operator}`);
+        }
+        for (const [path, value] of Object.entries(fields)) {
+            resolvePaths(next, filter, path).forEach(resolved => UPDATES[operator](next, resolved, value));
+        }
+    }
+    return next;
+};
+
+// The equality conditions of a filter, as the starting point of an upsert
+const seedFrom = (filter) => {
+    const doc = {};
+    Object.entries(filter).forEach(([path, condition]) => {
+        if (!path.startsWith('$') && !isOperatorObject(condition)) {
+            setAt(doc, path, clone(condition));
+        } else if (isOperatorObject(condition) && '$eq' in condition) {
+            setAt(doc, path, clone(condition.$eq));
+        }
+    });
+    return doc;
+};
+
+const project = (doc, projection) => {
+    const entries = Object.entries(projection || {}).filter(([, value]) => value === 0 || value === 1 || value === true || value === false);
+    if (entries.length === 0) {
+        return doc;
+    }
+    const inclusive = entries.some(([path, value]) => path !== '_id' && (value === 1 || value === true));
+    if (!inclusive) {
+        const copy = clone(doc);
+        entries.forEach(([path]) => unsetAt(copy, path));
+        return copy;
+    }
+    const copy = {};
+    if (!entries.some(([path, value]) => path === '_id' && !value)) {
+        copy._id = doc._id;
+    }
+    entries.filter(([path, value]) => path !== '_id' && value).forEach(([path]) => {
+        const value = valueAt(doc, path);
+        if (value !== undefined) {
+            setAt(copy, path, clone(value));
+        }
+    });
+    return copy;
+};
+
+const sortRows = (rows, sort) => {
+    const keys = sort instanceof Map ? [...sort] : Array.isArray(sort) ? sort : Object.entries(sort || {});
+    if (keys.length === 0) {
+        return rows;
+    }
+    return [...rows].sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const order = compare(valueAt(a, path), valueAt(b, path));
+            if (order !== 0) {
+                return (direction === -1 || direction === 'desc' || direction === 'descending') ? -order : order;
+            }
+        }
+        return 0;
+    });
+};
+
+// Values of an aggregation expression: "$field", literals and a few operators
+const evaluate = (doc, expression) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return valueAt(doc, expression.slice(1));
+    }
+    if (isOperatorObject(expression)) {
+        const [[operator, operand]] = Object.entries(expression);
+        const args = [operand].flat().map(arg => evaluate(doc, arg));
+        switch (operator) {
+        case '$add': return args.reduce((sum, value) => sum + (value || 0), 0);
+        case '$subtract': return args[0] - args[1];
+        case '$multiply': return args.reduce((product, value) => product * value, 1);
+        case '$eq': return sameValue(args[0], args[1]);
+        case '$ifNull': return isMissing(args[0]) ? args[1] : args[0];
+        case '$cond': {
+            const [test, then, otherwise] = Array.isArray(operand)
+                ? operand
+                : [operand.if, operand.then, operand.else];
+            return evaluate(doc, test) ? evaluate(doc, then) : evaluate(doc, otherwise);
+        }
+        default: throw new Error(`memoryDatabase: unsupported expression ${operator}`);
+        }
+    }
+    if (isPlainObject(expression)) {
+        return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+    }
+    return expression;
+};
+
+const ACCUMULATORS = {
+    $sum: (docs, expression) => docs.reduce((sum, doc) => {
+        const value = evaluate(doc, expression);
+        return sum + (typeof value === 'number' ? value : 0);
+    }, 0),
+    $avg: (docs, expression) => {
+        const values = docs.map(doc => evaluate(doc, expression)).filter(value => typeof value === 'number');
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    },
+    $min: (docs, expression) => docs.map(doc => evaluate(doc, expression)).filter(value => !isMissing(value))
+        .reduce((min, value) => (min === null || compare(value, min) < 0 ? value : min), null),
+    $max: (docs, expression) => docs.map(doc => evaluate(doc, expression)).filter(value => !isMissing(value))
+        .reduce((max, value) => (max === null || compare(value, max) > 0 ? value : max), null),
+    $first: (docs, expression) => (docs.length ? evaluate(docs[0], expression) : null),
+    $last: (docs, expression) => (docs.length ? evaluate(docs[docs.length - 1], expression) : null),
+    $push: (docs, expression) => docs.map(doc => evaluate(doc, expression)),
+    $addToSet: (docs, expression) => docs.map(doc => evaluate(doc, expression))
+        .filter((value, index, all) => all.findIndex(other => sameValue(other, value)) === index)
+};
+
+const STAGES = {
+    $match: (rows, filter) => rows.filter(row => matches(row, filter)),
+    $sort: (rows, sort) => sortRows(rows, sort),
+    $skip: (rows, count) => rows.slice(count),
+    $limit: (rows, count) => rows.slice(0, count),
+    $count: (rows, field) => (rows.length ? [{ [field]: rows.length }] : []),
+    $project: (rows, projection) => rows.map(row => {
+        const plain = Object.entries(projection).every(([, value]) => [0, 1, true, false].includes(value));
+        if (plain) {
+            return project(row, projection);
+        }
+        const result = projection._id === 0 ? {} : { _id: row._id };
+        Object.entries(projection).filter(([key]) => key !== '_id').forEach(([key, value]) => {
+            setAt(result, key, [1, true].includes(value) ? clone(valueAt(row, key)) : evaluate(row, value));
+        });
+        return result;
+    }),
+    $addFields: (rows, fields) => rows.map(row => {
+        const result = clone(row);
+        Object.entries(fields).forEach(([key, value]) => setAt(result, key, evaluate(row, value)));
+        return result;
+    }),
+    $unwind: (rows, spec) => {
+        const path = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        const keepEmpty = typeof spec === 'object' && spec.preserveNullAndEmptyArrays;
+        return rows.flatMap(row => {
+            const value = valueAt(row, path);
+            if (!Array.isArray(value) || value.length === 0) {
+                return keepEmpty || (!isMissing(value) && !Array.isArray(value)) ? [row] : [];
+            }
+            return value.map(item => {
+                const result = clone(row);
+                setAt(result, path, clone(item));
+                return result;
+            });
+        });
+    },
+    $group: (rows, { _id: key, ...fields }) => {
+        const groups = [];
+        rows.forEach(row => {
+            const id = evaluate(row, key);
+            const group = groups.find(candidate => sameValue(candidate.id, id));
+            if (group) {
+                group.rows.push(row);
+            } else {
+                groups.push({ id: isMissing(id) ? null : id, rows: [row] });
+            }
+        });
+        return groups.map(({ id, rows: members }) => ({
+            _id: id,
+            ...Object.fromEntries(Object.entries(fields).map(([field, accumulator]) => {
+                const [[name, expression]] = Object.entries(accumulator);
+                if (!ACCUMULATORS[name]) {
+                    throw new Error(`memoryDatabase: unsupported accumulator ${name}`);
+                }
+                return [field, ACCUMULATORS[name](members, expression)];
+            }))
+        }));
+    },
+    $facet: (rows, facets) => [Object.fromEntries(Object.entries(facets)
+        .map(([name, pipeline]) => [name, runPipeline(rows, pipeline)]))]
+};
+
+const runPipeline = (rows, pipeline) => pipeline.reduce((current, stage) => {
+    const [[name, spec]] = Object.entries(stage);
+    if (!STAGES[name]) {
+        throw new Error(`memoryDatabase: unsupported aggregation stage ${name}`);
+    }
+    return STAGES[name](current, spec);
+}, rows);
+
+const duplicateKeyError = (name, keys) => {
+    const error = new Error(`E11000 duplicate key error collection: ${name} index: ${Object.keys(keys).join('_')}`);
+    error.name = 'MongoServerError';
+    error.code = 11000;
+    error.keyPattern = keys;
+    return error;
+};
+
+const cursorOf = (rows) => ({
+    toArray: async () => rows,
+    close: async () => {}
+});
+
+// An in-memory stand-in for the driver collection behind `Model`
+const memoryCollection = (Model) => {
+    let rows = [];
+    const uniqueIndexes = Model.schema.indexes()
+        .filter(([, options]) => options && options.unique)
+        .map(([keys, options]) => ({ keys, partial: options.partialFilterExpression }));
+
+    const checkUnique = (candidate, replacing) => {
+        for (const { keys, partial } of uniqueIndexes) {
+            if (partial && !matches(candidate, partial)) {
+                continue;
+            }
+            const values = Object.keys(keys).map(path => valueAt(candidate, path));
+            if (values.some(isMissing)) {
+                continue;
+            }
+            const clash = rows.some(row => row !== replacing && (!partial || matches(row, partial)) &&
+                Object.keys(keys).every((path, index) => sameValue(valueAt(row, path), values[index])));
+            if (clash) {
+                throw duplicateKeyError(Model.collection.collectionName, keys);
+            }
+        }
+    };
+
+    const insert = (doc) => {
+        const row = clone(doc);
+        if (isMissing(row._id)) {
+            row._id = new mongoose.Types.ObjectId();
+        }
+        checkUnique(row, null);
+        rows.push(row);
+        return row;
+    };
+
+    const replace = (row, next) => {
+        checkUnique(next, row);
+        rows[rows.indexOf(row)] = next;
+        return next;
+    };
+
+    const select = (filter, options = {}) => {
+        let found = sortRows(rows.filter(row => matches(row, filter)), options.sort);
+        if (options.skip) {
+            found = found.slice(options.skip);
+        }
+        if (options.limit) {
+            found = found.slice(0, options.limit);
+        }
+        return found;
+    };
+
+    const updateRows = (filter, update, options, many) => {
+        const targets = many ? select(filter) : select(filter, { sort: options.sort }).slice(0, 1);
+        targets.forEach(row => replace(row, applyUpdate(row, update, filter)));
+        let upserted = null;
+        if (targets.length === 0 && options.upsert) {
+            upserted = insert(applyUpdate(seedFrom(filter), update, filter, { inserting: true }));
+        }
+        return { targets, upserted };
+    };
+
+    const methods = {
+        find: (filter, options = {}) => cursorOf(select(filter, options).map(row => project(clone(row), options.projection))),
+        findOne: async (filter, options = {}) => {
+            const [row] = select(filter, { ...options, limit: 1 });
+            return row ? project(clone(row), options.projection) : null;
+        },
+        countDocuments: async (filter) => select(filter).length,
+        estimatedDocumentCount: async () => rows.length,
+        distinct: async (path, filter) => select(filter).flatMap(row => valuesAt(row, path.split('.')).flat())
+            .filter(value => !isMissing(value))
+            .filter((value, index, all) => all.findIndex(other => sameValue(other, value)) === index),
+        insertOne: async (doc) => ({ acknowledged: true, insertedId: insert(doc)._id }),
+        insertMany: async (docs) => {
+            const inserted = docs.map(insert);
+            return {
+                acknowledged: true,
+                insertedCount: inserted.length,
+                insertedIds: Object.fromEntries(inserted.map((row, index) => [index, row._id]))
+            };
+        },
+        updateOne: async (filter, update, options = {}) => {
+            const { targets, upserted } = updateRows(filter, update, options, false);
+            return {
+                acknowledged: true,
+                matchedCount: targets.length,
+                modifiedCount: targets.length,
+                upsertedCount: upserted ? 1 : 0,
+                upsertedId: upserted ? upserted._id : null
+            };
+        },
+        updateMany: async (filter, update, options = {}) => {
+            const { targets, upserted } = updateRows(filter, update, options, true);
+            return {
+                acknowledged: true,
+                matchedCount: targets.length,
+                modifiedCount: targets.length,
+                upsertedCount: upserted ? 1 : 0,
+                upsertedId: upserted ? upserted._id : null
+            };
+        },
+        findOneAndUpdate: async (filter, update, options = {}) => {
+            const [before] = select(filter, { sort: options.sort });
+            const { upserted } = updateRows(filter, update, options, false);
+            const after = before ? rows.find(row => row._id === before._id || sameValue(row._id, before._id)) : upserted;
+            const chosen = options.returnDocument === 'after' ? after : before;
+            const value = chosen ? project(clone(chosen), options.projection) : null;
+            return options.includeResultMetadata
+                ? { value, ok: 1, lastErrorObject: { n: after ? 1 : 0, updatedExisting: Boolean(before) } }
+                : value;
+        },
+        findOneAndDelete: async (filter, options = {}) => {
+            const [row] = select(filter, { sort: options.sort });
+            rows = rows.filter(other => other !== row);
+            const value = row ? project(clone(row), options.projection) : null;
+            return options.includeResultMetadata ? { value, ok: 1 } : value;
+        },
+        deleteOne: async (filter) => {
+            const [row] = select(filter);
+            rows = rows.filter(other => other !== row);
+            return { acknowledged: true, deletedCount: row ? 1 : 0 };
+        },
+        deleteMany: async (filter) => {
+            const doomed = select(filter);
+            rows = rows.filter(row => !doomed.includes(row));
+            return { acknowledged: true, deletedCount: doomed.length };
+        },
+        aggregate: (pipeline) => cursorOf(clone(runPipeline(rows, pipeline))),
+        bulkWrite: async (operations) => {
+            let modifiedCount = 0;
+            for (const operation of operations) {
+                const [[type, spec]] = Object.entries(operation);
+                if (type === 'insertOne') {
+                    insert(spec.document);
+                } else if (type === 'updateOne' || type === 'updateMany') {
+                    modifiedCount += updateRows(spec.filter, spec.update, spec, type === 'updateMany').targets.length;
+                } else if (type === 'deleteOne' || type === 'deleteMany') {
+                    const doomed = select(spec.filter).slice(0, type === 'deleteOne' ? 1 : undefined);
+                    rows = rows.filter(row => !doomed.includes(row));
+                } else {
+                    throw new Error(`memoryDatabase: unsupported bulk operation ${type}`);
+                }
+            }
+            return { ok: 1, modifiedCount };
+        }
+    };
+
+    Object.entries(methods).forEach(([name, implementation]) => {
+        jest.spyOn(Model.collection, name).mockImplementation(implementation);
+    });
+
+    const hydrate = (row) => row && Model.hydrate(clone(row));
+
+    return {
+        // Store a document without validation or middleware, as a fixture
+        insert: (data) => {
+            const doc = new Model(data);
+            const raw = doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+            const versionKey = Model.schema.options.versionKey;
+            if (versionKey && raw[versionKey] === undefined) {
+                raw[versionKey] = 0;
+            }
+            if (Model.schema.options.timestamps) {
+                raw.createdAt = raw.createdAt || new Date();
+                raw.updatedAt = raw.updatedAt || raw.createdAt;
+            }
+            return hydrate(insert(raw));
+        },
+        all: () => rows.map(hydrate),
+        find: (filter) => select(filter).map(hydrate),
+        get: (id) => hydrate(rows.find(row => sameValue(row._id, id))),
+        // The stored documents as MongoDB holds them
+        raw: () => clone(rows)
+    };
+};
+
+const memoryDatabase = () => {
+    const collections = new Map(Object.values(mongoose.models)
+        .map(Model => [Model.collection.collectionName, memoryCollection(Model)]));
+
+    return {
+        collection: (Model) => collections.get(Model.collection.collectionName)
+    };
+};
+
+module.exports = {
+    memoryDatabase,
+    matches
+};
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const app = require('../index');
+const Cart = require('../src/models/Cart');
+const InventoryMovement = require('../src/models/InventoryMovement');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const { inventoryEvents } = require('../src/services/inventoryService');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('inventory', () => {
+    let db;
+    let products;
+    let movements;
+    let admin;
+    let headers;
+    let tee;
+
+    const adjust = (body, product = tee) => request(app)
+        .post(`/api/products/${product._id}/inventory`)
+        .set(headers)
+        .send(body);
+
+    beforeEach(async () => {
+        db = memoryDatabase();
+        products = db.collection(Product);
+        movements = db.collection(InventoryMovement);
+        admin = db.collection(User).insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        headers = await authHeader(admin);
+        tee = products.insert({
+            name: 'Cotton Tee',
+            description: 'A plain tee',
+            category: 'tops',
+            price: 10,
+            lowStockThreshold: 2,
+            variants: [
+                { size: 'S', color: 'Black', sku: 'TEE-S-BLK', stock: 3 },
+                { size: 'M', color: 'Black', sku: 'TEE-M-BLK', stock: 5 }
+            ],
+            stock: 8
+        });
+    });
+
+    it('restocks a variant and records the movement with the new balance', async () => {
+        const { body } = await adjust({ type: 'restock', size: 'S', color: 'Black', quantity: 4, reason: 'Delivery' }).expect(201);
+
+        expect(body.data).toMatchObject({ sku: 'TEE-S-BLK', stock: 7 });
+        expect(products.get(tee._id).stock).toBe(12);
+        expect(movements.all()).toMatchObject([
+            { type: 'restock', sku: 'TEE-S-BLK', quantity: 4, balance: 7, reason: 'Delivery', actor: admin._id }
+        ]);
+    });
+
+    it('refuses to take stock below zero', async () => {
+        const { body } = await adjust({ type: 'adjustment', size: 'S', color: 'Black', quantity: -4, reason: 'Damaged' }).expect(409);
+
+        expect(body.message).toBe('Only 3 unit(s) in stock');
+        expect(products.get(tee._id).variants[0].stock).toBe(3);
+        expect(movements.all()).toHaveLength(0);
+    });
+
+    it('checks the movement and the variant', async () => {
+        const { body } = await adjust({ type: 'restock', size: 'S', color: 'Black', quantity: -1, reason: 'Oops' }).expect(400);
+        expect(body.message).toBe('"quantity" must be greater than or equal to 1');
+
+        await adjust({ type: 'restock', size: 'XL', color: 'Black', quantity: 1, reason: 'Delivery' }).expect(404);
+    });
+
+    it('needs the inventory permission', async () => {
+        const customer = db.collection(User).insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+        headers = await authHeader(customer);
+
+        await adjust({ type: 'restock', size: 'S', color: 'Black', quantity: 1, reason: 'Delivery' }).expect(403);
+    });
+
+    it('alerts once when an item drops to its threshold', async () => {
+        const alerts = [];
+        const listener = alert => alerts.push(alert);
+        inventoryEvents.on('low-stock', listener);
+
+        try {
+            await adjust({ type: 'adjustment', size: 'M', color: 'Black', quantity: -2, reason: 'Count' }).expect(201);
+            await adjust({ type: 'adjustment', size: 'M', color: 'Black', quantity: -2, reason: 'Count' }).expect(201);
+            await adjust({ type: 'adjustment', size: 'M', color: 'Black', quantity: -1, reason: 'Count' }).expect(201);
+        } finally {
+            inventoryEvents.off('low-stock', listener);
+        }
+
+        expect(alerts).toEqual([expect.objectContaining({ sku: 'TEE-M-BLK', stock: 1, threshold: 2 })]);
+    });
+
+    it('records checkouts as sales of the order', async () => {
+        const customer = db.collection(User).insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+        db.collection(Cart).insert({
+            user: customer._id,
+            items: [{ product: tee._id, size: 'M', color: 'Black', quantity: 2 }]
+        });
+
+        const { body } = await request(app)
+            .post('/api/orders/checkout')
+            .set(await authHeader(customer))
+            .send({})
+            .expect(201);
+
+        expect(movements.all()).toMatchObject([
+            { type: 'sale', sku: 'TEE-M-BLK', quantity: -2, balance: 3, order: expect.anything() }
+        ]);
+        expect(String(movements.all()[0].order)).toBe(body.data._id);
+
+        const { body: history } = await request(app).get(`/api/products/${tee._id}/inventory?type=sale`).set(headers).expect(200);
+        expect(history.data.map(movement => movement.quantity)).toEqual([-2]);
+    });
+
+    it('adjusts the stock of products taken off sale', async () => {
+        await Product.updateOne({ _id: tee._id }, { isActive: false });
+
+        const { body } = await adjust({ type: 'restock', size: 'S', color: 'Black', quantity: 2, reason: 'Delivery' }).expect(201);
+
+        expect(body.data.stock).toBe(5);
+        expect(movements.all()).toHaveLength(1);
+    });
+
+    describe('product edits', () => {
+        const edit = (body) => request(app).put(`/api/products/${tee._id}`).set(headers).send(body);
+
+        it('leave stock to inventory adjustments', async () => {
+            const { body } = await edit({ stock: 20 }).expect(400);
+            expect(body.message).toBe('Stock is changed through inventory adjustments, not product edits');
+
+            await edit({ variants: [{ size: 'S', color: 'Black', stock: 20 }] }).expect(400);
+            expect(products.get(tee._id).stock).toBe(8);
+        });
+
+        it('keep the stock of the variants they rework', async () => {
+            const { body } = await edit({
+                variants: [
+                    { size: 'S', color: 'Black', sku: 'TEE-S-BLK', price: 12 },
+                    { size: 'L', color: 'Black', sku: 'TEE-L-BLK' }
+                ]
+            }).expect(200);
+
+            expect(body.data.variants.map(variant => [variant.size, variant.stock])).toEqual([['S', 3], ['L', 0]]);
+            expect(products.get(tee._id).stock).toBe(3);
+            expect(movements.all()).toMatchObject([{ sku: 'TEE-M-BLK', quantity: -5, balance: 0, reason: 'Product edited' }]);
+        });
+
+        it('fail rather than overwrite a sale made while they were saved', async () => {
+            const save = Product.prototype.save;
+            jest.spyOn(Product.prototype, 'save').mockImplementationOnce(async function (...args) {
+                await Product.updateOne({ _id: tee._id }, { $inc: { stock: -1, 'variants.0.stock': -1 } });
+                return save.apply(this, args);
+            });
+
+            const { body } = await edit({ variants: [{ size: 'S', color: 'Black', sku: 'TEE-S-BLK', price: 12 }] }).expect(409);
+
+            expect(body.message).toBe('Stock changed while the product was being edited, please try again');
+            expect(products.get(tee._id).variants.map(variant => variant.stock)).toEqual([2, 5]);
+            expect(movements.all()).toHaveLength(0);
+        });
+
+        it('save other changes without touching stock', async () => {
+            await Product.updateOne({ _id: tee._id }, { $inc: { stock: -1, 'variants.0.stock': -1 } });
+
+            await edit({ name: 'Organic Tee' }).expect(200);
+
+            expect(products.get(tee._id)).toMatchObject({ name: 'Organic Tee', stock: 7 });
+        });
+    });
+});
@@ -0,0 +1,247 @@
+const request = require('supertest');
+const app = require('../index');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const Product = require('../src/models/Product');
+const User = require('../src/models/User');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const logger = require('../src/utils/logger');
+const payments = require('../src/services/paymentService');
+const { createMockProvider, MOCK_DECLINED_METHOD } = require('../src/services/mockPaymentProvider');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('payments', () => {
+    let db;
+    let orders;
+    let paymentStore;
+    let products;
+    let events;
+    let user;
+    let headers;
+    let order;
+    let tee;
+
+    const post = (path, body) => request(app)
+        .post(`/api/payments${path}`)
+        .set(headers)
+        .send(body);
+
+    const openPayment = async () => (await post('/', { orderId: String(order._id) }).expect(201)).body.data;
+
+    const confirm = (payment, paymentMethod = 'mock_card_visa') => post(`/${payment._id}/confirm`, { paymentMethod });
+
+    const webhook = (event, provider = payments.getProvider()) => {
+        const signed = provider.signWebhook(event);
+        return request(app).post('/api/payments/webhook').set(signed.headers).send(signed.body);
+    };
+
+    beforeEach(async () => {
+        db = memoryDatabase();
+        orders = db.collection(Order);
+        paymentStore = db.collection(Payment);
+        products = db.collection(Product);
+        events = db.collection(WebhookEvent);
+        user = db.collection(User).insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+        headers = await authHeader(user);
+
+        tee = products.insert({ name: 'Tee', description: 'A tee', category: 'tops', price: 12.75, stock: 8 });
+        order = orders.insert({
+            user: user._id,
+            items: [{ product: tee._id, name: 'Tee', priceMinor: 1275, quantity: 2, subtotalMinor: 2550 }],
+            subtotalMinor: 2550,
+            totalMinor: 2550,
+            statusHistory: [{ to: 'pending', by: user._id }]
+        });
+    });
+
+    afterEach(() => {
+        payments.setProvider(null);
+    });
+
+    it('captures a confirmed payment and marks the order paid', async () => {
+        const payment = await openPayment();
+        expect(payment).toMatchObject({ status: 'requires_confirmation', amount: 2550, currency: 'usd' });
+
+        const res = await confirm(payment).expect(200);
+
+        expect(res.body.data).toMatchObject({ status: 'captured', amountCaptured: 2550 });
+        expect(res.body.data.history.map(entry => entry.status))
+            .toEqual(['requires_confirmation', 'authorized', 'captured']);
+        expect(orders.get(order._id).status).toBe('paid');
+    });
+
+    it('hands back the open payment instead of starting a second one', async () => {
+        const first = await openPayment();
+        const second = await openPayment();
+
+        expect(second._id).toBe(first._id);
+        expect(paymentStore.all()).toHaveLength(1);
+    });
+
+    it('fails a declined payment and leaves the order pending', async () => {
+        const payment = await openPayment();
+
+        const res = await confirm(payment, MOCK_DECLINED_METHOD).expect(402);
+
+        expect(res.body.data).toMatchObject({ status: 'failed', failureReason: 'card_declined' });
+        expect(orders.get(order._id).status).toBe('pending');
+        await confirm(payment).expect(409);
+    });
+
+    it('refunds in parts and restocks the order once fully refunded', async () => {
+        const opened = await openPayment();
+        await confirm(opened).expect(200);
+
+        const partial = await payments.refundPayment(paymentStore.get(opened._id), 1000);
+        expect(partial).toMatchObject({ status: 'partially_refunded', amountRefunded: 1000 });
+        expect(orders.get(order._id).status).toBe('paid');
+
+        await expect(payments.refundPayment(partial, 2000)).rejects.toMatchObject({ statusCode: 400 });
+
+        const full = await payments.refundPayment(partial);
+        expect(full).toMatchObject({ status: 'refunded', amountRefunded: 2550 });
+        expect(orders.get(order._id).status).toBe('refunded');
+        expect(products.get(tee._id).stock).toBe(10);
+    });
+
+    it('keeps staff from cancelling or refunding a paid order without refunding the payment', async () => {
+        const admin = db.collection(User).insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        const staffHeaders = await authHeader(admin);
+        const setStatus = (status) => request(app).put(`/api/orders/${order._id}/status`).set(staffHeaders).send({ status });
+        const opened = await openPayment();
+        await confirm(opened).expect(200);
+
+        const { body } = await setStatus('cancelled').expect(409);
+        expect(body.message).toBe(`Refund payment ${opened._id} before the order is cancelled`);
+        await setStatus('refunded').expect(409);
+        const partial = await payments.refundPayment(paymentStore.get(opened._id), 1000);
+        await setStatus('refunded').expect(409);
+        expect(orders.get(order._id).status).toBe('paid');
+
+        await payments.refundPayment(partial);
+        expect(orders.get(order._id).status).toBe('refunded');
+        expect(products.get(tee._id).stock).toBe(10);
+    });
+
+    it('lets staff cancel an order that was never paid', async () => {
+        const admin = db.collection(User).insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        const opened = await openPayment();
+        await confirm(opened, MOCK_DECLINED_METHOD).expect(402);
+
+        await request(app)
+            .put(`/api/orders/${order._id}/status`)
+            .set(await authHeader(admin))
+            .send({ status: 'cancelled' })
+            .expect(200);
+        expect(orders.get(order._id).status).toBe('cancelled');
+    });
+
+    describe('webhooks', () => {
+        it('applies a signed event once, however often it is delivered', async () => {
+            const opened = await openPayment();
+            const event = {
+                id: 'evt_1',
+                type: 'payment.authorized',
+                data: { paymentId: opened.providerPaymentId }
+            };
+
+            const first = await webhook(event).expect(200);
+            const again = await webhook(event).expect(200);
+
+            expect(first.body.duplicate).toBe(false);
+            expect(again.body.duplicate).toBe(true);
+            expect(paymentStore.get(opened._id).history.map(entry => [entry.status, entry.source]))
+                .toEqual([['requires_confirmation', 'api'], ['authorized', 'webhook']]);
+            expect(orders.get(order._id).status).toBe('pending');
+            expect(events.all().map(record => record.outcome)).toEqual(['applied']);
+        });
+
+        it('ignores an event that would move a payment back', async () => {
+            const opened = await openPayment();
+            await confirm(opened).expect(200);
+
+            await webhook({
+                id: 'evt_late',
+                type: 'payment.authorized',
+                data: { paymentId: opened.providerPaymentId }
+            }).expect(200);
+
+            expect(paymentStore.get(opened._id).status).toBe('captured');
+            expect(events.all()[0].outcome).toBe('ignored: payment already captured');
+        });
+
+        it('rejects deliveries that are not signed with the webhook secret', async () => {
+            const forged = createMockProvider({ secret: 'someone-else' });
+
+            const res = await webhook({ id: 'evt_2', type: 'payment.captured', data: {} }, forged).expect(400);
+
+            expect(res.body.message).toBe('Invalid webhook signature');
+            expect(events.all()).toHaveLength(0);
+        });
+
+        it('forgets a delivery it failed to handle so the retry is processed', async () => {
+            const opened = await openPayment();
+            jest.spyOn(Payment, 'findOne').mockRejectedValueOnce(new Error('read failed'));
+            const event = { id: 'evt_3', type: 'payment.failed', data: { paymentId: opened.providerPaymentId } };
+
+            await webhook(event).expect(500);
+            expect(events.all()).toHaveLength(0);
+
+            const retry = await webhook(event).expect(200);
+            expect(retry.body.duplicate).toBe(false);
+            expect(paymentStore.get(opened._id).status).toBe('failed');
+        });
+    });
+
+    it('keeps mock payment intents across restarts', async () => {
+        const payment = await openPayment();
+        payments.setProvider(null);
+
+        const { body } = await confirm(payment).expect(200);
+
+        expect(body.data.status).toBe('captured');
+    });
+
+    describe('provider configuration', () => {
+        const env = { ...process.env };
+
+        afterEach(() => {
+            process.env = { ...env };
+        });
+
+        it('needs a webhook secret for the mock provider', () => {
+            delete process.env.PAYMENT_WEBHOOK_SECRET;
+            const logError = jest.spyOn(logger, 'error');
+
+            expect(() => payments.getProvider()).toThrow('Payments are currently unavailable');
+            expect(logError).toHaveBeenCalledWith(
+                'Payment provider is not configured:',
+                expect.objectContaining({ message: expect.stringContaining('PAYMENT_WEBHOOK_SECRET must be set') })
+            );
+        });
+
+        it('takes only the payment routes down while the provider is misconfigured', async () => {
+            delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+            const { body } = await post('/', { orderId: String(order._id) }).expect(503);
+            expect(body).toEqual({ success: false, message: 'Payments are currently unavailable' });
+            await request(app).post('/api/payments/webhook').send({}).expect(503);
+            await request(app).get(`/api/products/${tee._id}`).expect(200);
+
+            process.env.PAYMENT_WEBHOOK_SECRET = env.PAYMENT_WEBHOOK_SECRET;
+            await openPayment();
+        });
+
+        it('keeps the mock provider out of production unless it is allowed', () => {
+            process.env.NODE_ENV = 'production';
+            const logError = jest.spyOn(logger, 'error');
+
+            expect(() => payments.getProvider()).toThrow('Payments are currently unavailable');
+            expect(logError.mock.calls[0][1].message).toMatch('cannot be used in production');
+
+            process.env.PAYMENT_ALLOW_MOCK = 'true';
+            expect(payments.getProvider().name).toBe('mock');
+        });
+    });
+});
@@ -0,0 +1,46 @@
+const request = require('supertest');
+const app = require('../index');
+const Product = require('../src/models/Product');
+const Review = require('../src/models/Review');
+const User = require('../src/models/User');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+
+describe('GET /api/products/:id/reviews', () => {
+    let tee;
+
+    const list = (query) => request(app).get(`/api/products/${tee._id}/reviews`).query(query);
+
+    beforeEach(() => {
+        const db = memoryDatabase();
+        tee = db.collection(Product).insert({ name: 'Cotton Tee', description: 'A plain tee', category: 'tops', price: 10, stock: 5 });
+        const users = db.collection(User);
+        const reviews = db.collection(Review);
+        [5, 3, 4].forEach((rating, index) => {
+            const user = users.insert({ name: `Customer ${index}`, email: `customer${index}@example.com`, password: 'secret123' });
+            reviews.insert({ product: tee._id, user: user._id, rating, title: 'Review', body: 'Fits well', status: 'published' });
+        });
+    });
+
+    it('pages through the published reviews', async () => {
+        const { body } = await list({ page: 2, limit: 2, sort: 'rating_desc' }).expect(200);
+
+        expect(body.data.map(review => review.rating)).toEqual([3]);
+        expect(body.pagination).toEqual({ total: 3, page: 2, pages: 2 });
+    });
+
+    it('uses the first page of ten by default', async () => {
+        const { body } = await list({}).expect(200);
+
+        expect(body.data).toHaveLength(3);
+        expect(body.pagination).toEqual({ total: 3, page: 1, pages: 1 });
+    });
+
+    it('refuses pages that are out of bounds', async () => {
+        const { body } = await list({ limit: 1000 }).expect(400);
+        expect(body.message).toBe('"limit" must be less than or equal to 100');
+
+        await list({ limit: 'all' }).expect(400);
+        await list({ page: 0 }).expect(400);
+        await list({ sort: 'helpful' }).expect(400);
+    });
+});
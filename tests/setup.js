@@ -0,0 +1,17 @@
+// Runs before each test file (see "jest" in package.json)
+const mongoose = require('mongoose');
+const logger = require('../src/utils/logger');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+// There is no MongoDB in the tests: the app's connect is a no-op,
+// memoryDatabase() stands in for the collections, and a query it does not
+// stand in for fails at once instead of waiting for a connection
+jest.mock('../src/config/database', () => ({
+    connectDatabase: async () => {}
+}));
+mongoose.set('bufferCommands', false);
+
+logger.silent = true;
@@ -0,0 +1,42 @@
+const request = require('supertest');
+const app = require('../index');
+const TaxRule = require('../src/models/TaxRule');
+const User = require('../src/models/User');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('POST /api/tax/calculate', () => {
+    let rules;
+    let headers;
+
+    const calculate = (body) => request(app).post('/api/tax/calculate').set(headers).send(body).expect(200);
+
+    beforeEach(async () => {
+        const db = memoryDatabase();
+        rules = db.collection(TaxRule);
+        const admin = db.collection(User).insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        headers = await authHeader(admin);
+    });
+
+    it('rounds the tax on each line to the cent', async () => {
+        rules.insert({ country: 'US', region: 'TX', name: 'Sales tax', rate: 8.25 });
+
+        const { body } = await calculate({
+            country: 'US',
+            region: 'TX',
+            lines: [{ id: 'a', amount: 10.05 }, { id: 'b', amount: 0.1 }]
+        });
+
+        expect(body.data.lines.map(line => line.tax)).toEqual([0.83, 0.01]);
+        expect(body.data).toMatchObject({ tax: 0.84, total: 10.99 });
+    });
+
+    it('takes included tax out so net and tax add up to the price', async () => {
+        rules.insert({ country: 'GB', name: 'VAT', rate: 20 });
+
+        const { body } = await calculate({ country: 'GB', lines: [{ id: 'a', amount: 10.05 }], pricesIncludeTax: true });
+
+        expect(body.data.lines[0]).toMatchObject({ net: 8.38, tax: 1.67 });
+        expect(body.data).toMatchObject({ tax: 1.67, total: 10.05 });
+    });
+});
@@ -0,0 +1,110 @@
+const request = require('supertest');
+const app = require('../index');
+const RefreshToken = require('../src/models/RefreshToken');
+const User = require('../src/models/User');
+const { issueTokens, rotateRefreshToken } = require('../src/services/tokenService');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const profile = (token) => request(app).get('/api/auth/profile').set('Authorization', `Bearer ${token}`);
+
+describe('sessions', () => {
+    let tokens;
+    let users;
+    let user;
+    let session;
+
+    beforeEach(async () => {
+        const db = memoryDatabase();
+        tokens = db.collection(RefreshToken);
+        users = db.collection(User);
+        user = users.insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+        session = await issueTokens(user);
+    });
+
+    it('starts a session on registration', async () => {
+        const { body } = await request(app)
+            .post('/api/auth/register')
+            .send({ name: 'Grace', email: 'grace@example.com', password: 'secret123' })
+            .expect(201);
+
+        expect(body.refreshToken).toEqual(expect.any(String));
+        await profile(body.token).expect(200);
+        // Only a hash of the refresh token is kept
+        expect(tokens.raw().some(token => token.tokenHash === body.refreshToken)).toBe(false);
+    });
+
+    it('exchanges a refresh token for a new pair in the same session', async () => {
+        const { body } = await refresh(session.refreshToken).expect(200);
+
+        expect(body.refreshToken).not.toBe(session.refreshToken);
+        await profile(body.token).expect(200);
+        // The old access token lives on until it expires; the session is the same
+        await profile(session.token).expect(200);
+        expect(new Set(tokens.all().map(token => token.family)).size).toBe(1);
+    });
+
+    it('revokes the whole session when a used refresh token comes back', async () => {
+        const { body: next } = await refresh(session.refreshToken).expect(200);
+
+        const { body } = await refresh(session.refreshToken).expect(401);
+
+        expect(body.message).toBe('Refresh token reuse detected, please log in again');
+        expect(tokens.all().every(token => token.revokedReason === 'reuse_detected')).toBe(true);
+        await refresh(next.refreshToken).expect(401);
+        await profile(next.token).expect(401);
+    });
+
+    it('lets only one of two concurrent refreshes with the same token win', async () => {
+        const isUserActive = async () => true;
+
+        const results = await Promise.allSettled([
+            rotateRefreshToken(session.refreshToken, undefined, isUserActive),
+            rotateRefreshToken(session.refreshToken, undefined, isUserActive)
+        ]);
+
+        expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+        expect(results.find(result => result.reason).reason.statusCode).toBe(401);
+        expect(tokens.all().every(token => token.revokedAt)).toBe(true);
+    });
+
+    it('refuses expired and unknown refresh tokens', async () => {
+        await RefreshToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+        await refresh(session.refreshToken).expect(401);
+        const { body } = await refresh('not-a-token').expect(401);
+        expect(body.message).toBe('Invalid refresh token');
+    });
+
+    it('ends the session of a deactivated user', async () => {
+        await User.updateOne({ _id: user._id }, { isActive: false });
+
+        const { body } = await refresh(session.refreshToken).expect(401);
+
+        expect(body.message).toBe('Account is inactive');
+        expect(tokens.all()[0].revokedReason).toBe('user_inactive');
+        await profile(session.token).expect(401);
+    });
+
+    it('ends the session on logout', async () => {
+        await request(app).post('/api/auth/logout').send({ refreshToken: session.refreshToken }).expect(200);
+
+        await profile(session.token).expect(401);
+        const { body } = await refresh(session.refreshToken).expect(401);
+        expect(body.message).toBe('Session has been revoked');
+    });
+
+    it('ends every session of the user on logout-all', async () => {
+        const other = await issueTokens(user);
+
+        const { body } = await request(app)
+            .post('/api/auth/logout-all')
+            .set('Authorization', `Bearer ${session.token}`)
+            .expect(200);
+
+        expect(body.revoked).toBe(2);
+        await profile(other.token).expect(401);
+        await refresh(other.refreshToken).expect(401);
+    });
+});
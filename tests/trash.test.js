@@ -0,0 +1,134 @@
+const bcrypt = require('bcryptjs');
+const request = require('supertest');
+const app = require('../index');
+const Cart = require('../src/models/Cart');
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+const Review = require('../src/models/Review');
+const User = require('../src/models/User');
+const { memoryDatabase } = require('./helpers/memoryDatabase');
+const { authHeader } = require('./helpers/auth');
+
+describe('trash', () => {
+    let db;
+    let products;
+    let users;
+    let admin;
+    let headers;
+
+    beforeEach(async () => {
+        db = memoryDatabase();
+        products = db.collection(Product);
+        users = db.collection(User);
+        admin = users.insert({ name: 'Admin', email: 'admin@example.com', password: 'secret123', role: 'admin' });
+        headers = await authHeader(admin);
+    });
+
+    describe('products', () => {
+        let tee;
+
+        beforeEach(() => {
+            tee = products.insert({ name: 'Cotton Tee', description: 'A plain tee', category: 'tops', price: 10, stock: 5 });
+        });
+
+        it('hides a deleted product until it is restored', async () => {
+            await request(app).delete(`/api/products/${tee._id}`).set(headers).expect(200);
+
+            expect(products.get(tee._id).deletedBy).toEqual(admin._id);
+            await request(app).get(`/api/products/${tee._id}`).expect(404);
+            const { body: trash } = await request(app).get('/api/products/trash').set(headers).expect(200);
+            expect(trash.data.map(product => product.name)).toEqual(['Cotton Tee']);
+
+            await request(app).post(`/api/products/${tee._id}/restore`).set(headers).expect(200);
+
+            const { body } = await request(app).get(`/api/products/${tee._id}`).expect(200);
+            expect(body.data.name).toBe('Cotton Tee');
+            await request(app).post(`/api/products/${tee._id}/restore`).set(headers).expect(404);
+        });
+
+        it('shows cart lines of a deleted product as unavailable and keeps them', async () => {
+            const customer = users.insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123' });
+            const customerHeaders = await authHeader(customer);
+            db.collection(Cart).insert({ user: customer._id, items: [{ product: tee._id, quantity: 2 }] });
+            await request(app).delete(`/api/products/${tee._id}`).set(headers).expect(200);
+
+            const { body } = await request(app).get('/api/cart').set(customerHeaders).expect(200);
+            expect(body.data.items[0]).toMatchObject({ product: null, available: false });
+
+            await request(app).post(`/api/products/${tee._id}/restore`).set(headers).expect(200);
+
+            const { body: restored } = await request(app).get('/api/cart').set(customerHeaders).expect(200);
+            expect(restored.data.items[0]).toMatchObject({ available: true, subtotal: 20 });
+        });
+
+        it('shows wishlist entries of a deleted product as unavailable and keeps them', async () => {
+            const customer = users.insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123', wishlist: [{ product: tee._id }] });
+            const customerHeaders = await authHeader(customer);
+            await request(app).delete(`/api/products/${tee._id}`).set(headers).expect(200);
+
+            const { body } = await request(app).get('/api/users/me/wishlist').set(customerHeaders).expect(200);
+            expect(body.data).toEqual([expect.objectContaining({ product: null, available: false })]);
+            expect(users.get(customer._id).wishlist).toHaveLength(1);
+
+            await request(app).post(`/api/products/${tee._id}/restore`).set(headers).expect(200);
+
+            const { body: restored } = await request(app).get('/api/users/me/wishlist').set(customerHeaders).expect(200);
+            expect(restored.data[0]).toMatchObject({ product: { name: 'Cotton Tee' }, available: true });
+        });
+
+        it('purges only trashed products that no order refers to', async () => {
+            const customer = users.insert({ name: 'Ada', email: 'ada@example.com', password: 'secret123', wishlist: [{ product: tee._id }] });
+            const review = db.collection(Review).insert({
+                product: tee._id,
+                user: customer._id,
+                rating: 5,
+                title: 'Great',
+                body: 'Fits well'
+            });
+
+            await request(app).delete(`/api/products/${tee._id}/purge`).set(headers).expect(404);
+            await request(app).delete(`/api/products/${tee._id}`).set(headers).expect(200);
+
+            const orders = db.collection(Order);
+            const order = orders.insert({ user: customer._id, items: [{ product: tee._id, name: 'Cotton Tee', priceMinor: 1000, quantity: 1 }] });
+            const { body } = await request(app).delete(`/api/products/${tee._id}/purge`).set(headers).expect(409);
+            expect(body.message).toBe('Product is referenced by orders and cannot be permanently deleted');
+
+            await Order.deleteOne({ _id: order._id });
+            await request(app).delete(`/api/products/${tee._id}/purge`).set(headers).expect(200);
+            expect(products.raw()).toHaveLength(0);
+            expect(db.collection(Review).find({ _id: review._id })).toHaveLength(0);
+            expect(users.get(customer._id).wishlist).toHaveLength(0);
+        });
+    });
+
+    describe('users', () => {
+        it('signs a deleted user out and lets them back in once restored', async () => {
+            const password = bcrypt.hashSync('secret123', 4);
+            const customer = users.insert({ name: 'Ada', email: 'ada@example.com', password });
+            const customerHeaders = await authHeader(customer);
+
+            await request(app).delete(`/api/users/${customer._id}`).set(headers).expect(200);
+
+            await request(app).get('/api/auth/profile').set(customerHeaders).expect(401);
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'ada@example.com', password: 'secret123' })
+                .expect(400);
+
+            await request(app).post(`/api/users/${customer._id}/restore`).set(headers).expect(200);
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'ada@example.com', password: 'secret123' })
+                .expect(200);
+        });
+
+        it('does not delete the last admin', async () => {
+            const { body } = await request(app).delete(`/api/users/${admin._id}`).set(headers).expect(400);
+
+            expect(body.message).toBe('Cannot delete the last admin');
+            expect(users.get(admin._id).deletedAt).toBeNull();
+        });
+    });
+});